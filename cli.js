@@ -4,7 +4,12 @@ import { program, Option } from 'commander';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { startServer, DEFAULT_PORT } from './server.js';
+import { startServer, DEFAULT_PORT, DEVICE_STATUSES, DEFAULT_DATA_DIR, DEFAULT_RPC_TIMEOUT, DEFAULT_HEARTBEAT_INTERVAL, DEFAULT_HISTORY_LIMIT } from './server.js';
+import { scanAuditLog, matchesAuditFilters } from './lib/audit-log.js';
+import { replaySession } from './lib/audit-replay.js';
+import { readRecording } from './lib/traffic-recorder.js';
+import { startSimulatedDevice } from './lib/simulated-device.js';
+import { loadConfigFile } from './lib/config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const pack = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
@@ -13,24 +18,367 @@ program
   .name(pack.name)
   .description(pack.description)
   .version(pack.version)
+  .addOption(
+    new Option('-c, --config <path>', 'JSON or YAML config file; options and environment variables override it')
+      .env('PAGENODES_MCP_CONFIG')
+  )
   .addOption(
     new Option('-p, --port <number>', 'HTTP/WebSocket port')
       .default(DEFAULT_PORT)
       .env('PAGENODES_MCP_PORT')
   )
+  .addOption(
+    new Option('--host <address>', 'Address to bind to (default: all interfaces)')
+      .env('PAGENODES_MCP_HOST')
+  )
+  .addOption(
+    new Option('--public-url <url>', 'URL clients reach the server at, when it differs from http://localhost:<port>')
+      .env('PAGENODES_MCP_PUBLIC_URL')
+  )
   .addOption(
     new Option('--stdio', 'Enable stdio MCP transport (for spawned mode)')
       .default(false)
+  )
+  .addOption(
+    new Option('--data-dir <path>', 'Directory for persisted state (device registry)')
+      .default(DEFAULT_DATA_DIR)
+      .env('PAGENODES_MCP_DATA_DIR')
+  )
+  .addOption(
+    new Option('--guide <path>', 'Markdown file served as the PageNodes guide instead of the bundled PAGENODES.md')
+      .env('PAGENODES_MCP_GUIDE')
+  )
+  .addOption(
+    new Option('--auth-config <path>', 'JSON file with client tokens, permissions and device credentials')
+      .env('PAGENODES_MCP_AUTH_CONFIG')
+  )
+  .addOption(
+    new Option('--groups <path>', 'JSON file with named device groups')
+      .env('PAGENODES_MCP_GROUPS')
+  )
+  .addOption(
+    new Option('--audit-log <path>', 'JSONL file every tool call is appended to (default: <data-dir>/audit.jsonl)')
+      .env('PAGENODES_MCP_AUDIT_LOG')
+  )
+  .addOption(
+    new Option('--webhooks <path>', 'JSON file with webhook routes that mcp-out messages are forwarded to')
+      .env('PAGENODES_MCP_WEBHOOKS')
+  )
+  .addOption(
+    new Option('--record <path>', 'JSONL file every device call and reply is appended to, for replay by a simulated device')
+      .env('PAGENODES_MCP_RECORD')
+  )
+  .addOption(
+    new Option('--simulate [recording]', 'Also start a simulated device - the in-memory flow model, or a replay of a recording')
+  )
+  .addOption(
+    new Option('--rpc-timeout <ms>', 'Timeout for calls to devices')
+      .default(DEFAULT_RPC_TIMEOUT)
+      .env('PAGENODES_MCP_RPC_TIMEOUT')
+  )
+  .addOption(
+    new Option('--heartbeat-interval <ms>', 'How often connected devices are pinged')
+      .default(DEFAULT_HEARTBEAT_INTERVAL)
+      .env('PAGENODES_MCP_HEARTBEAT_INTERVAL')
+  )
+  .addOption(
+    new Option('--history-limit <number>', 'Flow versions kept per device')
+      .default(DEFAULT_HISTORY_LIMIT)
+      .env('PAGENODES_MCP_HISTORY_LIMIT')
   );
 
-program.parse();
+// Values from the config file fill in whatever wasn't given on the command line or in the environment
+program.hook('preAction', () => {
+  const file = program.opts().config;
+  if (!file) return;
+
+  let config;
+  try {
+    config = loadConfigFile(file);
+  } catch (err) {
+    console.error(`Could not load config file: ${err.message}`);
+    process.exit(1);
+  }
+  for (const [key, value] of Object.entries(config)) {
+    const source = program.getOptionValueSource(key);
+    if (source === undefined || source === 'default') {
+      program.setOptionValueWithSource(key, value, 'config');
+    }
+  }
+});
+
+program
+  .command('devices')
+  .description('List the devices a running server knows about')
+  .addOption(new Option('--status <status>', 'Only devices with this status').choices(DEVICE_STATUSES))
+  .option('--json', 'Print the list_devices result as JSON')
+  .addOption(urlOption())
+  .addOption(tokenOption())
+  .action(devices);
+
+program
+  .command('call')
+  .description('Call a tool on a running server and print its result')
+  .argument('<tool>', 'Tool name, e.g. get_flows, or a custom tool by its tools/list name such as kitchen_pi__set_lights')
+  .option('--args <json>', 'Tool arguments as a JSON object', '{}')
+  .addOption(urlOption())
+  .addOption(tokenOption())
+  .action(call);
+
+program
+  .command('export')
+  .description('Export flows from a device on a running server as a flow document')
+  .argument('<device>', 'Device id')
+  .option('--flow <id>', 'Flow tab to export (default: every tab)')
+  .option('-o, --output <file>', 'Write the document to a file instead of stdout')
+  .addOption(urlOption())
+  .addOption(tokenOption())
+  .action(exportFlows);
+
+program
+  .command('replay')
+  .description('Replay a session recorded in the audit log against a running server')
+  .argument('<sessionId>', 'Session id (or a prefix of it) from get_audit_log')
+  .option('--device <id>', 'Send every call to this device instead of the recorded one')
+  .addOption(urlOption('Server to replay against'))
+  .addOption(tokenOption())
+  .option('--dry-run', 'Print the calls without sending them')
+  .action(replay);
+
+program
+  .command('simulate')
+  .description('Connect a simulated device to a running server')
+  .option('--url <url>', 'Server WebSocket (default: the server URL with ws://)')
+  .option('--id <id>', 'Device id to register as (default: simulated, or the recorded id when replaying)')
+  .option('--name <name>', 'Device name (default: Simulated device, or the recorded name when replaying)')
+  .option('--nodes <types>', 'Comma-separated node types to offer (default: the built-in catalog)')
+  .option('--replay <recording>', 'Answer calls from a traffic recording made with --record')
+  .option('--replay-device <id>', 'Device in the recording to play back (default: the first one registered)')
+  .addOption(
+    new Option('--secret <secret>', 'Device secret when the server requires device credentials')
+      .env('PAGENODES_MCP_DEVICE_SECRET')
+  )
+  .addOption(
+    new Option('--device-token <token>', 'Token from an earlier run, to reclaim the same device id')
+      .env('PAGENODES_MCP_DEVICE_TOKEN')
+  )
+  .action(simulate);
+
+program.action(serve);
+
+program.parseAsync();
+
+function urlOption(description = 'Server to talk to') {
+  return new Option('--url <url>', `${description} (default: the public URL, or http://localhost:<port>)`);
+}
+
+function tokenOption() {
+  return new Option('--token <token>', 'Client token when the server has auth enabled')
+    .env('PAGENODES_MCP_TOKEN');
+}
+
+function parsePort(value) {
+  const port = parseInt(value, 10);
+  if (isNaN(port) || port < 1 || port > 65535) {
+    console.error(`Invalid port: ${value}`);
+    process.exit(1);
+  }
+  return port;
+}
+
+// The running server the subcommands talk to
+function serverUrl(commandOptions) {
+  const options = program.opts();
+  const url = commandOptions.url || options.publicUrl || `http://localhost:${parsePort(options.port)}`;
+  return url.replace(/\/+$/, '');
+}
+
+// Call a tool through the REST API (see lib/rest-api.js). Exits on errors.
+async function callTool(tool, args, commandOptions) {
+  const url = serverUrl(commandOptions);
+  let res;
+  try {
+    res = await fetch(`${url}/api/tools/${encodeURIComponent(tool)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(commandOptions.token && { Authorization: `Bearer ${commandOptions.token}` })
+      },
+      body: JSON.stringify(args)
+    });
+  } catch (err) {
+    console.error(`Could not reach ${url}: ${err.cause?.message || err.message}`);
+    process.exit(1);
+  }
+
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    console.error(`${tool} failed (${res.status}): ${body?.error?.message || res.statusText}`);
+    process.exit(1);
+  }
+  return body;
+}
+
+async function devices(devicesOptions) {
+  const result = await callTool('list_devices', devicesOptions.status ? { status: devicesOptions.status } : {}, devicesOptions);
+  if (devicesOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (!result.devices.length) {
+    console.error('No devices');
+    return;
+  }
+
+  const rows = [
+    ['ID', 'NAME', 'TYPE', 'STATUS', 'NODES', 'LAST SEEN'],
+    ...result.devices.map(d => [d.id, d.name || '', d.type || '', d.status || '', String(d.nodeCount), d.lastSeen || ''])
+  ];
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  }
+}
+
+async function call(tool, callOptions) {
+  let args;
+  try {
+    args = JSON.parse(callOptions.args);
+  } catch (err) {
+    console.error(`--args is not valid JSON: ${err.message}`);
+    process.exit(1);
+  }
+  const result = await callTool(tool, args, callOptions);
+  console.log(typeof result === 'string' ? result : JSON.stringify(result, null, 2));
+}
+
+async function exportFlows(deviceId, exportOptions) {
+  let flowIds = exportOptions.flow ? [exportOptions.flow] : null;
+  if (!flowIds) {
+    const flowState = await callTool('get_flows', { deviceId }, exportOptions);
+    flowIds = (flowState.flows || []).map(f => f.id);
+  }
+
+  // One document for all tabs; config nodes shared between tabs appear once
+  const document = new Map();
+  for (const flowId of flowIds) {
+    const result = await callTool('export_flow', { deviceId, flowId }, exportOptions);
+    for (const entry of result.document) {
+      document.set(entry.id, entry);
+    }
+  }
+
+  const text = JSON.stringify(Array.from(document.values()), null, 2);
+  if (exportOptions.output) {
+    fs.writeFileSync(exportOptions.output, `${text}\n`);
+    console.error(`Exported ${flowIds.length} flow(s) from ${deviceId} to ${exportOptions.output}`);
+  } else {
+    console.log(text);
+  }
+}
+
+async function replay(sessionId, replayOptions) {
+  const options = program.opts();
+  const file = options.auditLog || path.join(options.dataDir, 'audit.jsonl');
+  const entries = (await scanAuditLog(file, { match: e => matchesAuditFilters(e, { sessionId }) })).entries.reverse();
+
+  if (!entries.length) {
+    console.error(`No calls recorded for session ${sessionId} in ${file}`);
+    process.exit(1);
+  }
+
+  const sessions = new Set(entries.map(e => e.sessionId));
+  if (sessions.size > 1) {
+    console.error(`Session prefix ${sessionId} matches ${sessions.size} sessions: ${Array.from(sessions).join(', ')}`);
+    process.exit(1);
+  }
+
+  const url = serverUrl(replayOptions);
+  console.error(`Replaying ${entries.length} call(s) from session ${entries[0].sessionId} against ${url}`);
+
+  const report = await replaySession({
+    entries,
+    url,
+    token: replayOptions.token,
+    deviceId: replayOptions.device,
+    dryRun: replayOptions.dryRun,
+    log: (line) => console.error(line)
+  });
 
-const options = program.opts();
-const port = parseInt(options.port, 10);
+  const diverged = report.filter(step => step.matches === false);
+  console.log(JSON.stringify({ steps: report.length, diverged: diverged.length, report }, null, 2));
+  process.exit(diverged.length ? 2 : 0);
+}
+
+async function simulate(simulateOptions) {
+  const url = simulateOptions.url || `${serverUrl({}).replace(/^http/, 'ws')}/`;
+  const recording = simulateOptions.replay ? readRecording(simulateOptions.replay) : null;
+
+  // A replay keeps the recorded id and name unless they're given explicitly
+  const id = simulateOptions.id || (!recording && 'simulated');
 
-if (isNaN(port) || port < 1 || port > 65535) {
-  console.error(`Invalid port: ${options.port}`);
-  process.exit(1);
+  try {
+    const device = await startSimulatedDevice({
+      url,
+      info: {
+        ...(id && { id }),
+        ...(simulateOptions.name && { name: simulateOptions.name }),
+        ...(simulateOptions.nodes && { nodes: simulateOptions.nodes.split(',').map(n => n.trim()).filter(Boolean) }),
+        ...(simulateOptions.secret && { secret: simulateOptions.secret }),
+        ...(simulateOptions.deviceToken && { deviceToken: simulateOptions.deviceToken })
+      },
+      recording,
+      replayDevice: simulateOptions.replayDevice,
+      log: (line) => console.error(line)
+    });
+    console.error(`Connected to ${url} as ${device.deviceId} - Ctrl+C to stop`);
+    if (device.registration.deviceToken) {
+      console.error(`Device token (pass --device-token to reclaim ${device.deviceId} next time): ${device.registration.deviceToken}`);
+    }
+  } catch (err) {
+    console.error(`Could not connect simulated device: ${err.message}`);
+    process.exit(1);
+  }
 }
 
-startServer(port, { stdio: options.stdio });
+function serve() {
+  const options = program.opts();
+  const port = parsePort(options.port);
+
+  const rpcTimeout = parseInt(options.rpcTimeout, 10);
+  const heartbeatInterval = parseInt(options.heartbeatInterval, 10);
+
+  if (isNaN(rpcTimeout) || rpcTimeout < 1) {
+    console.error(`Invalid RPC timeout: ${options.rpcTimeout}`);
+    process.exit(1);
+  }
+
+  if (isNaN(heartbeatInterval) || heartbeatInterval < 1) {
+    console.error(`Invalid heartbeat interval: ${options.heartbeatInterval}`);
+    process.exit(1);
+  }
+
+  const historyLimit = parseInt(options.historyLimit, 10);
+
+  if (isNaN(historyLimit) || historyLimit < 1) {
+    console.error(`Invalid history limit: ${options.historyLimit}`);
+    process.exit(1);
+  }
+
+  startServer(port, {
+    stdio: options.stdio,
+    host: options.host,
+    publicUrl: options.publicUrl,
+    guide: options.guide,
+    dataDir: options.dataDir,
+    authConfig: options.authConfig,
+    groupsConfig: options.groups,
+    auditLog: options.auditLog,
+    webhooks: options.webhooks,
+    record: options.record,
+    simulate: options.simulate,
+    rpcTimeout,
+    heartbeatInterval,
+    historyLimit
+  });
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// Audit log
+// Every tool call is appended to a JSONL file, one entry per line:
+/*
+{
+  "timestamp": "2025-06-01T12:00:00.000Z",
+  "transport": "streamable-http",   // streamable-http | sse | stdio | http | ui
+  "sessionId": "6d5f5dbd-...",      // null for stateless REST calls
+  "client": "claude",               // auth client name (null when auth is disabled)
+  "clientName": "claude-code",      // clientInfo.name from initialize
+  "tool": "update_node",
+  "args": { "deviceId": "kitchen-pi", "nodeId": "a1b2", "updates": { "func": "..." } },
+  "deviceId": "kitchen-pi",
+  "durationMs": 42,
+  "isError": false,
+  "result": "{ ... }"               // tool result text, cut off after MAX_RESULT_LENGTH
+}
+*/
+// The file is appended to until it reaches maxBytes, then rotated: audit.jsonl becomes
+// audit.jsonl.1, .1 becomes .2 and so on, and the oldest beyond `rotations` is deleted. The latest
+// entries are also kept in memory, without their results, for the dashboard.
+
+// Longer result texts are cut off (and marked resultTruncated) to keep the log manageable
+const MAX_RESULT_LENGTH = 20000;
+
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_ROTATIONS = 5;
+
+// Entries kept in memory
+const MAX_RECENT = 200;
+
+// The log file and its rotated copies, oldest first
+function logFiles(file) {
+  const rotated = [];
+  for (let i = 1; fs.existsSync(`${file}.${i}`); i++) {
+    rotated.unshift(`${file}.${i}`);
+  }
+  return fs.existsSync(file) ? [...rotated, file] : rotated;
+}
+
+export function createAuditLog({ file, maxBytes = DEFAULT_AUDIT_MAX_BYTES, rotations = DEFAULT_AUDIT_ROTATIONS, log }) {
+  const latest = [];
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    fs.rmSync(`${file}.${rotations}`, { force: true });
+    for (let i = rotations - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (rotations > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.rmSync(file, { force: true });
+    }
+    size = 0;
+  }
+
+  function record(entry) {
+    const { result, ...summary } = entry;
+    latest.push(summary);
+    if (latest.length > MAX_RECENT) latest.shift();
+
+    const text = result ?? null;
+    const line = {
+      ...entry,
+      result: text && text.length > MAX_RESULT_LENGTH ? text.slice(0, MAX_RESULT_LENGTH) : text,
+      ...(text && text.length > MAX_RESULT_LENGTH && { resultTruncated: true })
+    };
+
+    try {
+      const text = JSON.stringify(line) + '\n';
+      const bytes = Buffer.byteLength(text);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, text);
+      size += bytes;
+    } catch (err) {
+      log(`Could not write audit log ${file}: ${err.message}`);
+    }
+  }
+
+  // Newest first
+  function recent(limit = 50) {
+    return latest.slice(-limit).reverse();
+  }
+
+  return { record, recent, file };
+}
+
+// Stream the log (rotated copies included) line by line, oldest first, without loading it whole.
+// Keeps the newest `limit` entries that pass match(entry). Resolves to { total, entries } with
+// entries newest first. Unparseable lines are skipped.
+export async function scanAuditLog(file, { match = () => true, limit = Infinity } = {}) {
+  let total = 0;
+  const kept = [];
+  for (const name of logFiles(file)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(name), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash
+        continue;
+      }
+      if (!match(entry)) continue;
+      total++;
+      kept.push(entry);
+      if (kept.length > limit) kept.shift();
+    }
+  }
+  return { total, entries: kept.reverse() };
+}
+
+// Every device id or group:/tag: target an entry refers to: its deviceId plus device ids anywhere
+// in the arguments (deviceIds, sourceDeviceId, devices, pin, ...)
+export function entryDeviceIds(entry) {
+  const ids = new Set(entry.deviceId ? [entry.deviceId] : []);
+  for (const [key, value] of Object.entries(entry.args || {})) {
+    if (/deviceIds?$/i.test(key) || key === 'devices' || key === 'pin') {
+      const values = typeof value === 'string' ? [value] : Object.values(value || {});
+      values.filter(v => typeof v === 'string').forEach(v => ids.add(v));
+    }
+  }
+  return Array.from(ids);
+}
+
+// Whether an entry passes the filters: { sessionId, client, clientName, tool, deviceId, since, until, errorsOnly }
+// deviceId matches any device the entry refers to.
+export function matchesAuditFilters(e, filters = {}) {
+  return (!filters.sessionId || e.sessionId === filters.sessionId || e.sessionId?.startsWith(filters.sessionId))
+    && (!filters.client || e.client === filters.client)
+    && (!filters.clientName || e.clientName === filters.clientName)
+    && (!filters.tool || e.tool === filters.tool)
+    && (!filters.deviceId || entryDeviceIds(e).includes(filters.deviceId))
+    && (!filters.since || e.timestamp >= filters.since)
+    && (!filters.until || e.timestamp <= filters.until)
+    && (!filters.errorsOnly || e.isError);
+}
@@ -0,0 +1,103 @@
+// Audit log replay
+// Re-issues the tool calls of a recorded session against a running server (through REST /func),
+// optionally pointed at a different device. Nodes and flows created during the replay get new
+// ids, so ids are learned from each result (matched against the recorded result) and
+// substituted into later arguments.
+
+// Tools that make no sense outside the original session
+const SKIPPED_TOOLS = new Set(['get_audit_log', 'subscribe_events', 'unsubscribe_events']);
+
+function parse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Walk a recorded result and the replayed one side by side, pairing up differing `id` values
+function learnIds(recorded, replayed, idMap) {
+  if (Array.isArray(recorded) && Array.isArray(replayed)) {
+    recorded.forEach((item, i) => learnIds(item, replayed[i], idMap));
+    return;
+  }
+  if (!recorded || !replayed || typeof recorded !== 'object' || typeof replayed !== 'object') {
+    return;
+  }
+  for (const [key, value] of Object.entries(recorded)) {
+    if (key === 'id' && typeof value === 'string' && typeof replayed.id === 'string' && value !== replayed.id) {
+      idMap.set(value, replayed.id);
+    } else {
+      learnIds(value, replayed[key], idMap);
+    }
+  }
+}
+
+// Replace known ids anywhere in an argument value
+function substitute(value, idMap) {
+  if (typeof value === 'string') {
+    return idMap.has(value) ? idMap.get(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => substitute(v, idMap));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, idMap)]));
+  }
+  return value;
+}
+
+// entries: audit entries of one session, oldest first
+// Returns [{ step, tool, args, recordedError, isError, matches, result }]
+export async function replaySession({ entries, url, token, deviceId, dryRun = false, log = () => {} }) {
+  const idMap = new Map();
+  if (deviceId) {
+    for (const entry of entries) {
+      if (entry.deviceId && !entry.deviceId.includes(':') && entry.deviceId !== 'all') {
+        idMap.set(entry.deviceId, deviceId);
+      }
+    }
+  }
+
+  const report = [];
+  for (const [i, entry] of entries.entries()) {
+    const step = i + 1;
+    if (SKIPPED_TOOLS.has(entry.tool)) {
+      report.push({ step, tool: entry.tool, skipped: true });
+      continue;
+    }
+
+    const args = substitute(entry.args || {}, idMap);
+    log(`[${step}/${entries.length}] ${entry.tool} ${JSON.stringify(args)}`);
+    if (dryRun) {
+      report.push({ step, tool: entry.tool, args, dryRun: true });
+      continue;
+    }
+
+    const res = await fetch(`${url.replace(/\/$/, '')}/func/${entry.tool}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(args)
+    });
+    const body = await res.json().catch(() => ({}));
+    const text = body.content?.[0]?.text ?? body.error ?? '';
+    const isError = !!body.isError || !res.ok;
+
+    learnIds(parse(entry.result), parse(text), idMap);
+
+    report.push({
+      step,
+      tool: entry.tool,
+      args,
+      recordedError: !!entry.isError,
+      isError,
+      matches: !!entry.isError === isError,
+      result: text
+    });
+  }
+
+  return report;
+}
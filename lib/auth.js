@@ -0,0 +1,120 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Authentication and per-client authorization
+// Auth is off unless an auth config file is given. The file looks like:
+/*
+{
+  "clients": [
+    { "name": "claude", "token": "<secret>", "tools": "*", "devices": "*" },
+    { "name": "dashboard", "token": "<secret>", "tools": ["get_flows", "get_debug_output", "get_logs"], "devices": ["kitchen-pi"] }
+  ],
+  "devices": {
+    "secret": "<shared secret devices send in registerDevice>",
+    "pairingCodes": ["481516"]        // One-time codes, each accepted once per server run
+  },
+  "cors": {
+    "origins": ["https://pagenodes.com"]
+  }
+}
+*/
+// AI clients send their token as `Authorization: Bearer <token>` or `X-API-Key: <token>`.
+// Devices send `secret` or `pairingCode` with registerDevice/registerClient; after that the
+// device token issued at registration is enough to reconnect.
+
+// Constant-time string comparison (hash first so lengths always match)
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Load and validate an auth config file, or a config object given inline in the server config.
+// Returns null when neither is given.
+export function loadAuthConfig(file) {
+  if (!file) {
+    return null;
+  }
+
+  const config = typeof file === 'object' ? file : JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const clients = (config.clients || []).map((client, i) => {
+    if (!client.token) {
+      throw new Error(`Auth config: client ${client.name || i} has no token`);
+    }
+    return {
+      name: client.name || `client-${i + 1}`,
+      token: client.token,
+      tools: client.tools || '*',
+      devices: client.devices || '*'
+    };
+  });
+
+  const secret = config.devices?.secret || null;
+  const pairingCodes = config.devices?.pairingCodes || [];
+
+  return {
+    clients,
+    devices: {
+      // Decided once at load, so running out of pairing codes never opens registration up
+      required: !!(secret || pairingCodes.length),
+      secret,
+      pairingCodes: new Set(pairingCodes)
+    },
+    cors: {
+      origins: config.cors?.origins || []
+    }
+  };
+}
+
+// Find the client a request authenticates as, or null
+export function authenticateRequest(req, auth) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length).trim()
+    : req.headers['x-api-key'];
+
+  if (!token) {
+    return null;
+  }
+
+  return auth.clients.find(client => safeEqual(client.token, token)) || null;
+}
+
+// A null client means auth is disabled - everything is allowed
+export function isToolAllowed(client, toolName) {
+  if (!client || client.tools === '*') return true;
+  return client.tools.includes(toolName);
+}
+
+export function isDeviceAllowed(client, deviceId) {
+  if (!client || client.devices === '*') return true;
+  return client.devices.includes(deviceId);
+}
+
+// Check the credentials a device sent with its registration.
+// Pairing codes are consumed on first use.
+export function checkDeviceCredentials(info, auth) {
+  if (auth.devices.secret && info?.secret && safeEqual(auth.devices.secret, info.secret)) {
+    return true;
+  }
+
+  if (info?.pairingCode) {
+    for (const code of auth.devices.pairingCodes) {
+      if (safeEqual(code, info.pairingCode)) {
+        auth.devices.pairingCodes.delete(code);
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+// Value for Access-Control-Allow-Origin: `*` without auth, otherwise only listed origins
+export function corsOrigin(req, auth) {
+  if (!auth) {
+    return '*';
+  }
+  const origin = req.headers.origin;
+  return origin && auth.cors.origins.includes(origin) ? origin : null;
+}
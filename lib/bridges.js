@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { matchesTopic } from './message-waiter.js';
+
+// Cross-device bridges
+// A bridge relays mcp-out messages from one device into the flows of another, so one logical
+// flow can span a browser tab, a Pi and an embedded runtime without an AI polling in between:
+//   source: { deviceId, topic }     mcp-out messages on this device whose topic matches (glob, default all)
+//   target: { deviceId, topic }     ...go to mcp-in nodes here (topic defaults to the message's own)
+//       or: { deviceId, nodeId }    ...or trigger this node with { payload, topic }
+// Bridged messages are taken off the source queue, so get_mcp_messages no longer sees them.
+// Messages no bridge wants are held by the server for get_mcp_messages (see message-waiter.js),
+// so they don't hold up the ones behind them.
+// Sources are drained when they push an mcp-message event and polled every pollInterval.
+// Messages for a target that is offline wait in memory (up to maxPending per bridge, oldest
+// dropped first) and are relayed in order once it reconnects. A message the target refuses is
+// counted as failed and dropped. Bridges are saved to file; metrics start over with the server.
+
+export const DEFAULT_BRIDGE_POLL_INTERVAL = 1000;
+export const DEFAULT_MAX_PENDING = 100;
+
+function newMetrics() {
+  return { received: 0, relayed: 0, failed: 0, dropped: 0, lastRelayAt: null, lastError: null };
+}
+
+// A bridge that would feed its own source: same device, and the relayed topic (the message's own
+// when target.topic is unset) is one the source picks up
+export function isLoop({ source, target }) {
+  if (source.deviceId !== target.deviceId || target.nodeId) return false;
+  return target.topic === undefined || matchesTopic(source.topic, target.topic);
+}
+
+// take(deviceId, filter) takes a device's queued messages matching filter; the rest are held for
+// get_mcp_messages (see take in message-waiter.js)
+// deliver(bridge, message) sends one message to the bridge's target
+// isConnected(deviceId) says whether a device can be called right now
+export function createBridgeManager({ file, take, deliver, isConnected, pollInterval = DEFAULT_BRIDGE_POLL_INTERVAL, log }) {
+  // Map<id, { bridge, metrics, pending }>
+  const bridges = new Map();
+  const draining = new Set();
+  const flushing = new Set();
+  let pollTimer = null;
+
+  try {
+    if (fs.existsSync(file)) {
+      for (const bridge of JSON.parse(fs.readFileSync(file, 'utf-8')).bridges || []) {
+        bridges.set(bridge.id, { bridge, metrics: newMetrics(), pending: [] });
+      }
+    }
+  } catch (err) {
+    log(`Could not read bridges ${file}: ${err.message}`);
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, bridges: Array.from(bridges.values(), e => e.bridge) }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log(`Could not save bridges ${file}: ${err.message}`);
+    }
+  }
+
+  function find(idOrName) {
+    return bridges.get(idOrName) || Array.from(bridges.values()).find(e => e.bridge.name === idOrName);
+  }
+
+  function describe({ bridge, metrics, pending }) {
+    const sourceOnline = isConnected(bridge.source.deviceId);
+    const targetOnline = isConnected(bridge.target.deviceId);
+    return {
+      ...bridge,
+      status: sourceOnline && targetOnline ? 'active' : 'waiting',
+      sourceOnline,
+      targetOnline,
+      pending: pending.length,
+      metrics
+    };
+  }
+
+  // Relay queued messages in order while the target is reachable
+  async function flush(entry) {
+    const { bridge, metrics, pending } = entry;
+    if (flushing.has(bridge.id) || !isConnected(bridge.target.deviceId)) return;
+    flushing.add(bridge.id);
+    try {
+      while (pending.length && bridges.get(bridge.id) === entry) {
+        const message = pending.shift();
+        try {
+          await deliver(bridge, message);
+          metrics.relayed++;
+          metrics.lastRelayAt = new Date().toISOString();
+        } catch (err) {
+          metrics.failed++;
+          metrics.lastError = { at: new Date().toISOString(), error: err.message };
+          log(`  → Bridge ${bridge.name || bridge.id}: could not relay to ${bridge.target.deviceId}: ${err.message}`);
+        }
+      }
+    } finally {
+      flushing.delete(bridge.id);
+    }
+  }
+
+  function bridgesFrom(deviceId, message) {
+    return Array.from(bridges.values()).filter(({ bridge }) =>
+      bridge.source.deviceId === deviceId && matchesTopic(bridge.source.topic, message.topic)
+    );
+  }
+
+  // Take the messages in a source device's queue that a bridge wants and relay them
+  async function drain(deviceId) {
+    if (draining.has(deviceId) || !isConnected(deviceId)) return;
+    if (!Array.from(bridges.values()).some(e => e.bridge.source.deviceId === deviceId)) return;
+    draining.add(deviceId);
+    try {
+      const { messages } = await take(deviceId, m => bridgesFrom(deviceId, m).length > 0);
+      const touched = new Set();
+      for (const message of messages) {
+        for (const entry of bridgesFrom(deviceId, message)) {
+          entry.metrics.received++;
+          entry.pending.push(message);
+          if (entry.pending.length > entry.bridge.maxPending) {
+            entry.pending.shift();
+            entry.metrics.dropped++;
+          }
+          touched.add(entry);
+        }
+      }
+      for (const entry of touched) flush(entry);
+    } catch (err) {
+      log(`  → Bridges could not drain ${deviceId}: ${err.message}`);
+    } finally {
+      draining.delete(deviceId);
+    }
+  }
+
+  function poll() {
+    const sources = new Set(Array.from(bridges.values(), e => e.bridge.source.deviceId));
+    for (const deviceId of sources) drain(deviceId);
+    for (const entry of bridges.values()) {
+      if (entry.pending.length) flush(entry);
+    }
+  }
+
+  // owner marks bridges set up by something else (a distributed flow) that tears them down itself
+  function create({ name, source, target, maxPending = DEFAULT_MAX_PENDING, owner }) {
+    if (!source?.deviceId || !target?.deviceId) {
+      throw new Error('A bridge needs a source and a target device');
+    }
+    if (target.topic !== undefined && target.nodeId) {
+      throw new Error('A bridge targets either mcp-in nodes (targetTopic) or a node (targetNodeId), not both');
+    }
+    if (name && find(name)) {
+      throw new Error(`A bridge named "${name}" already exists`);
+    }
+    const bridge = {
+      id: `bridge-${crypto.randomUUID().slice(0, 8)}`,
+      ...(name && { name }),
+      source: { deviceId: source.deviceId, topic: source.topic || '*' },
+      target: {
+        deviceId: target.deviceId,
+        ...(target.nodeId ? { nodeId: target.nodeId } : target.topic !== undefined && { topic: target.topic })
+      },
+      maxPending,
+      ...(owner && { owner }),
+      createdAt: new Date().toISOString()
+    };
+    if (isLoop(bridge)) {
+      throw new Error(`Bridge would send ${bridge.source.deviceId}'s messages back into its own source topic`);
+    }
+
+    bridges.set(bridge.id, { bridge, metrics: newMetrics(), pending: [] });
+    save();
+    log(`  → Bridge ${bridge.name || bridge.id}: ${bridge.source.deviceId} (${bridge.source.topic}) → ${bridge.target.deviceId}`);
+    drain(bridge.source.deviceId);
+    return describe(bridges.get(bridge.id));
+  }
+
+  function list(keep = () => true) {
+    return Array.from(bridges.values()).filter(e => keep(e.bridge)).map(describe);
+  }
+
+  function get(idOrName) {
+    const entry = find(idOrName);
+    return entry ? describe(entry) : null;
+  }
+
+  // Tear a bridge down. Messages still waiting for its target are dropped.
+  function remove(idOrName) {
+    const entry = find(idOrName);
+    if (!entry) return null;
+    const removed = describe(entry);
+    bridges.delete(entry.bridge.id);
+    save();
+    log(`  → Bridge ${entry.bridge.name || entry.bridge.id} removed`);
+    return removed;
+  }
+
+  function start() {
+    if (bridges.size) {
+      log(`Bridges:      ${bridges.size} bridge(s)`);
+    }
+    pollTimer = setInterval(poll, pollInterval);
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+  }
+
+  return { create, list, get, remove, notify: drain, start, stop };
+}
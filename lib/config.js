@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Server configuration file
+// Everything the command line takes can also come from a JSON or YAML file given with --config
+// (or PAGENODES_MCP_CONFIG). Command line options win over environment variables, which win
+// over the file, which wins over the defaults. A YAML file looks like:
+/*
+port: 7778
+host: 0.0.0.0                       # Bind address (default: all interfaces)
+publicUrl: https://mcp.example.com  # How clients reach the server, used in SSE endpoints and banners
+dataDir: ~/.pagenodes-mcp
+auditLog: ./audit.jsonl
+timeouts:
+  rpc: 30000
+  heartbeat: 15000
+historyLimit: 50
+auth: ./auth.json                   # A file, or the auth config inline
+groups:                             # A file, or the groups inline
+  kitchen: [kitchen-pi, fridge-esp32]
+webhooks: ./webhooks.json           # A file, or the webhook config inline
+*/
+// Relative paths are resolved against the config file's directory.
+
+// File keys and the CLI options they set
+const OPTION_KEYS = {
+  port: 'port',
+  host: 'host',
+  publicUrl: 'publicUrl',
+  dataDir: 'dataDir',
+  guide: 'guide',
+  auth: 'authConfig',
+  authConfig: 'authConfig',
+  groups: 'groups',
+  webhooks: 'webhooks',
+  auditLog: 'auditLog',
+  record: 'record',
+  historyLimit: 'historyLimit'
+};
+
+const TIMEOUT_KEYS = {
+  rpc: 'rpcTimeout',
+  heartbeat: 'heartbeatInterval'
+};
+
+// Options that name a file or directory
+const PATH_OPTIONS = new Set(['dataDir', 'guide', 'authConfig', 'groups', 'webhooks', 'auditLog', 'record']);
+
+function resolvePath(value, base) {
+  if (typeof value !== 'string') return value;
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return path.resolve(base, value);
+}
+
+// Parse a JSON or YAML config file (YAML is a superset of JSON, but JSON errors read better)
+export function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const data = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${file} must contain an object`);
+  }
+  return data;
+}
+
+// Read a config file into CLI option names. Unknown keys are an error so typos don't go unnoticed.
+export function loadConfigFile(file) {
+  const data = readConfigFile(file);
+  const base = path.dirname(path.resolve(file));
+  const options = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'timeouts') {
+      for (const [name, ms] of Object.entries(value || {})) {
+        if (!TIMEOUT_KEYS[name]) {
+          throw new Error(`Config file ${file}: unknown timeout "${name}" (expected ${Object.keys(TIMEOUT_KEYS).join(', ')})`);
+        }
+        options[TIMEOUT_KEYS[name]] = ms;
+      }
+      continue;
+    }
+    const option = OPTION_KEYS[key] || Object.values(TIMEOUT_KEYS).find(name => name === key);
+    if (!option) {
+      throw new Error(`Config file ${file}: unknown key "${key}"`);
+    }
+    options[option] = PATH_OPTIONS.has(option) ? resolvePath(value, base) : value;
+  }
+
+  // Inline groups may be given without the "groups" wrapper the groups file uses
+  if (options.groups && typeof options.groups === 'object' && !options.groups.groups) {
+    options.groups = { groups: options.groups };
+  }
+
+  return options;
+}
@@ -0,0 +1,42 @@
+// Device custom tools as MCP tools
+// tool-in nodes define flow-backed tools on a device (getCustomTools). Each one is listed in
+// tools/list under a name namespaced by its device - "kitchen-pi" + "get_weather" becomes
+// kitchen_pi__get_weather - and calls go straight to the device's useCustomTool.
+
+export const NAMESPACE_SEPARATOR = '__';
+
+// Anything but letters, digits and _ becomes _ ("kitchen-pi" -> "kitchen_pi"), and runs of _
+// collapse to one so the __ separator can only appear between device and tool
+function sanitize(value) {
+  return String(value).replace(/[^a-zA-Z0-9_]/g, '_').replace(/_{2,}/g, '_');
+}
+
+export function namespacedToolName(deviceId, toolName) {
+  return `${sanitize(deviceId)}${NAMESPACE_SEPARATOR}${sanitize(toolName)}`;
+}
+
+// Tools without their own schema take a message, like use_custom_tool
+const MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    payload: { description: 'Message payload (string, number, boolean, or object)' },
+    topic: { type: 'string', description: 'Optional message topic' }
+  },
+  additionalProperties: true,
+  required: []
+};
+
+// MCP tool definition for one custom tool reported by a device
+export function toMcpTool(deviceId, deviceName, tool) {
+  const schema = tool.inputSchema || tool.schema;
+  return {
+    name: namespacedToolName(deviceId, tool.name),
+    description: `${tool.description || `Custom tool "${tool.name}"`} (flow-backed tool on device "${deviceName}")`,
+    inputSchema: schema || MESSAGE_SCHEMA
+  };
+}
+
+// The message useCustomTool gets for a call. With a declared schema the arguments are the payload.
+export function toCustomToolMessage(tool, args = {}) {
+  return tool.inputSchema || tool.schema ? { payload: args } : args;
+}
@@ -0,0 +1,314 @@
+// Web dashboard
+// GET /ui serves a single page that polls the server for:
+//   GET  /ui/api/state                             devices, MCP sessions and recent tool calls
+//   GET  /ui/api/devices/{id}?feeds=debug,logs     a device's feeds (see DASHBOARD_FEEDS)
+//   POST /ui/api/devices/{id}/inject               { nodeId } - runs inject_node
+//   POST /ui/api/devices/{id}/deploy               runs deploy
+// Feeds read the same device state as the tools they stand in for, and are allowed exactly when
+// those tools are. They are polled, so they aren't written to the audit log; the two actions
+// are, with transport "ui". The page itself is public - with auth enabled it asks for a client
+// token and sends it as a Bearer token.
+
+export const DASHBOARD_PATH = '/ui';
+
+// Feed -> the tool whose permission covers it, and the device call that reads it
+export const DASHBOARD_FEEDS = {
+  flows: { tool: 'get_flows', method: 'getFlows', args: [] },
+  injectNodes: { tool: 'get_inject_nodes', method: 'getInjectNodes', args: [] },
+  debug: { tool: 'get_debug_output', method: 'getDebugOutput', args: [20] },
+  errors: { tool: 'get_errors', method: 'getErrors', args: [20] },
+  logs: { tool: 'get_logs', method: 'getLogs', args: [50, null, null] },
+  // Peek at the mcp-out queue without clearing it
+  messages: { tool: 'get_mcp_messages', method: 'getMessages', args: [50, false] },
+  canvas: { tool: 'get_canvas_svg', method: 'getCanvasSvg', args: [] }
+};
+
+// Feeds the page polls; the canvas is only fetched on request
+export const DEFAULT_FEEDS = ['flows', 'injectNodes', 'debug', 'errors', 'logs', 'messages'];
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 system-ui, sans-serif; background: #f4f5f7; color: #1d2330; }
+  header { display: flex; gap: 16px; align-items: center; padding: 10px 16px; background: #1d2330; color: #fff; }
+  header h1 { font-size: 15px; margin: 0; }
+  header .stats { flex: 1; opacity: .8; }
+  button { font: inherit; padding: 3px 10px; border: 1px solid #9aa3b5; border-radius: 4px; background: #fff; cursor: pointer; }
+  button:hover { background: #eef1f6; }
+  main { display: grid; grid-template-columns: 260px 1fr; gap: 12px; padding: 12px; }
+  section { background: #fff; border: 1px solid #dde1e8; border-radius: 6px; padding: 10px; min-width: 0; }
+  h2 { font-size: 13px; margin: 0 0 8px; text-transform: uppercase; letter-spacing: .04em; color: #5b6478; }
+  .device { padding: 6px 8px; border-radius: 4px; cursor: pointer; }
+  .device:hover, .device.selected { background: #eef1f6; }
+  .device small { display: block; color: #5b6478; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 6px; background: #b0b6c3; }
+  .dot.online { background: #2fa84f; }
+  .toolbar { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-bottom: 8px; }
+  .toolbar .title { font-weight: 600; font-size: 14px; flex: 1; }
+  .canvas { border: 1px solid #dde1e8; border-radius: 4px; min-height: 120px; overflow: auto; background: #fafbfc; }
+  .canvas img { display: block; max-width: none; }
+  .feeds { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 12px; margin-top: 12px; }
+  .feed { max-height: 260px; overflow: auto; font: 12px/1.4 ui-monospace, monospace; white-space: pre-wrap; word-break: break-all; }
+  .feed div { padding: 2px 0; border-bottom: 1px solid #f0f1f4; }
+  .error, .isError { color: #c0392b; }
+  .muted { color: #8a92a3; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { text-align: left; padding: 3px 6px; border-bottom: 1px solid #f0f1f4; white-space: nowrap; }
+  td.args { white-space: normal; font-family: ui-monospace, monospace; font-size: 12px; word-break: break-all; }
+  .wide { grid-column: 1 / -1; }
+  #login { display: none; }
+`;
+
+// Runs in the browser. Everything from the server is rendered as text, and the canvas SVG as an
+// image, so nothing a device reports can run script in the page.
+const SCRIPT = `
+  const TOKEN_KEY = 'pagenodes-mcp-token';
+  const FEED_TITLES = { debug: 'Debug', errors: 'Errors', logs: 'Logs', messages: 'Queued mcp-out messages' };
+  let token = localStorage.getItem(TOKEN_KEY) || '';
+  let selected = null;
+  let selectedFlow = '';
+  let lastFeeds = {};
+
+  const $ = (id) => document.getElementById(id);
+
+  function el(tag, props = {}, ...children) {
+    const node = Object.assign(document.createElement(tag), props);
+    for (const child of children) {
+      if (child !== null && child !== undefined) node.append(child);
+    }
+    return node;
+  }
+
+  function ago(iso) {
+    if (!iso) return 'never';
+    const sec = Math.round((Date.now() - Date.parse(iso)) / 1000);
+    if (sec < 60) return sec + 's ago';
+    if (sec < 3600) return Math.round(sec / 60) + 'm ago';
+    return Math.round(sec / 3600) + 'h ago';
+  }
+
+  function time(value) {
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleTimeString() + ' ';
+  }
+
+  async function api(path, options = {}) {
+    const res = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: 'Bearer ' + token }) }
+    });
+    if (res.status === 401) {
+      $('login').style.display = 'inline';
+      throw new Error('Unauthorized - enter a client token');
+    }
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(body?.error?.message || body?.error || res.statusText);
+    return body;
+  }
+
+  function setToken() {
+    token = $('token').value.trim();
+    localStorage.setItem(TOKEN_KEY, token);
+    $('login').style.display = 'none';
+    refreshState();
+  }
+
+  function notice(text, isError) {
+    $('notice').textContent = text;
+    $('notice').className = isError ? 'error' : 'muted';
+  }
+
+  async function refreshState() {
+    let state;
+    try {
+      state = await api('${DASHBOARD_PATH}/api/state');
+    } catch (err) {
+      notice(err.message, true);
+      return;
+    }
+    const online = state.devices.filter(d => d.status === 'online').length;
+    $('stats').textContent = 'v' + state.version + ' · ' + online + '/' + state.devices.length + ' devices online · '
+      + state.sessions.sse + ' SSE / ' + state.sessions.streamableHttp + ' HTTP sessions';
+
+    $('devices').replaceChildren(...state.devices.map(d => el('div', {
+      className: 'device' + (d.id === selected ? ' selected' : ''),
+      onclick: () => select(d.id)
+    },
+    el('span', { className: 'dot' + (d.status === 'online' ? ' online' : '') }),
+    d.name || d.id,
+    el('small', { textContent: d.id + ' · ' + (d.type || '?') + ' · ' + d.nodeCount + ' node types · seen ' + ago(d.lastSeen) }))));
+    if (!state.devices.length) $('devices').replaceChildren(el('div', { className: 'muted', textContent: 'No devices yet' }));
+
+    renderToolCalls(state.toolCalls);
+    if (!selected && state.devices.length) select(state.devices[0].id);
+    const device = state.devices.find(d => d.id === selected);
+    $('device-title').textContent = device ? (device.name || device.id) + ' (' + device.status + ')' : '';
+  }
+
+  function renderToolCalls(calls) {
+    if (!calls) {
+      $('calls').replaceChildren(el('tr', {}, el('td', { className: 'muted', textContent: 'Not allowed to read the audit log' })));
+      return;
+    }
+    $('calls').replaceChildren(
+      el('tr', {}, ...['Time', 'Client', 'Transport', 'Tool', 'Device', 'ms', 'Arguments'].map(t => el('th', { textContent: t }))),
+      ...calls.map(c => el('tr', { className: c.isError ? 'isError' : '' },
+        el('td', { textContent: time(c.timestamp) }),
+        el('td', { textContent: c.client || c.clientName || '' }),
+        el('td', { textContent: c.transport || '' }),
+        el('td', { textContent: c.tool }),
+        el('td', { textContent: c.deviceId || '' }),
+        el('td', { textContent: c.durationMs }),
+        el('td', { className: 'args', textContent: JSON.stringify(c.args).slice(0, 300) })))
+    );
+  }
+
+  function select(deviceId) {
+    selected = deviceId;
+    selectedFlow = '';
+    lastFeeds = {};
+    $('canvas').replaceChildren();
+    refreshState();
+    refreshDevice();
+    refreshCanvas();
+  }
+
+  function line(feed, entry) {
+    if (feed === 'logs') return time(entry.t) + '[' + (entry.c || '') + '] ' + (entry.l || '') + ' ' + entry.m;
+    if (feed === 'messages') return time(entry.timestamp) + (entry.topic ? entry.topic + ': ' : '') + JSON.stringify(entry.payload);
+    return JSON.stringify(entry);
+  }
+
+  function entries(feed, value) {
+    if (!value) return [];
+    return value.messages || value.errors || value.logs || [];
+  }
+
+  function renderFeeds(feeds) {
+    $('feeds').replaceChildren(...Object.entries(FEED_TITLES).map(([feed, title]) => {
+      const value = feeds[feed];
+      const list = entries(feed, value);
+      return el('section', {},
+        el('h2', { textContent: title + (value && !value.error ? ' (' + list.length + ')' : '') }),
+        el('div', { className: 'feed' },
+          ...(value?.error
+            ? [el('div', { className: 'error', textContent: value.error })]
+            : list.length ? list.map(entry => el('div', { className: feed === 'errors' ? 'error' : '', textContent: line(feed, entry) }))
+              : [el('div', { className: 'muted', textContent: 'Nothing yet' })])));
+    }));
+  }
+
+  function renderFlows(feeds) {
+    const flows = feeds.flows?.flows || [];
+    const nodes = feeds.flows?.nodes || [];
+    $('flow').replaceChildren(
+      el('option', { value: '', textContent: 'All flows (' + nodes.length + ' nodes)' }),
+      ...flows.map(f => el('option', {
+        value: f.id,
+        selected: f.id === selectedFlow,
+        textContent: (f.label || f.id) + ' (' + nodes.filter(n => n.z === f.id).length + ' nodes)'
+      }))
+    );
+    const injects = (feeds.injectNodes?.nodes || []).filter(n => !selectedFlow || n.z === selectedFlow);
+    $('injects').replaceChildren(...injects.map(n => el('button', {
+      textContent: '▶ ' + (n.name || n.id),
+      title: 'Inject ' + n.id,
+      onclick: () => act('inject', { nodeId: n.id }, 'Injected ' + (n.name || n.id))
+    })));
+  }
+
+  async function refreshDevice() {
+    if (!selected) return;
+    const deviceId = selected;
+    try {
+      const result = await api('${DASHBOARD_PATH}/api/devices/' + encodeURIComponent(deviceId));
+      if (deviceId !== selected) return;
+      lastFeeds = result.feeds;
+      renderFlows(lastFeeds);
+      renderFeeds(lastFeeds);
+    } catch (err) {
+      if (deviceId === selected) renderFeeds(Object.fromEntries(Object.keys(FEED_TITLES).map(f => [f, { error: err.message }])));
+    }
+  }
+
+  async function refreshCanvas() {
+    if (!selected) return;
+    try {
+      const result = await api('${DASHBOARD_PATH}/api/devices/' + encodeURIComponent(selected) + '?feeds=canvas');
+      const canvas = result.feeds.canvas;
+      if (canvas?.error || !canvas?.svg) {
+        $('canvas').replaceChildren(el('div', { className: 'muted', textContent: canvas?.error || 'No canvas' }));
+        return;
+      }
+      const src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(canvas.svg);
+      $('canvas').replaceChildren(el('img', { src, alt: 'Flow canvas' }));
+    } catch (err) {
+      $('canvas').replaceChildren(el('div', { className: 'error', textContent: err.message }));
+    }
+  }
+
+  async function act(action, body, done) {
+    try {
+      const result = await api('${DASHBOARD_PATH}/api/devices/' + encodeURIComponent(selected) + '/' + action, { method: 'POST', body: JSON.stringify(body) });
+      if (result?.success === false) throw new Error(result.error || action + ' failed');
+      notice(done + ' at ' + new Date().toLocaleTimeString());
+      refreshDevice();
+      if (action === 'deploy') refreshCanvas();
+    } catch (err) {
+      notice(err.message, true);
+    }
+  }
+
+  $('flow').onchange = () => { selectedFlow = $('flow').value; renderFlows(lastFeeds); };
+  $('deploy').onclick = () => act('deploy', {}, 'Deployed');
+  $('refresh-canvas').onclick = refreshCanvas;
+  $('token-button').onclick = () => { $('login').style.display = 'inline'; $('token').value = token; };
+  $('save-token').onclick = setToken;
+
+  refreshState();
+  setInterval(refreshState, 3000);
+  setInterval(refreshDevice, 2000);
+`;
+
+export function dashboardPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>PageNodes MCP</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>PageNodes MCP</h1>
+  <span class="stats" id="stats">Loading...</span>
+  <span id="login"><input id="token" type="password" placeholder="Client token"> <button id="save-token">Save</button></span>
+  <button id="token-button">Token</button>
+</header>
+<main>
+  <section>
+    <h2>Devices</h2>
+    <div id="devices"></div>
+  </section>
+  <section>
+    <div class="toolbar">
+      <span class="title" id="device-title"></span>
+      <select id="flow"></select>
+      <button id="refresh-canvas">Refresh canvas</button>
+      <button id="deploy">Deploy</button>
+    </div>
+    <div class="toolbar" id="injects"></div>
+    <div class="canvas" id="canvas"></div>
+    <div id="notice" class="muted"></div>
+    <div class="feeds" id="feeds"></div>
+  </section>
+  <section class="wide">
+    <h2>Recent tool calls</h2>
+    <table id="calls"></table>
+  </section>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+
+// Device groups and targets
+// A group is a named list of device ids. Groups come from a groups file given at startup
+// (read-only) or are created at runtime with create_group/add_to_group (saved to disk).
+// The groups file looks like:
+/*
+{
+  "groups": {
+    "kitchen": ["kitchen-pi", "fridge-esp32"],
+    "garage": { "devices": ["garage-door"], "description": "Door and lights" }
+  }
+}
+*/
+// Device-scoped tools accept a target instead of a single device id:
+//   "group:<name>"        every device in the group
+//   "tag:<tag>[,<tag>]"   every device whose meta.tags has all the listed tags
+
+const GROUP_PREFIX = 'group:';
+const TAG_PREFIX = 'tag:';
+
+// Is a deviceId argument a group or tag target rather than a single device?
+export function isDeviceTarget(deviceId) {
+  return typeof deviceId === 'string' && (deviceId.startsWith(GROUP_PREFIX) || deviceId.startsWith(TAG_PREFIX));
+}
+
+function normalizeGroup(name, value, source) {
+  const group = Array.isArray(value) ? { devices: value } : (value || {});
+  return {
+    name,
+    description: group.description || '',
+    devices: Array.from(new Set(group.devices || [])),
+    source
+  };
+}
+
+// file: a path, or groups given inline in the server config ({ groups: { ... } })
+function readGroups(file, source, log) {
+  if (!file || (typeof file === 'string' && !fs.existsSync(file))) {
+    return [];
+  }
+  try {
+    const data = typeof file === 'object' ? file : JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Object.entries(data.groups || {}).map(([name, value]) => normalizeGroup(name, value, source));
+  } catch (err) {
+    log(`Could not read device groups ${file}: ${err.message}`);
+    return [];
+  }
+}
+
+// Group store. configFile groups are fixed; runtime groups are persisted to file.
+export function createGroupStore({ file, configFile, log }) {
+  const groups = new Map();
+  for (const group of readGroups(file, 'runtime', log)) {
+    groups.set(group.name, group);
+  }
+  // Groups from the server config win over saved ones with the same name
+  for (const group of readGroups(configFile, 'config', log)) {
+    groups.set(group.name, group);
+  }
+
+  function save() {
+    const data = { version: 1, groups: {} };
+    for (const group of groups.values()) {
+      if (group.source === 'runtime') {
+        data.groups[group.name] = { devices: group.devices, description: group.description };
+      }
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log(`Could not save device groups ${file}: ${err.message}`);
+    }
+  }
+
+  // A runtime group that may be changed, or an error
+  function editable(name) {
+    const group = groups.get(name);
+    if (!group) {
+      throw Object.assign(new Error(`Group "${name}" not found. Use list_groups to see groups.`), { code: 'NOT_FOUND' });
+    }
+    if (group.source === 'config') {
+      throw new Error(`Group "${name}" is defined in the server config and can't be changed at runtime.`);
+    }
+    return group;
+  }
+
+  function create(name, { devices = [], description = '' } = {}) {
+    if (!name || name.includes(',')) {
+      throw new Error('Group name is required and can\'t contain commas');
+    }
+    if (groups.has(name)) {
+      throw new Error(`Group "${name}" already exists. Use add_to_group to add devices.`);
+    }
+    const group = normalizeGroup(name, { devices, description }, 'runtime');
+    groups.set(name, group);
+    save();
+    return group;
+  }
+
+  function add(name, deviceIds) {
+    const group = editable(name);
+    group.devices = Array.from(new Set([...group.devices, ...deviceIds]));
+    save();
+    return group;
+  }
+
+  function remove(name, deviceIds) {
+    const group = editable(name);
+    group.devices = group.devices.filter(id => !deviceIds.includes(id));
+    save();
+    return group;
+  }
+
+  function destroy(name) {
+    editable(name);
+    groups.delete(name);
+    save();
+  }
+
+  return {
+    list: () => Array.from(groups.values()),
+    get: (name) => groups.get(name) || null,
+    create,
+    add,
+    remove,
+    delete: destroy
+  };
+}
+
+// Device ids a target resolves to, in registry order for tags and group order for groups.
+// devices: Map<deviceId, { registration }>
+export function resolveDeviceTarget(target, devices, groupStore) {
+  if (target.startsWith(GROUP_PREFIX)) {
+    const name = target.slice(GROUP_PREFIX.length);
+    const group = groupStore.get(name);
+    if (!group) {
+      throw Object.assign(new Error(`Group "${name}" not found. Use list_groups to see groups.`), { code: 'NOT_FOUND' });
+    }
+    return group.devices;
+  }
+
+  const tags = target.slice(TAG_PREFIX.length).split(',').map(t => t.trim()).filter(Boolean);
+  if (!tags.length) {
+    throw new Error(`No tags given in "${target}". Use "tag:<tag>" or "tag:<tag>,<tag>".`);
+  }
+  return Array.from(devices.entries())
+    .filter(([, device]) => tags.every(tag => (device.registration.meta?.tags || []).includes(tag)))
+    .map(([id]) => id);
+}
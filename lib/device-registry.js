@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Persistent device registry
+// Registrations outlive their WebSocket so list_devices can report offline devices,
+// and a returning device reclaims its id by presenting the token it was issued.
+// Only a hash of each token is written to disk.
+
+// Generate a new device token (handed to the device once, at registration)
+export function generateDeviceToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+export function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Load saved devices. Everything starts offline - a device is online only once it reconnects.
+// Returns [{ registration, tokenHash }]
+export function loadRegistry(file, log) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return (data.devices || []).map(entry => ({
+      tokenHash: entry.tokenHash || null,
+      registration: { ...entry.registration, status: 'offline' }
+    }));
+  } catch (err) {
+    log(`Could not read device registry ${file}: ${err.message}`);
+    return [];
+  }
+}
+
+// Save every known device. Written to a temp file first so a crash never leaves half a registry.
+export function saveRegistry(file, devices, log) {
+  const data = {
+    version: 1,
+    devices: Array.from(devices.values()).map(d => ({
+      tokenHash: d.tokenHash || null,
+      registration: d.registration
+    }))
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    log(`Could not save device registry ${file}: ${err.message}`);
+  }
+}
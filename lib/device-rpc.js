@@ -0,0 +1,153 @@
+// Device RPC helpers - timeouts and heartbeats
+// Every call to a device goes through callDevice so a sleeping browser tab can't hang a
+// tool call forever, and every reply counts as a sign of life for lastSeen.
+
+export const DEFAULT_RPC_TIMEOUT = 30 * 1000;
+export const DEFAULT_HEARTBEAT_INTERVAL = 15 * 1000;
+
+// Missed WebSocket pongs before a connection is considered dead and closed
+const MAX_MISSED_PONGS = 3;
+
+// Unanswered rawr pings from a fresh connection before we decide the device doesn't implement `ping`
+const MAX_UNANSWERED_PINGS = 3;
+
+// Raised when a device doesn't answer an RPC in time.
+// Serializes to the structured error returned to MCP clients.
+export class DeviceTimeoutError extends Error {
+  constructor(deviceId, method, timeoutMs) {
+    super(`Device "${deviceId}" did not respond to ${method} within ${timeoutMs}ms`);
+    this.name = 'DeviceTimeoutError';
+    this.code = 'DEVICE_TIMEOUT';
+    this.deviceId = deviceId;
+    this.method = method;
+    this.timeoutMs = timeoutMs;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      deviceId: this.deviceId,
+      method: this.method,
+      timeoutMs: this.timeoutMs
+    };
+  }
+}
+
+// Record that a device answered - it's alive and responsive
+function markSeen(device) {
+  device.registration.lastSeen = new Date().toISOString();
+  if (device.registration.status === 'error') {
+    device.registration.status = 'online';
+  }
+}
+
+// Call a method on a device's rawr peer, rejecting with DeviceTimeoutError after timeoutMs.
+// A timeout flips the device to 'error' (unless markError is false); any reply brings it back to 'online'.
+// record({ deviceId, method, args, durationMs, result | error }) is called once the call settles.
+export function callDevice(device, method, args, timeoutMs, { markError = true, record = null } = {}) {
+  const { registration, peer } = device;
+  const started = Date.now();
+  let settled = false;
+  // A reply arriving after the timeout isn't recorded a second time
+  const settle = (outcome) => {
+    if (settled) return;
+    settled = true;
+    record?.({ deviceId: registration.id, method, args, durationMs: Date.now() - started, ...outcome });
+  };
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (markError && device.peer === peer) {
+        registration.status = 'error';
+      }
+      const error = new DeviceTimeoutError(registration.id, method, timeoutMs);
+      settle({ error });
+      reject(error);
+    }, timeoutMs);
+
+    peer.methods[method](...args).then(
+      (result) => {
+        clearTimeout(timer);
+        markSeen(device);
+        settle({ result });
+        resolve(result);
+      },
+      (err) => {
+        clearTimeout(timer);
+        // An error reply still means the device is alive
+        markSeen(device);
+        const error = err instanceof Error ? err : new Error(err?.message || String(err));
+        settle({ error });
+        reject(error);
+      }
+    );
+  });
+}
+
+// Heartbeat loop over every connected device.
+// Two signals per tick:
+//   - WebSocket ping/pong: transport liveness. Too many missed pongs closes the socket,
+//     which marks the device offline through the normal close handler.
+//   - rawr `ping`: runtime responsiveness. A device that answers `ping` and then stops is
+//     flagged 'error' (e.g. a throttled background tab). A fresh connection that never answers
+//     is assumed not to implement `ping` and is judged by the WebSocket alone.
+export function startHeartbeat({ devices, interval = DEFAULT_HEARTBEAT_INTERVAL, log }) {
+  function beat(device) {
+    const { ws, registration } = device;
+    const heartbeat = device.heartbeat || (device.heartbeat = {});
+
+    if (heartbeat.ws !== ws) {
+      // New connection - start tracking from scratch
+      heartbeat.ws = ws;
+      heartbeat.missedPongs = 0;
+      heartbeat.unansweredPings = 0;
+      heartbeat.pingSupported = false;
+      ws.on('pong', () => {
+        heartbeat.missedPongs = 0;
+        registration.lastSeen = new Date().toISOString();
+      });
+    }
+
+    if (heartbeat.missedPongs >= MAX_MISSED_PONGS) {
+      log(`\n✗ Device not responding, closing connection: ${registration.name}`);
+      ws.terminate();
+      return;
+    }
+    heartbeat.missedPongs++;
+    ws.ping();
+
+    if (!heartbeat.pingSupported && heartbeat.unansweredPings >= MAX_UNANSWERED_PINGS) {
+      return;
+    }
+
+    callDevice(device, 'ping', [], interval, { markError: heartbeat.pingSupported }).then(
+      () => {
+        if (heartbeat.unresponsive) {
+          log(`  → Device responding again: ${registration.name}`);
+        }
+        heartbeat.pingSupported = true;
+        heartbeat.unresponsive = false;
+      },
+      (err) => {
+        if (!(err instanceof DeviceTimeoutError)) return;
+        heartbeat.unansweredPings++;
+        if (heartbeat.pingSupported && !heartbeat.unresponsive) {
+          heartbeat.unresponsive = true;
+          log(`  → Device unresponsive: ${registration.name} (last seen ${registration.lastSeen})`);
+        }
+      }
+    );
+  }
+
+  const timer = setInterval(() => {
+    for (const device of devices.values()) {
+      if (device.peer && device.ws) {
+        beat(device);
+      }
+    }
+  }, interval);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
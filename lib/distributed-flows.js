@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+
+// Distributed flows
+// One logical flow, written as add_nodes entries (tempIds and wires), split across devices by
+// node type: a gpio-out node has to run on the device that has gpio-out, a speech node on one
+// that has speech. Nodes any candidate could run are placed next to the nodes they're wired
+// to, so as few wires as possible cross devices. Each wire that does cross is cut:
+//
+//   [sensor] → [mcp-out topic=distributed/<name>/<n>]        on the source device
+//        (server bridge, see bridges.js)
+//   [mcp-in topic=distributed/<name>/<n>] → [targets]        on the target device
+//
+// A target device without mcp-in gets a bridge that triggers each target node instead.
+// Config nodes are copied to every device whose nodes reference them. Audio stream wires
+// can't be relayed, so nodes joined by streamWires must end up on the same device.
+
+const RELAY_TOPIC_PREFIX = 'distributed';
+
+// Properties that are never config references
+const STRUCTURAL_KEYS = new Set(['tempId', 'type', 'x', 'y', 'z', 'name', 'wires', 'streamWires']);
+
+// Stream wires weigh so much that the greedy placement never splits them if it can help it
+const STREAM_WEIGHT = 1000;
+
+function referencedIds(entry, ids) {
+  return Object.entries(entry)
+    .filter(([key, value]) => !STRUCTURAL_KEYS.has(key) && typeof value === 'string' && value !== entry.tempId && ids.has(value))
+    .map(([, value]) => value);
+}
+
+function wireTargets(entry, key = 'wires') {
+  return (entry[key] || []).flat().filter(Boolean);
+}
+
+// nodes: add_nodes entries. candidates: device ids to place on, in order of preference.
+// typeDevices: Map<nodeType, deviceId[]> of devices that have each type.
+// categories: Map<nodeType, category> from the aggregated catalog, to spot config nodes.
+// pins: { tempId: deviceId } for nodes that must run on a given device.
+// Returns { placement, parts, cuts, problems }. Nothing here touches a device.
+export function planPartition({ name, nodes, candidates, typeDevices, categories = new Map(), pins = {} }) {
+  const problems = [];
+  const ids = new Set();
+  for (const entry of nodes) {
+    if (!entry?.tempId || !entry.type) {
+      problems.push(`Every node needs a tempId and a type (got ${JSON.stringify(entry)})`);
+    } else if (ids.has(entry.tempId)) {
+      problems.push(`Duplicate tempId "${entry.tempId}"`);
+    }
+    ids.add(entry?.tempId);
+  }
+  if (problems.length) {
+    return { placement: {}, parts: new Map(), cuts: [], problems };
+  }
+
+  const referenced = new Set(nodes.flatMap(entry => referencedIds(entry, ids)));
+  const isConfig = (entry) => categories.get(entry.type) === 'config' || (referenced.has(entry.tempId) && !entry.wires?.length);
+  const byId = new Map(nodes.map(entry => [entry.tempId, entry]));
+  const flowNodes = nodes.filter(entry => !isConfig(entry));
+  const configNodes = nodes.filter(isConfig);
+  const can = (deviceId, type) => (typeDevices.get(type) || []).includes(deviceId);
+  const capable = (entry) => candidates.filter(deviceId => can(deviceId, entry.type));
+
+  for (const [tempId, deviceId] of Object.entries(pins)) {
+    if (!byId.has(tempId)) {
+      problems.push(`Pinned node "${tempId}" is not in the flow`);
+    }
+    if (!candidates.includes(deviceId)) {
+      problems.push(`Pinned device "${deviceId}" for "${tempId}" is not a connected candidate device`);
+    }
+  }
+
+  const placement = {};
+  for (const entry of flowNodes) {
+    const pinned = pins[entry.tempId];
+    if (pinned && !can(pinned, entry.type)) {
+      problems.push(`"${entry.tempId}" is pinned to "${pinned}", which has no "${entry.type}" node`);
+    } else if (pinned) {
+      placement[entry.tempId] = pinned;
+    } else if (!capable(entry).length) {
+      problems.push(`No candidate device has node type "${entry.type}" (needed by "${entry.tempId}")`);
+    } else if (capable(entry).length === 1) {
+      // Only one place it can go - placed first so the rest gather around it
+      placement[entry.tempId] = capable(entry)[0];
+    }
+  }
+  if (problems.length) {
+    return { placement, parts: new Map(), cuts: [], problems };
+  }
+
+  // Undirected, weighted neighbours between flow nodes
+  const neighbours = new Map(flowNodes.map(entry => [entry.tempId, []]));
+  for (const entry of flowNodes) {
+    for (const [key, weight] of [['wires', 1], ['streamWires', STREAM_WEIGHT]]) {
+      for (const target of wireTargets(entry, key)) {
+        if (!neighbours.has(target)) continue;
+        neighbours.get(entry.tempId).push({ id: target, weight });
+        neighbours.get(target).push({ id: entry.tempId, weight });
+      }
+    }
+  }
+
+  // Greedy: repeatedly place the node with the strongest pull towards one device. Ties go to
+  // the device that could host the most of what's left, so flows stay whole where they can.
+  const unplaced = new Set(flowNodes.filter(entry => !placement[entry.tempId]).map(entry => entry.tempId));
+  while (unplaced.size) {
+    let best = null;
+    for (const tempId of unplaced) {
+      for (const deviceId of capable(byId.get(tempId))) {
+        const pull = neighbours.get(tempId)
+          .filter(n => placement[n.id] === deviceId)
+          .reduce((sum, n) => sum + n.weight, 0);
+        const coverage = Array.from(unplaced).filter(id => can(deviceId, byId.get(id).type)).length;
+        if (!best || pull > best.pull || (pull === best.pull && coverage > best.coverage)) {
+          best = { tempId, deviceId, pull, coverage };
+        }
+      }
+    }
+    placement[best.tempId] = best.deviceId;
+    unplaced.delete(best.tempId);
+  }
+
+  for (const entry of flowNodes) {
+    for (const target of wireTargets(entry, 'streamWires')) {
+      if (placement[target] && placement[target] !== placement[entry.tempId]) {
+        problems.push(`Stream wire ${entry.tempId} → ${target} would cross from "${placement[entry.tempId]}" to "${placement[target]}"; audio streams can't be relayed. Pin both nodes to one device.`);
+      }
+    }
+  }
+
+  // Config nodes go wherever something references them, following config-to-config references
+  const parts = new Map(candidates.filter(d => Object.values(placement).includes(d)).map(d => [d, { nodes: [], configNodes: [] }]));
+  for (const [deviceId, part] of parts) {
+    const needed = new Set();
+    const queue = flowNodes.filter(entry => placement[entry.tempId] === deviceId).flatMap(entry => referencedIds(entry, ids));
+    while (queue.length) {
+      const id = queue.shift();
+      const config = byId.get(id);
+      if (config && isConfig(config) && !needed.has(id)) {
+        needed.add(id);
+        queue.push(...referencedIds(config, ids));
+        if (!can(deviceId, config.type)) {
+          problems.push(`Config node "${id}" (${config.type}) is needed on "${deviceId}", which has no "${config.type}" node`);
+        }
+      }
+    }
+    part.configNodes = configNodes.filter(entry => needed.has(entry.tempId)).map(entry => ({ ...entry }));
+  }
+
+  // Cut every wire that crosses devices: one relay per source port and target device
+  const cuts = [];
+  for (const entry of flowNodes) {
+    const fromDevice = placement[entry.tempId];
+    const wires = (entry.wires || []).map(port => (port || []).filter(target => placement[target]));
+    wires.forEach((port, index) => {
+      const byDevice = new Map();
+      for (const target of port) {
+        const toDevice = placement[target];
+        if (toDevice === fromDevice) continue;
+        if (!byDevice.has(toDevice)) byDevice.set(toDevice, []);
+        byDevice.get(toDevice).push(target);
+      }
+      for (const [toDevice, targets] of byDevice) {
+        const n = cuts.length + 1;
+        cuts.push({
+          id: n,
+          from: entry.tempId,
+          port: index,
+          fromDevice,
+          toDevice,
+          targets,
+          topic: `${RELAY_TOPIC_PREFIX}/${name}/${n}`,
+          mode: can(toDevice, 'mcp-in') ? 'mcp-in' : 'trigger'
+        });
+        if (!can(fromDevice, 'mcp-out')) {
+          problems.push(`Wire ${entry.tempId} → ${targets.join(', ')} crosses from "${fromDevice}" to "${toDevice}", but "${fromDevice}" has no mcp-out node to relay it`);
+        }
+      }
+    });
+  }
+
+  // Per-device add_nodes entries: same-device wires kept, cut wires replaced by relay nodes
+  for (const entry of flowNodes) {
+    const deviceId = placement[entry.tempId];
+    const { wires, streamWires, ...props } = entry;
+    const node = { ...props };
+    if (wires) {
+      node.wires = wires.map((port, index) => [
+        ...(port || []).filter(target => placement[target] === deviceId),
+        ...cuts.filter(c => c.from === entry.tempId && c.port === index).map(c => `__relay_out_${c.id}`)
+      ]);
+    }
+    if (streamWires) {
+      node.streamWires = streamWires.map(port => (port || []).filter(target => placement[target] === deviceId));
+    }
+    parts.get(deviceId).nodes.push(node);
+  }
+  for (const cut of cuts) {
+    const from = byId.get(cut.from);
+    parts.get(cut.fromDevice).nodes.push({
+      tempId: `__relay_out_${cut.id}`,
+      type: 'mcp-out',
+      name: `to ${cut.toDevice}`,
+      topic: cut.topic,
+      x: (from.x || 0) + 180,
+      y: (from.y || 0) + 40 * cut.port
+    });
+    if (cut.mode === 'mcp-in') {
+      const first = byId.get(cut.targets[0]);
+      parts.get(cut.toDevice).nodes.push({
+        tempId: `__relay_in_${cut.id}`,
+        type: 'mcp-in',
+        name: `from ${cut.fromDevice}`,
+        topic: cut.topic,
+        x: Math.max(20, (first.x || 0) - 180),
+        y: first.y || 0,
+        wires: [cut.targets]
+      });
+    }
+  }
+
+  return { placement, parts, cuts, problems };
+}
+
+// Deployed distributed flows, saved so they can be torn down after a restart
+// Record: { name, createdAt, placement, parts: [{ deviceId, flowId, nodeIds }], relays, bridges }
+export function createDistributedFlowStore({ file, log }) {
+  let flows = {};
+  try {
+    if (fs.existsSync(file)) {
+      flows = JSON.parse(fs.readFileSync(file, 'utf-8')).flows || {};
+    }
+  } catch (err) {
+    log(`Could not read distributed flows ${file}: ${err.message}`);
+  }
+
+  function write() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, flows }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log(`Could not save distributed flows ${file}: ${err.message}`);
+    }
+  }
+
+  function list() {
+    return Object.values(flows);
+  }
+
+  function get(name) {
+    return flows[name] || null;
+  }
+
+  function save(record) {
+    flows[record.name] = record;
+    write();
+    return record;
+  }
+
+  function remove(name) {
+    if (!flows[name]) return false;
+    delete flows[name];
+    write();
+    return true;
+  }
+
+  return { list, get, save, remove };
+}
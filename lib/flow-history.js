@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import { configNodeBatches, toAddNodesEntry } from './flow-transfer.js';
+
+// Server-side flow history
+// Every deploy records a getFlows() snapshot per device, so a broken flow can be compared
+// against what ran before and rolled back. Versions are stored one file each under
+// <dir>/<deviceId>/<version>.json, and only the newest `limit` are kept.
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+// Properties compared as wires rather than as plain values
+const WIRE_KEYS = ['wires', 'streamWires'];
+
+export function createFlowHistory({ dir, limit = DEFAULT_HISTORY_LIMIT, log }) {
+  function deviceDir(deviceId) {
+    return path.join(dir, encodeURIComponent(deviceId));
+  }
+
+  function versionFile(deviceId, version) {
+    return path.join(deviceDir(deviceId), `${String(version).padStart(6, '0')}.json`);
+  }
+
+  // Version numbers on disk, oldest first
+  function versions(deviceId) {
+    const dirPath = deviceDir(deviceId);
+    if (!fs.existsSync(dirPath)) {
+      return [];
+    }
+    return fs.readdirSync(dirPath)
+      .filter(f => /^\d+\.json$/.test(f))
+      .map(f => parseInt(f, 10))
+      .sort((a, b) => a - b);
+  }
+
+  function get(deviceId, version) {
+    const file = versionFile(deviceId, version);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  function summarize(entry) {
+    return {
+      version: entry.version,
+      createdAt: entry.createdAt,
+      reason: entry.reason,
+      flowCount: entry.flows?.flows?.length || 0,
+      nodeCount: entry.flows?.nodes?.length || 0,
+      configNodeCount: entry.flows?.configNodes?.length || 0
+    };
+  }
+
+  // Store a snapshot. An identical copy of the latest version isn't stored twice.
+  // Returns the version summary, with unchanged: true when the latest was reused.
+  function record(deviceId, flows, reason) {
+    const existing = versions(deviceId);
+    const latest = existing.length ? get(deviceId, existing[existing.length - 1]) : null;
+    if (latest && JSON.stringify(latest.flows) === JSON.stringify(flows)) {
+      return { ...summarize(latest), unchanged: true };
+    }
+
+    const entry = {
+      version: latest ? latest.version + 1 : 1,
+      deviceId,
+      createdAt: new Date().toISOString(),
+      reason,
+      flows
+    };
+
+    try {
+      fs.mkdirSync(deviceDir(deviceId), { recursive: true });
+      fs.writeFileSync(versionFile(deviceId, entry.version), JSON.stringify(entry, null, 2));
+
+      // Prune the oldest versions beyond the limit
+      for (const old of [...existing, entry.version].slice(0, -limit)) {
+        fs.unlinkSync(versionFile(deviceId, old));
+      }
+    } catch (err) {
+      log(`Could not save flow snapshot for ${deviceId}: ${err.message}`);
+    }
+
+    return summarize(entry);
+  }
+
+  // Version summaries, newest first
+  function list(deviceId) {
+    return versions(deviceId).reverse().map(v => summarize(get(deviceId, v)));
+  }
+
+  function latestVersion(deviceId) {
+    const existing = versions(deviceId);
+    return existing.length ? existing[existing.length - 1] : null;
+  }
+
+  return { record, list, get, latestVersion };
+}
+
+// All nodes of a flow state keyed by id, tagged with the list they came from
+function indexFlowState(state) {
+  const index = new Map();
+  for (const kind of ['flows', 'nodes', 'configNodes']) {
+    for (const item of state?.[kind] || []) {
+      index.set(item.id, { kind, item });
+    }
+  }
+  return index;
+}
+
+// Wire edges of a node as strings - "kind:port:target"
+function wireEdges(node) {
+  const edges = [];
+  for (const key of WIRE_KEYS) {
+    (node[key] || []).forEach((targets, port) => {
+      for (const target of targets || []) {
+        edges.push(`${key}:${port}:${target}`);
+      }
+    });
+  }
+  return edges;
+}
+
+function describe(node) {
+  return { id: node.id, type: node.type, name: node.name || node.label || undefined, z: node.z };
+}
+
+// Structured diff between two getFlows() results: what changed going from `before` to `after`
+export function diffFlows(before, after) {
+  const a = indexFlowState(before);
+  const b = indexFlowState(after);
+  const diff = {
+    flows: { added: [], removed: [], changed: [] },
+    nodes: { added: [], removed: [], changed: [] },
+    configNodes: { added: [], removed: [], changed: [] },
+    wires: { added: [], removed: [] }
+  };
+
+  for (const [id, { kind, item }] of b) {
+    if (!a.has(id)) diff[kind].added.push(describe(item));
+  }
+
+  for (const [id, { kind, item }] of a) {
+    if (!b.has(id)) {
+      diff[kind].removed.push(describe(item));
+      continue;
+    }
+
+    const next = b.get(id).item;
+    const changes = {};
+    for (const key of new Set([...Object.keys(item), ...Object.keys(next)])) {
+      if (WIRE_KEYS.includes(key)) continue;
+      if (JSON.stringify(item[key]) !== JSON.stringify(next[key])) {
+        changes[key] = { from: item[key], to: next[key] };
+      }
+    }
+    if (Object.keys(changes).length) {
+      diff[kind].changed.push({ ...describe(next), changes });
+    }
+  }
+
+  // Wires are compared as edges across both states, so a removed node's wires show up too
+  const edgesOf = (index) => {
+    const edges = new Set();
+    for (const { item } of index.values()) {
+      for (const edge of wireEdges(item)) edges.add(`${item.id}|${edge}`);
+    }
+    return edges;
+  };
+  const toWire = (edge) => {
+    const [from, rest] = edge.split('|');
+    const [kind, port, to] = rest.split(':');
+    return { from, port: Number(port), to, kind };
+  };
+  const edgesA = edgesOf(a);
+  const edgesB = edgesOf(b);
+  diff.wires.added = [...edgesB].filter(e => !edgesA.has(e)).map(toWire);
+  diff.wires.removed = [...edgesA].filter(e => !edgesB.has(e)).map(toWire);
+
+  const count = (section) => section.added.length + section.removed.length + (section.changed?.length || 0);
+  diff.summary = {
+    flows: count(diff.flows),
+    nodes: count(diff.nodes),
+    configNodes: count(diff.configNodes),
+    wires: count(diff.wires),
+    identical: [diff.flows, diff.nodes, diff.configNodes, diff.wires].every(s => count(s) === 0)
+  };
+
+  return diff;
+}
+
+// Bring a device from `current` to `target` using the device's editing primitives.
+// Nodes that no longer exist are recreated (and get new ids), so wires and config references
+// pointing at them are remapped. Flow tabs can be created but not deleted.
+// `call(method, ...args)` performs a device RPC.
+export async function restoreFlows(call, current, target) {
+  const cur = indexFlowState(current);
+  const tgt = indexFlowState(target);
+  const idMap = new Map();
+  const summary = { createdFlows: [], deleted: [], added: [], updated: [], extraFlows: [] };
+
+  // Tabs first - recreated tabs get new ids
+  for (const [id, { kind, item }] of tgt) {
+    if (kind !== 'flows' || cur.has(id)) continue;
+    const created = await call('createFlow', item.label || 'Restored flow');
+    if (!created?.flow?.id) {
+      throw new Error(`Could not recreate flow "${item.label}": ${created?.error || 'no flow id returned'}`);
+    }
+    idMap.set(id, created.flow.id);
+    summary.createdFlows.push({ from: id, id: created.flow.id, label: item.label });
+  }
+  for (const [id, { kind, item }] of cur) {
+    if (kind === 'flows' && !tgt.has(id)) {
+      summary.extraFlows.push({ id, label: item.label });
+    }
+  }
+
+  // Remove nodes the target doesn't have
+  for (const [id, { kind }] of cur) {
+    if (kind === 'flows' || tgt.has(id)) continue;
+    await call('deleteNode', id);
+    summary.deleted.push(id);
+  }
+
+  const recordAdded = (result) => {
+    if (result?.success === false) {
+      throw new Error(`add_nodes failed: ${result.error || 'unknown error'}`);
+    }
+    for (const added of result?.nodes || []) {
+      if (added.tempId && added.id) {
+        idMap.set(added.tempId, added.id);
+        summary.added.push({ from: added.tempId, id: added.id });
+      }
+    }
+  };
+
+  const missing = Array.from(tgt.values()).filter(({ kind, item }) => kind !== 'flows' && !cur.has(item.id));
+  const missingConfig = missing.filter(m => m.kind === 'configNodes').map(m => m.item);
+  const missingNodes = missing.filter(m => m.kind === 'nodes').map(m => m.item);
+  const mapFlow = (z) => idMap.get(z) || z;
+  const anyFlow = mapFlow(target?.flows?.[0]?.id) || current?.flows?.[0]?.id;
+
+  // Recreate config nodes before the nodes that reference them
+  for (const batch of configNodeBatches(missingConfig)) {
+    recordAdded(await call('addNodes', anyFlow, batch.map(c => toAddNodesEntry(c, idMap, new Set()).node)));
+  }
+
+  // Recreate flow nodes per tab. Wires may point at surviving nodes (real ids) or at
+  // nodes recreated in the same call (tempIds).
+  const surviving = new Set(Array.from(tgt.keys()).filter(id => cur.has(id)));
+  const byFlow = new Map();
+  for (const node of missingNodes) {
+    const z = mapFlow(node.z);
+    if (!byFlow.has(z)) byFlow.set(z, []);
+    byFlow.get(z).push(node);
+  }
+  for (const [flowId, nodes] of byFlow) {
+    const wireable = new Set([...surviving, ...nodes.map(n => n.id)]);
+    recordAdded(await call('addNodes', flowId, nodes.map(n => toAddNodesEntry(n, idMap, wireable).node)));
+  }
+
+  // Update surviving nodes whose properties differ from the target (after remapping ids)
+  const remap = (value) => (typeof value === 'string' && idMap.has(value) ? idMap.get(value) : value);
+  for (const id of surviving) {
+    const { kind, item } = tgt.get(id);
+    if (kind === 'flows') continue;
+
+    const updates = {};
+    const existing = cur.get(id).item;
+    for (const [key, value] of Object.entries(item)) {
+      if (key === 'id' || key === 'type') continue;
+      let next = key === 'z' ? mapFlow(value) : remap(value);
+      if (WIRE_KEYS.includes(key) && Array.isArray(value)) {
+        next = value.map(port => (port || []).map(remap));
+      }
+      if (JSON.stringify(existing[key]) !== JSON.stringify(next)) {
+        updates[key] = next;
+      }
+    }
+
+    if (Object.keys(updates).length) {
+      await call('updateNode', id, updates);
+      summary.updated.push({ id, keys: Object.keys(updates) });
+    }
+  }
+
+  summary.idMap = Object.fromEntries(idMap);
+  return summary;
+}
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+
+// Flow tests
+// Automates the manual test loop from PAGENODES.md: clear the buffers, inject or trigger a
+// message, then find the debug output and errors carrying that message's _msgid. A test spec:
+/*
+{
+  "flowId": "f1",                  // Optional - saved suites only run after deploy while this flow exists
+  "timeout": 5000,                 // Default per-step wait for expected output (ms)
+  "steps": [
+    {
+      "name": "hot reading",
+      "inject": { "nodeId": "a1", "payload": { "temp": 31 } },     // or "trigger": { "nodeId", "msg" }
+      "expect": [
+        { "node": "alerts", "path": "msg.level", "equals": "high" },   // node: debug node id or name
+        { "node": "alerts", "path": "msg.text", "matches": "^Too hot" },
+        { "node": "log", "absent": true }                             // no output within the timeout
+      ],
+      "expectNoErrors": true,      // Default - fails on errors carrying the step's _msgid
+      "timeout": 2000
+    }
+  ]
+}
+*/
+// Paths are resolved against the debug entry: "msg", "msg.items[0].id", "$.topic".
+// Saved suites are stored per device in <dir>/<deviceId>.json.
+
+export const DEFAULT_STEP_TIMEOUT = 5000;
+
+// Poll interval while waiting for debug output
+const POLL_INTERVAL = 100;
+
+// How long to wait for errors after a step's output arrived
+const ERROR_SETTLE_MS = 250;
+
+// Debug entries read per poll
+const DEBUG_WINDOW = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve "a.b[0].c" (optionally starting with "$.") against a value
+export function getPath(value, pathExpr = '') {
+  const parts = String(pathExpr)
+    .replace(/^\$\.?/, '')
+    .split(/\.|\[(\d+)\]/)
+    .filter(p => p !== undefined && p !== '');
+  let current = value;
+  for (const part of parts) {
+    if (current === null || current === undefined) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Check one expectation against a debug entry. Returns null when it holds, otherwise why not.
+function checkEntry(entry, expectation) {
+  const actual = getPath(entry, expectation.path || 'msg');
+  if (expectation.exists !== undefined && (actual !== undefined) !== expectation.exists) {
+    return expectation.exists ? `${expectation.path || 'msg'} is missing` : `${expectation.path} is present`;
+  }
+  if ('equals' in expectation && !deepEqual(actual, expectation.equals)) {
+    return `expected ${JSON.stringify(expectation.equals)}, got ${JSON.stringify(actual)}`;
+  }
+  if (expectation.matches !== undefined) {
+    const text = typeof actual === 'string' ? actual : JSON.stringify(actual);
+    if (!new RegExp(expectation.matches).test(text ?? '')) {
+      return `${JSON.stringify(actual)} does not match /${expectation.matches}/`;
+    }
+  }
+  return null;
+}
+
+function fromNode(entry, node) {
+  return !node || entry.nodeId === node || entry.id === node || entry.name === node;
+}
+
+// Debug entries that belong to a step: same _msgid (when the device reported one), from the node
+function stepEntries(entries, msgid, expectation) {
+  return entries.filter(e => (!msgid || e._msgid === msgid || e.msg?._msgid === msgid) && fromNode(e, expectation.node));
+}
+
+function stepInput(step) {
+  if (step.inject) return { method: 'inject', args: [step.inject.nodeId, step.inject.payload], nodeId: step.inject.nodeId };
+  if (step.trigger) return { method: 'trigger', args: [step.trigger.nodeId, step.trigger.msg || {}], nodeId: step.trigger.nodeId };
+  return null;
+}
+
+// Validate a spec before running it. Returns a list of problems.
+export function validateTestSpec(spec) {
+  const problems = [];
+  if (!Array.isArray(spec?.steps) || !spec.steps.length) {
+    return ['spec.steps must be a non-empty array'];
+  }
+  spec.steps.forEach((step, i) => {
+    const label = `steps[${i}]`;
+    const input = stepInput(step);
+    if (!input) problems.push(`${label}: needs inject or trigger`);
+    else if (!input.nodeId) problems.push(`${label}: ${step.inject ? 'inject' : 'trigger'}.nodeId is required`);
+    for (const [j, expectation] of (step.expect || []).entries()) {
+      if (expectation.matches !== undefined) {
+        try {
+          new RegExp(expectation.matches);
+        } catch (err) {
+          problems.push(`${label}.expect[${j}]: ${err.message}`);
+        }
+      }
+    }
+  });
+  return problems;
+}
+
+// Run a spec against one device. call(method, ...args) makes a device RPC.
+// Returns { passed, durationMs, steps: [{ step, name, passed, _msgid, assertions, errors }] }
+export async function runFlowTest({ spec, call }) {
+  const problems = validateTestSpec(spec);
+  if (problems.length) {
+    throw new Error(`Invalid test spec: ${problems.join('; ')}`);
+  }
+
+  const started = Date.now();
+  if (spec.clear !== false) {
+    await call('clearDebug');
+    await call('clearErrors');
+  }
+
+  const steps = [];
+  for (const [i, step] of spec.steps.entries()) {
+    const stepStarted = Date.now();
+    const timeout = step.timeout || spec.timeout || DEFAULT_STEP_TIMEOUT;
+    const expectations = step.expect || [];
+    const input = stepInput(step);
+    const report = { step: i + 1, name: step.name || `${input.method} ${input.nodeId}`, passed: false, _msgid: null, assertions: [], errors: [] };
+    steps.push(report);
+
+    let sent;
+    try {
+      sent = await call(input.method, ...input.args);
+    } catch (err) {
+      report.error = `${input.method} failed: ${err.message}`;
+      report.durationMs = Date.now() - stepStarted;
+      continue;
+    }
+    if (sent?.success === false) {
+      report.error = `${input.method} failed: ${sent.error || 'device reported failure'}`;
+      report.durationMs = Date.now() - stepStarted;
+      continue;
+    }
+    report._msgid = sent?._msgid || null;
+
+    // Wait until every expected output has arrived (absent ones wait out the timeout)
+    const wanted = expectations.filter(e => !e.absent);
+    let entries = [];
+    const deadline = stepStarted + timeout;
+    const mustWait = expectations.some(e => e.absent);
+    for (;;) {
+      entries = (await call('getDebugOutput', DEBUG_WINDOW))?.messages || [];
+      const arrived = wanted.every(e => stepEntries(entries, report._msgid, e).length);
+      if ((arrived && !mustWait) || Date.now() >= deadline) break;
+      await sleep(POLL_INTERVAL);
+    }
+
+    for (const expectation of expectations) {
+      const matching = stepEntries(entries, report._msgid, expectation);
+      let failure = null;
+      if (expectation.absent) {
+        failure = matching.length ? `${matching.length} unexpected debug message(s)` : null;
+      } else if (!matching.length) {
+        failure = `no debug output${expectation.node ? ` from "${expectation.node}"` : ''} within ${timeout}ms`;
+      } else {
+        // Any of the step's messages from that node may satisfy it
+        const failures = matching.map(entry => checkEntry(entry, expectation));
+        failure = failures.includes(null) ? null : failures[0];
+      }
+      report.assertions.push({
+        ...expectation,
+        passed: !failure,
+        ...(failure && { message: failure }),
+        ...(matching.length && !expectation.absent && { actual: getPath(matching[0], expectation.path || 'msg') })
+      });
+    }
+
+    if (step.expectNoErrors !== false) {
+      if (!expectations.some(e => e.absent)) await sleep(ERROR_SETTLE_MS);
+      const errors = (await call('getErrors', DEBUG_WINDOW))?.errors || [];
+      report.errors = report._msgid ? errors.filter(e => e._msgid === report._msgid || e.msg?._msgid === report._msgid) : errors;
+    }
+
+    report.passed = report.assertions.every(a => a.passed) && !report.errors.length;
+    report.durationMs = Date.now() - stepStarted;
+  }
+
+  return {
+    passed: steps.every(s => s.passed),
+    durationMs: Date.now() - started,
+    summary: `${steps.filter(s => s.passed).length}/${steps.length} steps passed`,
+    steps
+  };
+}
+
+// Saved test suites, one file per device
+export function createTestStore({ dir, log }) {
+  function file(deviceId) {
+    return path.join(dir, `${encodeURIComponent(deviceId)}.json`);
+  }
+
+  function read(deviceId) {
+    const filePath = file(deviceId);
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8')).suites || {};
+    } catch (err) {
+      log(`Could not read test suites ${filePath}: ${err.message}`);
+      return {};
+    }
+  }
+
+  function write(deviceId, suites) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file(deviceId), JSON.stringify({ suites }, null, 2));
+    } catch (err) {
+      log(`Could not save test suites for ${deviceId}: ${err.message}`);
+    }
+  }
+
+  function list(deviceId) {
+    return Object.values(read(deviceId));
+  }
+
+  function get(deviceId, name) {
+    return read(deviceId)[name] || null;
+  }
+
+  function save(deviceId, name, spec, { runOnDeploy = true } = {}) {
+    const suites = read(deviceId);
+    suites[name] = { name, flowId: spec.flowId || null, runOnDeploy, savedAt: new Date().toISOString(), spec, lastRun: suites[name]?.lastRun || null };
+    write(deviceId, suites);
+    return suites[name];
+  }
+
+  // Remember how the latest run went
+  function recordRun(deviceId, name, result) {
+    const suites = read(deviceId);
+    if (!suites[name]) return;
+    suites[name].lastRun = { at: new Date().toISOString(), passed: result.passed, summary: result.summary };
+    write(deviceId, suites);
+  }
+
+  function remove(deviceId, name) {
+    const suites = read(deviceId);
+    if (!suites[name]) return false;
+    delete suites[name];
+    write(deviceId, suites);
+    return true;
+  }
+
+  return { list, get, save, recordRun, remove };
+}
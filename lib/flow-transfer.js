@@ -0,0 +1,133 @@
+// Flow export/import
+// An exported flow is a flat Node-RED-style array: the tab, its nodes (z = tab id) and every
+// config node they reference, directly or through other config nodes. Import goes through
+// add_nodes: original ids become tempIds, so the device resolves wires itself, while config
+// node references are rewritten to the new real ids once those exist.
+
+// String values of a node's top-level properties - config references are plain id strings
+function referencedIds(node) {
+  return Object.entries(node)
+    .filter(([key, value]) => key !== 'id' && key !== 'z' && typeof value === 'string')
+    .map(([, value]) => value);
+}
+
+// Config nodes referenced by `nodes`, following config-to-config references (e.g. a broker using a TLS config)
+function collectConfigNodes(nodes, configNodes) {
+  const byId = new Map(configNodes.map(c => [c.id, c]));
+  const found = new Map();
+  const queue = nodes.flatMap(referencedIds);
+
+  while (queue.length) {
+    const id = queue.shift();
+    const config = byId.get(id);
+    if (config && !found.has(id)) {
+      found.set(id, config);
+      queue.push(...referencedIds(config));
+    }
+  }
+
+  return Array.from(found.values());
+}
+
+// Build a portable document for one flow tab from a getFlows() result
+export function exportFlow(flowState, flowId) {
+  const tab = (flowState.flows || []).find(f => f.id === flowId);
+  if (!tab) {
+    return null;
+  }
+
+  const nodes = (flowState.nodes || []).filter(n => n.z === flowId);
+  const configNodes = collectConfigNodes(nodes, flowState.configNodes || []);
+
+  return [
+    { ...tab, type: 'tab' },
+    ...nodes,
+    ...configNodes
+  ];
+}
+
+// A config node has category 'config' in the target catalog, or sits off-canvas with no wires
+function isConfigNode(node, categories) {
+  return categories.get(node.type) === 'config' || (node.wires === undefined && node.x === undefined);
+}
+
+// Split a document into tabs, flow nodes and config nodes, and check every type against the
+// types the target device reports. Nothing here touches the device.
+// Returns { tabs: [{ tab, nodes }], looseNodes, configNodes, missingTypes }
+export function planImport(document, availableTypes, catalog = []) {
+  const entries = Array.isArray(document) ? document : [];
+  const categories = new Map(catalog.filter(n => n.type).map(n => [n.type, n.category]));
+
+  const tabs = entries.filter(e => e.type === 'tab').map(tab => ({ tab, nodes: [] }));
+  const tabsById = new Map(tabs.map(t => [t.tab.id, t]));
+  const configNodes = [];
+  const looseNodes = [];
+
+  for (const entry of entries) {
+    if (!entry?.type || entry.type === 'tab') continue;
+    if (isConfigNode(entry, categories)) {
+      configNodes.push(entry);
+    } else if (tabsById.has(entry.z)) {
+      tabsById.get(entry.z).nodes.push(entry);
+    } else {
+      // Nodes exported without their tab (e.g. a Node-RED selection export)
+      looseNodes.push(entry);
+    }
+  }
+
+  const available = new Set(availableTypes);
+  const missingTypes = Array.from(new Set(
+    entries.filter(e => e?.type && e.type !== 'tab').map(e => e.type)
+  )).filter(type => !available.has(type));
+
+  return { tabs, looseNodes, configNodes, missingTypes };
+}
+
+// Order config nodes into batches so each batch only references config nodes from earlier ones.
+// add_nodes can't resolve a tempId reference to a config node created in the same call.
+export function configNodeBatches(configNodes) {
+  const pending = new Map(configNodes.map(c => [c.id, c]));
+  const batches = [];
+
+  while (pending.size) {
+    const ready = Array.from(pending.values())
+      .filter(c => !referencedIds(c).some(id => id !== c.id && pending.has(id)));
+
+    // A reference cycle can't be ordered - add the rest together and let the device sort it out
+    const batch = ready.length ? ready : Array.from(pending.values());
+    batch.forEach(c => pending.delete(c.id));
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+// Prepare one exported node for add_nodes: original id becomes the tempId, config references
+// point at the new real ids, and wires to nodes outside this import are dropped.
+// Returns { node, droppedWires }
+export function toAddNodesEntry(node, idMap, importedIds) {
+  const { id, ...props } = node;
+  delete props.z;
+  let droppedWires = 0;
+
+  for (const [key, value] of Object.entries(props)) {
+    if (typeof value === 'string' && idMap.has(value)) {
+      props[key] = idMap.get(value);
+    }
+  }
+
+  for (const key of ['wires', 'streamWires']) {
+    if (Array.isArray(props[key])) {
+      props[key] = props[key].map(port => (port || []).filter(target => {
+        const keep = importedIds.has(target);
+        if (!keep) droppedWires++;
+        return keep;
+      }));
+    }
+  }
+
+  return {
+    node: { ...props, tempId: id, x: props.x ?? 0, y: props.y ?? 0 },
+    droppedWires
+  };
+}
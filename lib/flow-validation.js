@@ -0,0 +1,219 @@
+// Flow validation
+// Checks add_nodes/update_node payloads (or existing flows) against what the device reports,
+// without changing anything: node types, wire targets, required properties and config node
+// references from get_node_details schemas, output counts, and canvas overlap.
+// Each problem is { severity: 'error' | 'warning', code, node, message }.
+
+// Approximate node footprint on the canvas (x, y is the node's center)
+export const NODE_WIDTH = 120;
+export const NODE_HEIGHT = 30;
+
+const WIRE_KEYS = ['wires', 'streamWires'];
+
+function problem(severity, code, node, message) {
+  return { severity, code, node, message };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Config node types: category 'config' in the catalog, plus anything already used as a config node
+function configTypesOf(catalog, flowState) {
+  const types = new Set(catalog.filter(n => n.category === 'config').map(n => n.type));
+  for (const config of flowState.configNodes || []) {
+    types.add(config.type);
+  }
+  return types;
+}
+
+// Property schemas from a get_node_details result
+function defaultsOf(details) {
+  return details?.defaults || details?.node?.defaults || {};
+}
+
+function outputsOf(details) {
+  const outputs = details?.outputs ?? details?.node?.outputs;
+  return typeof outputs === 'number' ? outputs : null;
+}
+
+function overlaps(a, b) {
+  return Math.abs(a.x - b.x) < NODE_WIDTH && Math.abs(a.y - b.y) < NODE_HEIGHT;
+}
+
+// Checks shared by every kind of validation.
+// candidates: [{ ref, node, z, checkOverlap }] - ref is how problems name the node (tempId or id)
+function checkNodes(candidates, { availableTypes, nodeDetails, catalog, flowState, wireTargets, obstacles }) {
+  const problems = [];
+  const available = new Set(availableTypes);
+  const configTypes = configTypesOf(catalog, flowState);
+  const configIds = new Set((flowState.configNodes || []).map(c => c.id));
+  const placed = [...obstacles];
+
+  for (const { ref, node, z, checkOverlap = true } of candidates) {
+    if (!node.type) {
+      problems.push(problem('error', 'missing-type', ref, 'Node has no type'));
+      continue;
+    }
+    if (!available.has(node.type)) {
+      problems.push(problem('error', 'unknown-type', ref, `Node type "${node.type}" is not available on this device`));
+    }
+
+    // Wire targets must exist
+    for (const key of WIRE_KEYS) {
+      if (node[key] === undefined) continue;
+      if (!Array.isArray(node[key])) {
+        problems.push(problem('error', 'invalid-wires', ref, `${key} must be an array of arrays`));
+        continue;
+      }
+      node[key].forEach((targets, port) => {
+        for (const target of targets || []) {
+          if (!wireTargets.has(target)) {
+            problems.push(problem('error', 'dangling-wire', ref, `${key}[${port}] points at "${target}", which is not a tempId in this call or a node on the device`));
+          }
+        }
+      });
+    }
+
+    const details = nodeDetails.get(node.type);
+    const outputs = outputsOf(details);
+    if (outputs !== null && Array.isArray(node.wires) && node.wires.length > outputs) {
+      problems.push(problem('warning', 'too-many-outputs', ref, `"${node.type}" has ${outputs} output(s) but wires lists ${node.wires.length}`));
+    }
+
+    // Required properties and config node references from the device's schema
+    for (const [prop, schema] of Object.entries(defaultsOf(details))) {
+      const value = node[prop];
+      if (schema?.required && isEmpty(value) && isEmpty(schema.value)) {
+        problems.push(problem('error', 'missing-required', ref, `Required property "${prop}" is not set`));
+      }
+      if (configTypes.has(schema?.type) && !isEmpty(value) && !configIds.has(value)) {
+        problems.push(problem('error', 'missing-config-node', ref, `"${prop}" references ${schema.type} "${value}", which does not exist. Create the config node first and use its real id.`));
+      }
+    }
+
+    // Canvas overlap - config nodes aren't drawn
+    if (checkOverlap && !configTypes.has(node.type) && typeof node.x === 'number' && typeof node.y === 'number') {
+      const hit = placed.find(other => other.z === z && overlaps(other, node));
+      if (hit) {
+        problems.push(problem('warning', 'overlap', ref, `Position (${node.x}, ${node.y}) overlaps "${hit.ref}" at (${hit.x}, ${hit.y}). Leave ~150px horizontally and ~80px vertically.`));
+      }
+      placed.push({ ref, x: node.x, y: node.y, z });
+    }
+  }
+
+  return problems;
+}
+
+function report(problems) {
+  const errors = problems.filter(p => p.severity === 'error').length;
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: problems.length - errors,
+    problems
+  };
+}
+
+function allIds(flowState) {
+  return new Set([...(flowState.nodes || []), ...(flowState.configNodes || [])].map(n => n.id));
+}
+
+function obstaclesIn(flowState, z, excludeId) {
+  return (flowState.nodes || [])
+    .filter(n => n.z === z && n.id !== excludeId && typeof n.x === 'number' && typeof n.y === 'number')
+    .map(n => ({ ref: n.id, x: n.x, y: n.y, z }));
+}
+
+// Validate an add_nodes payload
+export function validateAddNodes({ flowId, nodes, flowState, ...context }) {
+  const problems = [];
+
+  if (!(flowState.flows || []).some(f => f.id === flowId)) {
+    problems.push(problem('error', 'unknown-flow', null, `Flow "${flowId}" does not exist on this device`));
+  }
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    problems.push(problem('error', 'no-nodes', null, 'nodes must be a non-empty array'));
+    return report(problems);
+  }
+
+  const seen = new Set();
+  const candidates = [];
+  nodes.forEach((node, i) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(problem('error', 'invalid-node', `#${i}`, 'Node must be an object'));
+      return;
+    }
+    candidates.push({ ref: node.tempId || `#${i}`, node, z: flowId });
+    if (!node.tempId) {
+      problems.push(problem('error', 'missing-temp-id', `#${i}`, 'Node has no tempId'));
+    } else if (seen.has(node.tempId)) {
+      problems.push(problem('error', 'duplicate-temp-id', node.tempId, `tempId "${node.tempId}" is used more than once`));
+    }
+    seen.add(node.tempId);
+  });
+
+  problems.push(...checkNodes(
+    candidates,
+    {
+      ...context,
+      flowState,
+      wireTargets: new Set([...seen, ...allIds(flowState)]),
+      obstacles: obstaclesIn(flowState, flowId)
+    }
+  ));
+
+  return report(problems);
+}
+
+// Validate an update_node payload against the node it would modify
+export function validateUpdate({ nodeId, updates, flowState, ...context }) {
+  const existing = [...(flowState.nodes || []), ...(flowState.configNodes || [])].find(n => n.id === nodeId);
+  if (!existing) {
+    return report([problem('error', 'unknown-node', nodeId, `Node "${nodeId}" does not exist on this device`)]);
+  }
+
+  const problems = [];
+  if (updates?.type !== undefined && updates.type !== existing.type) {
+    problems.push(problem('error', 'type-change', nodeId, 'A node\'s type cannot be changed - delete it and add a new node instead'));
+  }
+  if (updates?.id !== undefined && updates.id !== existing.id) {
+    problems.push(problem('error', 'id-change', nodeId, 'A node\'s id cannot be changed'));
+  }
+
+  const merged = { ...existing, ...updates };
+  const moved = updates?.x !== undefined || updates?.y !== undefined;
+  problems.push(...checkNodes(
+    [{ ref: nodeId, node: merged, z: merged.z, checkOverlap: moved }],
+    {
+      ...context,
+      flowState,
+      wireTargets: allIds(flowState),
+      obstacles: obstaclesIn(flowState, merged.z, nodeId)
+    }
+  ));
+
+  return report(problems);
+}
+
+// Validate nodes already on the device - one flow, or every flow when flowId is omitted
+export function validateExisting({ flowId, flowState, ...context }) {
+  if (flowId && !(flowState.flows || []).some(f => f.id === flowId)) {
+    return report([problem('error', 'unknown-flow', null, `Flow "${flowId}" does not exist on this device`)]);
+  }
+
+  const nodes = (flowState.nodes || []).filter(n => !flowId || n.z === flowId);
+  const configNodes = flowState.configNodes || [];
+  return report(checkNodes(
+    [
+      ...nodes.map(node => ({ ref: node.id, node, z: node.z })),
+      ...configNodes.map(node => ({ ref: node.id, node, z: null, checkOverlap: false }))
+    ],
+    {
+      ...context,
+      flowState,
+      wireTargets: allIds(flowState),
+      obstacles: []
+    }
+  ));
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+
+// Inbound webhooks
+// POST /hooks/<name> turns an arbitrary HTTP request (a GitHub webhook, a home automation
+// callback) into a message for mcp-in nodes, or a custom tool call whose result becomes the
+// HTTP response. Hooks are configured in the "hooks" section of the --webhooks file:
+/*
+{
+  "hooks": {
+    "github": {
+      "deviceId": "kitchen-pi",                       // A device, "all", or a group:/tag: target
+      "topic": "github/{headers.x-github-event}",     // {path} placeholders are filled from the request
+      "payload": { "action": "body.action", "repo": "body.repository.full_name" },   // or a path, default "body"
+      "signature": { "preset": "github", "secretEnv": "GITHUB_WEBHOOK_SECRET" }
+    },
+    "doorbell": {
+      "deviceId": "porch-esp32",
+      "methods": ["GET", "POST"],
+      "tokenEnv": "DOORBELL_TOKEN",                   // Shared token: Authorization: Bearer <token> or ?token=
+      "tool": "ring",                                 // Answer synchronously with this custom tool's result
+      "timeoutMs": 10000
+    }
+  }
+}
+*/
+// Paths are resolved against { method, path, headers, query, body }; header names are lower case.
+// Custom tools also get msg.req with the method, path, headers and query.
+//
+// signature: { header, algorithm = "sha256", prefix = "", encoding = "hex", secret | secretEnv,
+//   timestampHeader, toleranceSec = 300 }. With timestampHeader the signed text is "<timestamp>.<body>"
+//   and stale timestamps are refused. Presets: "github" (X-Hub-Signature-256) and "pagenodes"
+//   (the signature the outbound gateway sends).
+
+const SIGNATURE_PRESETS = {
+  github: { header: 'x-hub-signature-256', prefix: 'sha256=' },
+  pagenodes: { header: 'x-pagenodes-signature', prefix: 'sha256=', timestampHeader: 'x-pagenodes-timestamp' }
+};
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+// Resolve "body.repository.full_name" against the request
+export function getRequestPath(request, pathExpr) {
+  let current = request;
+  for (const part of String(pathExpr).split('.')) {
+    if (current === null || current === undefined) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function normalizeHook(name, hook) {
+  if (!hook.deviceId) {
+    throw new Error(`Inbound hook "${name}" has no deviceId`);
+  }
+  const signature = typeof hook.signature === 'string' ? { preset: hook.signature } : hook.signature;
+  if (signature?.preset && !SIGNATURE_PRESETS[signature.preset]) {
+    throw new Error(`Inbound hook "${name}": unknown signature preset "${signature.preset}"`);
+  }
+  return {
+    ...hook,
+    name,
+    methods: (hook.methods || ['POST']).map(m => m.toUpperCase()),
+    topic: hook.topic ?? name,
+    payload: hook.payload ?? 'body',
+    signature: signature ? { algorithm: 'sha256', prefix: '', encoding: 'hex', ...SIGNATURE_PRESETS[signature.preset], ...signature } : null
+  };
+}
+
+// The "hooks" section of the webhooks file, as a Map of name -> hook
+export function normalizeHooks(hooks = {}) {
+  return new Map(Object.entries(hooks).map(([name, hook]) => [name, normalizeHook(name, hook)]));
+}
+
+// Hooks anyone who can reach the server may trigger
+export function isUnprotected(hook) {
+  return !hook.signature && !hook.token && !hook.tokenEnv;
+}
+
+export function parseHookBody(raw, contentType = '') {
+  if (!raw) return null;
+  if (contentType.includes('application/json')) {
+    return JSON.parse(raw);
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const form = Object.fromEntries(new URLSearchParams(raw));
+    // GitHub's form-encoded deliveries carry the JSON in a payload field
+    if (typeof form.payload === 'string' && form.payload.startsWith('{')) {
+      try {
+        form.payload = JSON.parse(form.payload);
+      } catch {
+        // Leave it as text
+      }
+    }
+    return form;
+  }
+  return raw;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check a request's token or signature. Returns null when it may pass, otherwise why not.
+// request: { headers, query, rawBody }
+export function verifyHookRequest(hook, request) {
+  const token = hook.tokenEnv ? process.env[hook.tokenEnv] : hook.token;
+  if (hook.token || hook.tokenEnv) {
+    const sent = request.headers.authorization?.replace(/^Bearer\s+/i, '') || request.query.token;
+    if (!token || !sent || !safeEqual(sent, token)) {
+      return 'Invalid or missing token';
+    }
+  }
+
+  const signature = hook.signature;
+  if (!signature) return null;
+
+  const secret = signature.secretEnv ? process.env[signature.secretEnv] : signature.secret;
+  if (!secret) {
+    return 'Signature secret is not configured';
+  }
+  const sent = request.headers[signature.header.toLowerCase()];
+  if (!sent) {
+    return `Missing ${signature.header} header`;
+  }
+
+  let signed = request.rawBody;
+  if (signature.timestampHeader) {
+    const timestamp = request.headers[signature.timestampHeader.toLowerCase()];
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!timestamp || !(age <= (signature.toleranceSec ?? DEFAULT_TOLERANCE_SEC))) {
+      return 'Missing or stale timestamp';
+    }
+    signed = `${timestamp}.${request.rawBody}`;
+  }
+
+  const expected = signature.prefix + crypto.createHmac(signature.algorithm, secret).update(signed).digest(signature.encoding);
+  return safeEqual(sent, expected) ? null : 'Signature does not match';
+}
+
+// Build what goes to the device from the request: { topic, payload, message }
+// message is the msg for a custom tool: { payload, topic, req }
+export function mapHookRequest(hook, request) {
+  // Credentials stay out of the flow
+  const headers = Object.fromEntries(Object.entries(request.headers).filter(([name]) =>
+    name !== 'authorization' && name !== hook.signature?.header.toLowerCase()
+  ));
+  const query = Object.fromEntries(Object.entries(request.query).filter(([name]) =>
+    !(name === 'token' && (hook.token || hook.tokenEnv))
+  ));
+  const { method, path, body } = request;
+  const clean = { method, path, headers, query, body };
+
+  const topic = String(hook.topic).replace(/\{([^}]+)\}/g, (match, p) => getRequestPath(clean, p) ?? '');
+  const payload = typeof hook.payload === 'string'
+    ? getRequestPath(clean, hook.payload)
+    : Object.fromEntries(Object.entries(hook.payload).map(([key, p]) => [key, getRequestPath(clean, p)]));
+
+  return { topic, payload, message: { payload, topic, req: { method, path, headers, query } } };
+}
@@ -0,0 +1,128 @@
+// Waiting for mcp-out messages
+// Devices queue mcp-out messages until get_mcp_messages drains them. wait_for_mcp_messages
+// (and its SSE stream under /func) blocks until a matching message arrives instead: the queues
+// are drained again whenever a device pushes an `mcp-message` event, and polled every
+// pollInterval for devices that don't push events.
+//
+// A topic filter can't be applied on the device, so messages drained while waiting (or by bridges
+// and webhook routes) that don't match are held here and handed out first by the next
+// get_mcp_messages or wait. Held messages live in memory only (they are lost on restart), and at
+// most maxHeld are kept per device - the oldest are dropped first.
+
+export const DEFAULT_WAIT_TIMEOUT = 30 * 1000;
+export const MAX_WAIT_TIMEOUT = 10 * 60 * 1000;
+export const DEFAULT_POLL_INTERVAL = 1000;
+
+// Messages drained per device call
+const DRAIN_LIMIT = 1000;
+
+export const DEFAULT_MAX_HELD = 1000;
+
+// '*' matches any run of characters, '?' one character; no wildcards means an exact match
+export function matchesTopic(pattern, topic) {
+  if (pattern === undefined || pattern === null || pattern === '' || pattern === '*') return true;
+  if (!/[*?]/.test(pattern)) return pattern === (topic ?? '');
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`).test(topic ?? '');
+}
+
+// fetch(deviceId, limit, clear) resolves to the device's getMessages result ({ messages, remaining })
+export function createMessageWaiter({ fetch, pollInterval = DEFAULT_POLL_INTERVAL, maxHeld = DEFAULT_MAX_HELD, log }) {
+  // Map<deviceId, message[]> - drained but not yet handed out
+  const held = new Map();
+  // Waiting calls to wake when a device pushes a message event
+  const wakers = new Set();
+
+  // Replace a device's held messages, keeping the newest maxHeld
+  function hold(deviceId, messages) {
+    if (messages.length > maxHeld) {
+      log(`  → Dropped ${messages.length - maxHeld} held mcp message(s) for ${deviceId} (more than ${maxHeld} held)`);
+      messages = messages.slice(-maxHeld);
+    }
+    if (messages.length) held.set(deviceId, messages);
+    else held.delete(deviceId);
+  }
+
+  // Take a device's queued messages matching topic (and filter(message), if given).
+  // With clear: false nothing is consumed.
+  async function take(deviceId, { topic, filter, limit = 100, clear = true } = {}) {
+    const kept = held.get(deviceId) || [];
+    const result = await fetch(deviceId, clear ? DRAIN_LIMIT : limit, clear);
+    const all = [...kept, ...(result?.messages || [])];
+
+    const matching = all.filter(m => matchesTopic(topic, m.topic) && (!filter || filter(m))).slice(0, limit);
+    if (clear) {
+      const taken = new Set(matching);
+      hold(deviceId, all.filter(m => !taken.has(m)));
+    }
+
+    const heldCount = clear ? (held.get(deviceId)?.length || 0) : kept.length;
+    return { messages: matching, remaining: (result?.remaining || 0) + heldCount };
+  }
+
+  // Called when a device pushes an mcp-message event
+  function notify(deviceId) {
+    for (const wake of wakers) wake(deviceId);
+  }
+
+  // Block until any of the devices has matching messages, the timeout passes or signal aborts.
+  // deviceIds() is asked again on every round so devices joining a group or "all" are included.
+  // Resolves to { messages: [{ deviceId, ...message }], timedOut, errors }
+  async function wait(deviceIds, { topic, limit = 100, clear = true, timeout = DEFAULT_WAIT_TIMEOUT, signal } = {}) {
+    const deadline = Date.now() + Math.min(timeout, MAX_WAIT_TIMEOUT);
+    const errors = {};
+
+    for (;;) {
+      const messages = [];
+      for (const deviceId of deviceIds()) {
+        if (messages.length >= limit) break;
+        try {
+          const result = await take(deviceId, { topic, limit: limit - messages.length, clear });
+          messages.push(...result.messages.map(m => ({ deviceId, ...m })));
+          delete errors[deviceId];
+        } catch (err) {
+          errors[deviceId] = err.message;
+        }
+      }
+      if (messages.length) {
+        return { messages, timedOut: false, errors };
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || signal?.aborted) {
+        return { messages, timedOut: !signal?.aborted, errors };
+      }
+
+      // Sleep until a push event, the next poll or the deadline
+      await new Promise(resolve => {
+        let timer = null;
+        const done = () => {
+          clearTimeout(timer);
+          wakers.delete(wake);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        };
+        const wake = (deviceId) => {
+          if (deviceIds().includes(deviceId)) done();
+        };
+        timer = setTimeout(done, Math.min(pollInterval, remaining));
+        wakers.add(wake);
+        signal?.addEventListener('abort', done);
+      });
+    }
+  }
+
+  // Number of messages held per device: Map<deviceId, count>
+  function heldCounts() {
+    return new Map(Array.from(held, ([deviceId, messages]) => [deviceId, messages.length]));
+  }
+
+  // A forgotten device's held messages go with it
+  function forget(deviceId) {
+    if (held.delete(deviceId)) {
+      log(`  → Dropped held mcp messages for ${deviceId}`);
+    }
+  }
+
+  return { take, wait, notify, forget, heldCounts };
+}
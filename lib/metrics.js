@@ -0,0 +1,116 @@
+// Prometheus metrics
+// GET /metrics answers in the Prometheus text format. Tool calls and device RPCs are counted in
+// memory from server start (counters reset with the server, which Prometheus handles); device
+// counts, sessions, mcp-out queue depth and runtime errors are read when scraped:
+//   pagenodes_mcp_info{version}                                  1
+//   pagenodes_mcp_devices{type,status}                           known devices
+//   pagenodes_mcp_sessions{transport}                            open MCP sessions (sse, streamable-http)
+//   pagenodes_mcp_tool_calls_total{tool,device}                  tool calls
+//   pagenodes_mcp_tool_errors_total{tool,device}                 tool calls that returned an error
+//   pagenodes_mcp_tool_call_duration_seconds{tool,device}        histogram of tool call latency
+//   pagenodes_mcp_device_rpc_calls_total{device,method}          calls to devices
+//   pagenodes_mcp_device_rpc_timeouts_total{device,method}       calls a device didn't answer in time
+//   pagenodes_mcp_mcp_out_queue_depth{device}                    queued mcp-out messages (peeked, not cleared)
+//   pagenodes_mcp_held_mcp_messages{device}                      mcp-out messages taken off the device, held for a waiter
+//   pagenodes_mcp_device_runtime_errors{device}                  errors in the device's getErrors buffer
+// device is "" for tools that don't take one, and may be "all" or a group:/tag: target. Unknown
+// tools and devices are counted under "other". Queue depth is read by peeking a bounded number of
+// messages, so a deeper queue reports that limit rather than its true length.
+
+const PREFIX = 'pagenodes_mcp';
+
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+// One metric family: # HELP, # TYPE and its samples
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`];
+  for (const { suffix = '', labels, value } of samples) {
+    lines.push(`${PREFIX}_${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+  return lines.join('\n');
+}
+
+// Map<key, entry> keyed by label values, created on first use
+function series(map, labels, create) {
+  const key = JSON.stringify(labels);
+  if (!map.has(key)) map.set(key, { labels, ...create() });
+  return map.get(key);
+}
+
+export function createMetrics({ buckets = DURATION_BUCKETS } = {}) {
+  const toolCalls = new Map();
+  const deviceCalls = new Map();
+
+  // One finished tool call, as recorded in the audit log
+  function recordToolCall({ tool, deviceId, durationMs, isError }) {
+    const entry = series(toolCalls, { tool, device: deviceId ?? '' }, () => ({
+      count: 0,
+      errors: 0,
+      sum: 0,
+      buckets: buckets.map(() => 0)
+    }));
+    const seconds = durationMs / 1000;
+    entry.count++;
+    entry.sum += seconds;
+    if (isError) entry.errors++;
+    buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry.buckets[i]++;
+    });
+  }
+
+  // One settled device call (see callDevice's record option)
+  function recordDeviceCall({ deviceId, method, error }) {
+    const entry = series(deviceCalls, { device: deviceId, method }, () => ({ count: 0, timeouts: 0 }));
+    entry.count++;
+    if (error?.code === 'DEVICE_TIMEOUT') entry.timeouts++;
+  }
+
+  // gauges: { devices, sessions, queueDepth, heldMessages, runtimeErrors }, each [{ labels, value }]
+  // keep(labels) drops series the caller may not see
+  function render({ version, gauges = {}, keep = () => true }) {
+    const visible = (list) => list.filter(entry => keep(entry.labels));
+    const tools = visible(Array.from(toolCalls.values()));
+    const calls = visible(Array.from(deviceCalls.values()));
+
+    const histogram = tools.flatMap(({ labels, count, sum, buckets: counts }) => [
+      ...buckets.map((bound, i) => ({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[i] })),
+      { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+      { suffix: '_sum', labels, value: Number(sum.toFixed(6)) },
+      { suffix: '_count', labels, value: count }
+    ]);
+
+    return [
+      family('info', 'gauge', 'Server version', [{ labels: { version }, value: 1 }]),
+      family('devices', 'gauge', 'Known devices by type and status', gauges.devices || []),
+      family('sessions', 'gauge', 'Open MCP client sessions by transport', gauges.sessions || []),
+      family('tool_calls_total', 'counter', 'Tool calls by tool and target device',
+        tools.map(({ labels, count }) => ({ labels, value: count }))),
+      family('tool_errors_total', 'counter', 'Tool calls that returned an error, by tool and target device',
+        tools.map(({ labels, errors }) => ({ labels, value: errors }))),
+      family('tool_call_duration_seconds', 'histogram', 'Tool call latency by tool and target device', histogram),
+      family('device_rpc_calls_total', 'counter', 'Calls to devices by device and method',
+        calls.map(({ labels, count }) => ({ labels, value: count }))),
+      family('device_rpc_timeouts_total', 'counter', 'Calls to devices that timed out, by device and method',
+        calls.map(({ labels, timeouts }) => ({ labels, value: timeouts }))),
+      family('mcp_out_queue_depth', 'gauge', 'Messages waiting in the device\'s mcp-out queue', visible(gauges.queueDepth || [])),
+      family('held_mcp_messages', 'gauge', 'mcp-out messages taken off the device and held for wait_for_mcp_messages', visible(gauges.heldMessages || [])),
+      family('device_runtime_errors', 'gauge', 'Runtime errors in the device\'s error buffer', visible(gauges.runtimeErrors || []))
+    ].join('\n') + '\n';
+  }
+
+  return { recordToolCall, recordDeviceCall, render };
+}
@@ -0,0 +1,81 @@
+// Node type compatibility
+// Devices report node types by name only, but two runtimes can ship a "gpio-out" (or even an
+// "http request") that takes different properties, has different ports or behaves differently.
+// diffNodeDetails compares what each device says about one type - its node catalog entry, or
+// its full getNodeDetails answer - leaf by leaf.
+
+// Long help texts are shortened in difference reports
+const MAX_TEXT = 200;
+
+// Top-level fields and the kind of difference they make
+const FIELD_KINDS = {
+  defaults: 'properties',
+  properties: 'properties',
+  credentials: 'properties',
+  inputs: 'ports',
+  outputs: 'ports',
+  inputLabels: 'ports',
+  outputLabels: 'ports',
+  help: 'help',
+  description: 'help',
+  info: 'help',
+  docs: 'help'
+};
+
+// Fields that say nothing about the implementation
+const IGNORED_FIELDS = new Set(['type', 'deviceId']);
+
+// Leaf values by dotted path; arrays are compared whole
+export function flattenDetails(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && IGNORED_FIELDS.has(key)) continue;
+      flattenDetails(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function shorten(value) {
+  return typeof value === 'string' && value.length > MAX_TEXT
+    ? `${value.slice(0, MAX_TEXT)}... (${value.length} chars)`
+    : value;
+}
+
+// details: { deviceId: object }
+// Returns { identical, compatible, summary, differences: [{ path, kind, values, missingOn? }] }.
+// compatible is false when properties or ports differ; help text and other fields don't count.
+// With ignoreMissing, only fields every device reports are compared - catalog entries are often
+// trimmed differently by each runtime, so a missing field there says little.
+export function diffNodeDetails(details, { ignoreMissing = false } = {}) {
+  const flat = Object.entries(details).map(([deviceId, value]) => [deviceId, flattenDetails(value)]);
+  const paths = Array.from(new Set(flat.flatMap(([, leaves]) => Object.keys(leaves)))).sort();
+
+  const differences = [];
+  for (const path of paths) {
+    const present = flat.filter(([, leaves]) => path in leaves);
+    if (ignoreMissing && present.length < flat.length) continue;
+    const distinct = new Set(present.map(([, leaves]) => JSON.stringify(leaves[path])));
+    if (distinct.size <= 1 && present.length === flat.length) continue;
+
+    const missingOn = flat.filter(([, leaves]) => !(path in leaves)).map(([deviceId]) => deviceId);
+    differences.push({
+      path,
+      kind: FIELD_KINDS[path.split('.')[0]] || 'other',
+      values: Object.fromEntries(present.map(([deviceId, leaves]) => [deviceId, shorten(leaves[path])])),
+      ...(missingOn.length && { missingOn })
+    });
+  }
+
+  const summary = { properties: 0, ports: 0, help: 0, other: 0 };
+  for (const difference of differences) summary[difference.kind]++;
+
+  return {
+    identical: differences.length === 0,
+    compatible: summary.properties === 0 && summary.ports === 0,
+    summary,
+    differences
+  };
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+// Push notifications to MCP sessions
+// Devices push runtime events over rawr (`deviceEvent` notifications) and the server adds its
+// own (device-connected, device-disconnected). Sessions that called subscribe_events get
+// matching events as MCP logging notifications:
+//   { method: 'notifications/message', params: { level, logger: 'pagenodes/<deviceId>', data: event } }
+// Every session also gets notifications/tools/list_changed and notifications/resources/list_changed,
+// and notifications/resources/updated for resources it subscribed to.
+//
+// A session is addressed by the context its requests run with: { transport, sessionId }.
+// Stateless requests (REST /func, legacy POST /) have no sessionId and can't subscribe.
+
+// MCP logging levels, least severe first
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Level for each known event type - anything else is 'info'
+const EVENT_LEVELS = {
+  'node-error': 'error',
+  'flow-test-failed': 'error',
+  'device-disconnected': 'warning'
+};
+
+function sessionKey(context) {
+  return `${context.transport}:${context.sessionId}`;
+}
+
+// '*' matches everything, 'node-*' matches by prefix, anything else exactly
+function matchesPattern(pattern, value) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return value.startsWith(pattern.slice(0, -1));
+  return pattern === value;
+}
+
+// senders: { [transport]: (sessionId, message) => void }
+// deviceMatches(pattern, deviceId): whether a device filter entry covers a device
+// canSee(context, deviceId): whether the session's client may see the device's events
+export function createNotificationHub({ senders, deviceMatches, canSee, log }) {
+  // Map<sessionKey, { context, subscriptions: Map<id, { devices, events }>, resources: Set<uri>, level }>
+  const sessions = new Map();
+
+  function session(context) {
+    if (!context?.sessionId || !senders[context.transport]) {
+      throw new Error('Notifications need a session. Connect over Streamable HTTP (/mcp), SSE or stdio - REST calls are stateless.');
+    }
+    const key = sessionKey(context);
+    if (!sessions.has(key)) {
+      sessions.set(key, { context, subscriptions: new Map(), resources: new Set(), level: 'debug' });
+    }
+    return sessions.get(key);
+  }
+
+  function send(entry, message) {
+    try {
+      senders[entry.context.transport](entry.context.sessionId, message);
+    } catch (err) {
+      log(`Could not notify session ${entry.context.sessionId}: ${err.message}`);
+    }
+  }
+
+  function subscribe(context, { devices = ['*'], events = ['*'] } = {}) {
+    const entry = session(context);
+    const id = crypto.randomUUID().slice(0, 8);
+    const subscription = { id, devices, events, createdAt: new Date().toISOString() };
+    entry.subscriptions.set(id, subscription);
+    return subscription;
+  }
+
+  // Remove one subscription, or all of the session's when id is omitted. Returns how many went.
+  function unsubscribe(context, id) {
+    const entry = session(context);
+    if (!id) {
+      const count = entry.subscriptions.size;
+      entry.subscriptions.clear();
+      return count;
+    }
+    return entry.subscriptions.delete(id) ? 1 : 0;
+  }
+
+  function list(context) {
+    return Array.from(session(context).subscriptions.values());
+  }
+
+  // logging/setLevel - events below the level are not sent to this session
+  function setLevel(context, level) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown logging level "${level}". Use one of: ${LEVELS.join(', ')}`);
+    }
+    session(context).level = level;
+  }
+
+  // Deliver an event to every session with a matching subscription.
+  // event: { type, deviceId, ...details }
+  function publish(event) {
+    const stamped = { timestamp: new Date().toISOString(), ...event };
+    const level = EVENT_LEVELS[event.type] || 'info';
+
+    for (const entry of sessions.values()) {
+      if (LEVELS.indexOf(level) < LEVELS.indexOf(entry.level)) continue;
+      if (event.deviceId && !canSee(entry.context, event.deviceId)) continue;
+
+      const matches = Array.from(entry.subscriptions.values()).filter(sub =>
+        sub.events.some(p => matchesPattern(p, event.type))
+        && (!event.deviceId || sub.devices.some(p => p === '*' || deviceMatches(p, event.deviceId)))
+      );
+      if (!matches.length) continue;
+
+      send(entry, {
+        jsonrpc: '2.0',
+        method: 'notifications/message',
+        params: {
+          level,
+          logger: event.deviceId ? `pagenodes/${event.deviceId}` : 'pagenodes',
+          data: { ...stamped, subscriptions: matches.map(s => s.id) }
+        }
+      });
+    }
+  }
+
+  // Tell every session that has talked to us
+  function broadcast(method) {
+    for (const entry of sessions.values()) {
+      send(entry, { jsonrpc: '2.0', method });
+    }
+  }
+
+  function subscribeResource(context, uri) {
+    session(context).resources.add(uri);
+  }
+
+  function unsubscribeResource(context, uri) {
+    session(context).resources.delete(uri);
+  }
+
+  function resourceUpdated(uri) {
+    for (const entry of sessions.values()) {
+      if (entry.resources.has(uri)) {
+        send(entry, { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+      }
+    }
+  }
+
+  // Make a session known without subscribing, so it receives list_changed notifications
+  function track(context) {
+    if (context?.sessionId && senders[context.transport]) {
+      session(context);
+    }
+  }
+
+  // Forget a session whose connection is gone
+  function drop(context) {
+    sessions.delete(sessionKey(context));
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    list,
+    setLevel,
+    publish,
+    toolsListChanged: () => broadcast('notifications/tools/list_changed'),
+    resourcesListChanged: () => broadcast('notifications/resources/list_changed'),
+    subscribeResource,
+    unsubscribeResource,
+    resourceUpdated,
+    track,
+    drop
+  };
+}
@@ -0,0 +1,96 @@
+// MCP resources
+// Context a client can attach once instead of fetching it through tools on every call:
+//   pagenodes://guide                          The PageNodes integration guide (markdown)
+//   pagenodes://catalog                        Aggregated node catalog across connected devices
+//   pagenodes://device/{id}/flows              A device's flows, nodes and config nodes
+//   pagenodes://device/{id}/debug              A device's rolling debug message buffer
+//   pagenodes://device/{id}/logs               A device's rolling log buffer
+//   pagenodes://device/{id}/nodes/{type}       Details of one node type on a device
+// Each device resource maps to the tool that reads the same data, and is allowed exactly when
+// that tool is.
+
+export const GUIDE_URI = 'pagenodes://guide';
+export const CATALOG_URI = 'pagenodes://catalog';
+
+const DEVICE_PREFIX = 'pagenodes://device/';
+
+// Tool whose permission covers each kind of resource
+export const RESOURCE_TOOLS = {
+  guide: 'get_started',
+  catalog: 'get_started',
+  flows: 'get_flows',
+  debug: 'get_debug_output',
+  logs: 'get_logs',
+  node: 'get_node_details'
+};
+
+export function deviceResourceUri(deviceId, kind, nodeType) {
+  const base = `${DEVICE_PREFIX}${encodeURIComponent(deviceId)}/${kind}`;
+  return kind === 'nodes' ? `${base}/${encodeURIComponent(nodeType)}` : base;
+}
+
+// Work out what a URI refers to. Returns { kind, deviceId?, nodeType? } or null.
+export function parseResourceUri(uri) {
+  if (uri === GUIDE_URI) return { kind: 'guide' };
+  if (uri === CATALOG_URI) return { kind: 'catalog' };
+  if (typeof uri !== 'string' || !uri.startsWith(DEVICE_PREFIX)) return null;
+
+  const parts = uri.slice(DEVICE_PREFIX.length).split('/');
+  try {
+    const deviceId = decodeURIComponent(parts[0]);
+    if (parts.length === 2 && ['flows', 'debug', 'logs'].includes(parts[1])) {
+      return { kind: parts[1], deviceId };
+    }
+    if (parts.length === 3 && parts[1] === 'nodes' && parts[2]) {
+      return { kind: 'node', deviceId, nodeType: decodeURIComponent(parts[2]) };
+    }
+  } catch {
+    // Malformed percent-encoding
+  }
+  return null;
+}
+
+export function staticResources() {
+  return [
+    {
+      uri: GUIDE_URI,
+      name: 'PageNodes guide',
+      description: 'How to build flows: node positioning, wiring, config nodes, testing. Read once instead of via get_started.',
+      mimeType: 'text/markdown'
+    },
+    {
+      uri: CATALOG_URI,
+      name: 'Node catalog',
+      description: 'Node types available across connected devices, grouped by category, with the devices that have each',
+      mimeType: 'application/json'
+    }
+  ];
+}
+
+export function deviceResources(deviceId, deviceName) {
+  return [
+    { kind: 'flows', name: 'flows', description: 'Flows, nodes and config nodes' },
+    { kind: 'debug', name: 'debug output', description: 'Recent debug panel messages (newest first)' },
+    { kind: 'logs', name: 'logs', description: 'Recent runtime logs' }
+  ].map(r => ({
+    uri: deviceResourceUri(deviceId, r.kind),
+    name: `${deviceName} ${r.name}`,
+    description: `${r.description} on device "${deviceName}"`,
+    mimeType: 'application/json'
+  }));
+}
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'pagenodes://device/{deviceId}/nodes/{type}',
+    name: 'Node type details',
+    description: 'Full details (properties, defaults, help) of a node type on a device - same as get_node_details',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'pagenodes://device/{deviceId}/{buffer}',
+    name: 'Device state',
+    description: 'A device\'s flows, debug or logs (buffer: flows | debug | logs)',
+    mimeType: 'application/json'
+  }
+];
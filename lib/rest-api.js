@@ -0,0 +1,172 @@
+// Typed REST API
+// /func/{tool} answers with the MCP tool result wrapper ({ content: [{ text }], isError }) and
+// 200/400 only. The /api routes call the same tools but answer with the tool's JSON itself and
+// typed errors, and /openapi.json describes them, generated from MCP_TOOLS:
+//   POST /api/tools/{tool}                          any MCP tool, arguments as the JSON body
+//   POST /api/devices/{deviceId}/tools/{name}       a device's custom tool (tool-in node)
+// Errors look like { error: { code, message, ... } }:
+//   400 INVALID_ARGUMENTS, TOOL_ERROR     403 FORBIDDEN
+//   404 UNKNOWN_TOOL, DEVICE_NOT_FOUND, NOT_FOUND
+//   503 DEVICE_OFFLINE                    504 DEVICE_TIMEOUT
+// Tool results carry the code of a typed failure as errorCode (from the thrown error's code);
+// anything else the tool reports is a 400 TOOL_ERROR.
+
+export const API_PREFIX = '/api';
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        message: { type: 'string' }
+      },
+      required: ['code', 'message'],
+      additionalProperties: true
+    }
+  },
+  required: ['error']
+};
+
+const ERROR_RESPONSES = {
+  400: 'Invalid arguments, or the tool reported an error (INVALID_ARGUMENTS, TOOL_ERROR)',
+  401: 'Missing or invalid client token',
+  403: 'The client may not call this tool or access this device (FORBIDDEN)',
+  404: 'Unknown tool, device, or other referenced item (UNKNOWN_TOOL, DEVICE_NOT_FOUND, NOT_FOUND)',
+  503: 'The device is known but offline (DEVICE_OFFLINE)',
+  504: 'The device did not answer in time (DEVICE_TIMEOUT)'
+};
+
+// HTTP status for each error code
+export const ERROR_STATUS = {
+  INVALID_ARGUMENTS: 400,
+  TOOL_ERROR: 400,
+  FORBIDDEN: 403,
+  UNKNOWN_TOOL: 404,
+  DEVICE_NOT_FOUND: 404,
+  NOT_FOUND: 404,
+  DEVICE_OFFLINE: 503,
+  DEVICE_TIMEOUT: 504
+};
+
+export function restError(status, code, message, details = {}) {
+  return { status, body: { error: { code, message, ...details } } };
+}
+
+// Arguments missing from a schema's required list
+export function missingArguments(schema, args) {
+  return (schema?.required || []).filter(name => args?.[name] === undefined);
+}
+
+function parseText(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Turn an MCP tools/call result into { status, body }
+export function toRestResponse(result) {
+  const text = result.content?.[0]?.text ?? '';
+  const value = parseText(text);
+
+  // Codes from elsewhere (a device's own error codes, say) are plain tool errors
+  const code = ERROR_STATUS[result.errorCode] ? result.errorCode : null;
+
+  if (!result.isError) {
+    // Tools that couldn't pick a device answer with MCP content instead of data
+    if (Array.isArray(value) && value[0]?.type === 'text') {
+      return restError(ERROR_STATUS[code] || 400, code || 'INVALID_ARGUMENTS', value[0].text);
+    }
+    return { status: 200, body: value };
+  }
+
+  if (code === 'DEVICE_TIMEOUT' && value?.error) {
+    return restError(504, 'DEVICE_TIMEOUT', value.error.message, value.error);
+  }
+  const message = String(value).replace(/^Error: /, '');
+  return restError(ERROR_STATUS[code] || 400, code || 'TOOL_ERROR', message);
+}
+
+// The first sentence of a description, for summaries
+function summarize(description = '') {
+  const first = description.split(/(?<=\.)\s/)[0];
+  return first.length > 120 ? `${first.slice(0, 117)}...` : first;
+}
+
+function errorResponses(codes) {
+  return Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/Error${code}` }]));
+}
+
+function operation({ operationId, description, tags, schema, errorCodes }) {
+  return {
+    post: {
+      operationId,
+      summary: summarize(description),
+      description,
+      tags,
+      requestBody: {
+        required: !!schema?.required?.length,
+        content: { 'application/json': { schema: schema || { type: 'object' } } }
+      },
+      responses: {
+        200: { description: 'The tool result', content: { 'application/json': { schema: {} } } },
+        ...errorResponses(errorCodes)
+      }
+    }
+  };
+}
+
+// tools: MCP tool definitions. customTools: [{ deviceId, tool, definition }] from connected devices.
+export function buildOpenApi({ tools, customTools = [], version, serverUrl, authEnabled }) {
+  const paths = {};
+  for (const tool of tools) {
+    const deviceScoped = !!tool.inputSchema?.properties?.deviceId;
+    paths[`${API_PREFIX}/tools/${tool.name}`] = operation({
+      operationId: tool.name,
+      description: tool.description,
+      tags: [deviceScoped ? 'device tools' : 'server tools'],
+      schema: tool.inputSchema,
+      errorCodes: deviceScoped ? [400, 401, 403, 404, 503, 504] : [400, 401, 403, 404]
+    });
+  }
+  for (const { deviceId, tool, definition } of customTools) {
+    paths[`${API_PREFIX}/devices/${encodeURIComponent(deviceId)}/tools/${encodeURIComponent(tool.name)}`] = operation({
+      operationId: definition.name,
+      description: definition.description,
+      tags: ['custom tools'],
+      schema: definition.inputSchema,
+      errorCodes: [400, 401, 403, 404, 503, 504]
+    });
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PageNodes MCP REST API',
+      version,
+      description: 'Every MCP tool as a REST operation. Request bodies are the tool arguments; responses are the tool results as JSON. Custom tools defined by tool-in nodes on connected devices are listed under their device.'
+    },
+    servers: [{ url: serverUrl }],
+    ...(authEnabled && { security: [{ bearer: [] }, { apiKey: [] }] }),
+    tags: [
+      { name: 'server tools', description: 'Devices, groups, audit log and other server state' },
+      { name: 'device tools', description: 'Tools that act on a device (deviceId), a group:/tag: target, or sometimes "all"' },
+      { name: 'custom tools', description: 'Flow-backed tools defined by tool-in nodes on connected devices' }
+    ],
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([code, description]) => [
+        `Error${code}`,
+        { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      ])),
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
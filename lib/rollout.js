@@ -0,0 +1,160 @@
+// Staged multi-device rollouts
+// A rollout deploys to a selected set of devices in stages. After each stage the error buffers
+// of the devices just deployed are compared with their counts from before the rollout; if
+// they rose, the remaining stages are skipped. Strategies:
+//   - canary:   `canary` devices first, then the rest in batches of `batchSize` (default: all at once)
+//   - batches:  batches of `batchSize` devices (default 1)
+//   - parallel: every device in one stage
+// Within a stage at most `concurrency` devices deploy at the same time.
+
+export const ROLLOUT_STRATEGIES = ['canary', 'batches', 'parallel'];
+
+export const DEFAULT_CONCURRENCY = 4;
+
+// Time a stage gets to run before its error counts are checked
+export const DEFAULT_SETTLE_MS = 2000;
+
+// Does a device match a selector? Every given criterion has to match.
+// selector: { type, tags: string[], node } - tags come from registration.meta.tags
+export function matchesSelector(registration, nodeTypes, selector = {}) {
+  if (selector.type && registration.type !== selector.type) {
+    return false;
+  }
+  if (selector.tags?.length) {
+    const tags = registration.meta?.tags || [];
+    if (!selector.tags.every(tag => tags.includes(tag))) {
+      return false;
+    }
+  }
+  if (selector.node && !nodeTypes.includes(selector.node)) {
+    return false;
+  }
+  return true;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Split device ids into stages for a strategy
+export function planStages(ids, { strategy = 'batches', canary = 1, batchSize } = {}) {
+  if (!ROLLOUT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown rollout strategy "${strategy}". Use one of: ${ROLLOUT_STRATEGIES.join(', ')}`);
+  }
+  if (!ids.length) {
+    return [];
+  }
+
+  switch (strategy) {
+    case 'canary': {
+      const first = ids.slice(0, Math.max(1, canary));
+      const rest = ids.slice(first.length);
+      return [first, ...chunk(rest, batchSize || rest.length || 1)];
+    }
+    case 'parallel':
+      return [ids];
+    default:
+      return chunk(ids, batchSize || 1);
+  }
+}
+
+// Run fn over items with at most `limit` in flight. Results keep the order of items.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Run a rollout.
+// deploy(id) deploys one device and resolves to its result (throws on failure).
+// errorCount(id) resolves to the number of errors currently in the device's buffer.
+// A stage fails when any deploy in it fails, when a device's error count rises by more
+// than `errorThreshold` over its count from before the rollout, or when a device can't report
+// its errors after deploying - a device that went quiet isn't known to be healthy.
+// Returns { stages: [{ stage, devices, results, errorsRose, unresponsive }], aborted, reason, deployed }
+export async function runRollout({
+  stages,
+  deploy,
+  errorCount,
+  concurrency = DEFAULT_CONCURRENCY,
+  checkErrors = true,
+  settleMs = DEFAULT_SETTLE_MS,
+  errorThreshold = 0
+}) {
+  const report = { stages: [], aborted: false, reason: null, deployed: [] };
+
+  // Error counts before anything is deployed. A device that can't report counts as 0.
+  const baseline = new Map();
+  if (checkErrors) {
+    for (const id of stages.flat()) {
+      baseline.set(id, await errorCount(id).catch(() => 0));
+    }
+  }
+
+  for (const [index, ids] of stages.entries()) {
+    const results = await mapWithConcurrency(ids, concurrency, async (id) => {
+      try {
+        const result = await deploy(id);
+        report.deployed.push(id);
+        return { deviceId: id, success: true, ...result };
+      } catch (err) {
+        return { deviceId: id, success: false, error: err.message, ...(err.code && { code: err.code }) };
+      }
+    });
+
+    const stage = { stage: index + 1, devices: ids, results, errorsRose: [], unresponsive: [] };
+    report.stages.push(stage);
+
+    const failed = results.filter(r => !r.success).map(r => r.deviceId);
+    if (failed.length) {
+      report.aborted = true;
+      report.reason = `Deploy failed on ${failed.join(', ')} in stage ${index + 1}`;
+      break;
+    }
+
+    if (checkErrors) {
+      if (settleMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, settleMs));
+      }
+      for (const id of ids) {
+        const before = baseline.get(id) || 0;
+        let after;
+        try {
+          after = await errorCount(id);
+        } catch (err) {
+          stage.unresponsive.push({ deviceId: id, error: err.message });
+          continue;
+        }
+        if (after - before > errorThreshold) {
+          stage.errorsRose.push({ deviceId: id, before, after });
+        }
+      }
+      if (stage.errorsRose.length || stage.unresponsive.length) {
+        const reasons = [
+          ...(stage.errorsRose.length ? [`Error count rose on ${stage.errorsRose.map(e => e.deviceId).join(', ')}`] : []),
+          ...(stage.unresponsive.length ? [`no error count from ${stage.unresponsive.map(e => e.deviceId).join(', ')}`] : [])
+        ];
+        report.aborted = true;
+        report.reason = `${reasons.join('; ')} after stage ${index + 1}`;
+        break;
+      }
+    }
+  }
+
+  report.skipped = stages.slice(report.stages.length).flat();
+  return report;
+}
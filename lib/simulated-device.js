@@ -0,0 +1,346 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import rawr from 'rawr';
+
+// Simulated device
+// Connects to a server like a real PageNodes tab - WebSocket + rawr, registerDevice - so agents
+// and the server can be exercised without a browser. Two modes:
+//   - model:  an in-memory flow model. Flows can be edited and deployed; inject/trigger push
+//             messages along the deployed wires into debug, mcp-out and tool-out nodes.
+//             Function and other processing nodes pass messages through unchanged.
+//   - replay: answers every call from a traffic recording (see traffic-recorder.js). Calls are
+//             matched by method, preferring identical arguments; once a method's recorded
+//             answers run out, the last one is repeated.
+
+// Node types the model knows about
+const CATALOG = [
+  { type: 'inject', category: 'common', description: 'Inject a message manually or on an interval', inputs: 0, outputs: 1, defaults: { payload: { value: '' }, topic: { value: '' } } },
+  { type: 'debug', category: 'common', description: 'Show messages in the debug panel', inputs: 1, outputs: 0, defaults: { name: { value: '' } } },
+  { type: 'comment', category: 'common', description: 'A comment on the canvas', inputs: 0, outputs: 0, defaults: { name: { value: '' } } },
+  { type: 'catch', category: 'common', description: 'Catch errors thrown by nodes', inputs: 0, outputs: 1, defaults: {} },
+  { type: 'function', category: 'function', description: 'Run JavaScript on each message (passed through unchanged in simulation)', inputs: 1, outputs: 1, defaults: { func: { value: 'return msg;' } } },
+  { type: 'change', category: 'function', description: 'Set, change or delete message properties', inputs: 1, outputs: 1, defaults: { rules: { value: [] } } },
+  { type: 'switch', category: 'function', description: 'Route messages by property values', inputs: 1, outputs: 1, defaults: { rules: { value: [] } } },
+  { type: 'delay', category: 'function', description: 'Delay or rate limit messages', inputs: 1, outputs: 1, defaults: { timeout: { value: 1 } } },
+  { type: 'template', category: 'function', description: 'Set a property from a template', inputs: 1, outputs: 1, defaults: { template: { value: '' } } },
+  { type: 'mcp-in', category: 'mcp', description: 'Receive messages sent with send_mcp_message', inputs: 0, outputs: 1, defaults: { topic: { value: '' } } },
+  { type: 'mcp-out', category: 'mcp', description: 'Queue a message for get_mcp_messages', inputs: 1, outputs: 0, defaults: { topic: { value: '' } } },
+  { type: 'tool-in', category: 'mcp', description: 'Start of a custom AI tool', inputs: 0, outputs: 1, defaults: { name: { value: '', required: true }, description: { value: '' } } },
+  { type: 'tool-out', category: 'mcp', description: 'Return the result of a custom AI tool', inputs: 1, outputs: 0, defaults: {} }
+];
+
+const BUFFER_LIMIT = 100;
+
+// Longest chain of hops a message may take before it is dropped (catches wiring loops)
+const MAX_HOPS = 100;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function pushLimited(list, item) {
+  list.unshift(item);
+  list.length = Math.min(list.length, BUFFER_LIMIT);
+}
+
+// In-memory PageNodes runtime. notify(type, details) pushes a device event.
+export function createFlowModel({ nodeTypes, notify = () => {} } = {}) {
+  const catalog = nodeTypes
+    ? nodeTypes.map(type => CATALOG.find(n => n.type === type) || { type, category: 'simulated', description: `Simulated ${type} node`, inputs: 1, outputs: 1, defaults: {} })
+    : CATALOG;
+  const known = new Set(catalog.map(n => n.type));
+
+  const state = { flows: [{ id: 'flow1', type: 'tab', label: 'Flow 1' }], nodes: [], configNodes: [] };
+  let deployed = clone(state);
+  const debug = [];
+  const errors = [];
+  const logs = [];
+  let messages = [];
+  const pendingTools = new Map();
+
+  const newId = () => crypto.randomBytes(8).toString('hex');
+
+  function log(level, message) {
+    pushLimited(logs, { t: Date.now(), c: 'runtime', l: level, m: message });
+  }
+
+  function error(node, message, msg) {
+    const entry = { nodeId: node.id, nodeType: node.type, nodeName: node.name || '', message, _msgid: msg?._msgid, timestamp: Date.now() };
+    pushLimited(errors, entry);
+    notify('node-error', entry);
+  }
+
+  function findNode(list, id) {
+    return list.find(n => n.id === id);
+  }
+
+  // Send a message into a deployed node and on along its wires
+  function deliver(nodeId, msg, hops = 0) {
+    const node = findNode(deployed.nodes, nodeId);
+    if (!node || hops > MAX_HOPS) return;
+
+    if (!known.has(node.type)) {
+      error(node, `Unknown node type "${node.type}"`, msg);
+      return;
+    }
+
+    switch (node.type) {
+      case 'debug': {
+        const entry = { id: newId(), nodeId: node.id, name: node.name || '', msg: clone(msg.payload), topic: msg.topic, _msgid: msg._msgid, timestamp: Date.now() };
+        pushLimited(debug, entry);
+        notify('debug', entry);
+        return;
+      }
+      case 'mcp-out': {
+        const message = { topic: node.topic || msg.topic || '', payload: clone(msg.payload), nodeId: node.id, _msgid: msg._msgid, timestamp: Date.now() };
+        messages.push(message);
+        notify('mcp-message', message);
+        return;
+      }
+      case 'tool-out': {
+        const pending = pendingTools.get(msg._msgid);
+        if (pending) {
+          pendingTools.delete(msg._msgid);
+          // undefined would be dropped from the JSON-RPC response and never answer the call
+          pending(clone(msg.payload) ?? null);
+        }
+        return;
+      }
+    }
+
+    for (const port of node.wires || []) {
+      for (const target of port || []) {
+        deliver(target, clone(msg), hops + 1);
+      }
+    }
+  }
+
+  function newMsg(props) {
+    return { _msgid: newId(), ...props };
+  }
+
+  // Every tab, node and config node, for ids and wires
+  function allIds() {
+    return new Set([...state.flows, ...state.nodes, ...state.configNodes].map(n => n.id));
+  }
+
+  const methods = {
+    getState: () => ({
+      nodeCatalog: catalog.map(({ type, category, description }) => ({ type, category, description })),
+      flowCount: state.flows.length,
+      nodeCount: state.nodes.length
+    }),
+    getFlows: () => clone(state),
+    createFlow: (label) => {
+      const flow = { id: newId(), type: 'tab', label: label || `Flow ${state.flows.length + 1}` };
+      state.flows.push(flow);
+      return { success: true, flow };
+    },
+    deleteFlow: (flowId) => {
+      if (!state.flows.some(f => f.id === flowId)) {
+        return { success: false, error: `Flow ${flowId} not found` };
+      }
+      state.flows = state.flows.filter(f => f.id !== flowId);
+      state.nodes = state.nodes.filter(n => n.z !== flowId);
+      return { success: true };
+    },
+    addNodes: (flowId, nodes) => {
+      if (!state.flows.some(f => f.id === flowId)) {
+        return { success: false, error: `Flow ${flowId} not found` };
+      }
+      const idMap = new Map((nodes || []).map(n => [n.tempId, newId()]));
+      const ids = allIds();
+      const resolve = (target) => idMap.get(target) || (ids.has(target) ? target : null);
+
+      const added = (nodes || []).map(({ tempId, ...props }) => {
+        const node = { ...props, id: idMap.get(tempId) };
+        for (const key of ['wires', 'streamWires']) {
+          if (Array.isArray(props[key])) {
+            node[key] = props[key].map(port => (port || []).map(resolve).filter(Boolean));
+          }
+        }
+        // Config nodes live off-canvas
+        if (catalog.find(c => c.type === node.type)?.category === 'config') {
+          state.configNodes.push(node);
+        } else {
+          node.z = flowId;
+          node.wires = node.wires || [];
+          state.nodes.push(node);
+        }
+        return { tempId, id: node.id, node };
+      });
+      return { success: true, nodes: added };
+    },
+    updateNode: (nodeId, updates) => {
+      const node = findNode([...state.nodes, ...state.configNodes], nodeId);
+      if (!node) return { success: false, error: `Node ${nodeId} not found` };
+      Object.assign(node, updates, { id: node.id });
+      return { success: true, node: clone(node) };
+    },
+    deleteNode: (nodeId) => {
+      const before = state.nodes.length + state.configNodes.length;
+      state.nodes = state.nodes.filter(n => n.id !== nodeId);
+      state.configNodes = state.configNodes.filter(n => n.id !== nodeId);
+      for (const node of state.nodes) {
+        node.wires = (node.wires || []).map(port => (port || []).filter(t => t !== nodeId));
+      }
+      return { success: state.nodes.length + state.configNodes.length < before };
+    },
+    deploy: () => {
+      deployed = clone(state);
+      log('log', `Deployed ${deployed.nodes.length} nodes`);
+      notify('deploy', { nodeCount: deployed.nodes.length });
+      // Inject nodes set to fire once on deploy
+      for (const node of deployed.nodes.filter(n => n.type === 'inject' && n.once)) {
+        setImmediate(() => deliver(node.id, newMsg({ payload: clone(node.payload ?? Date.now()), topic: node.topic || '', _fromInject: true })));
+      }
+      return { success: true };
+    },
+    inject: (nodeId, payload) => {
+      const node = findNode(deployed.nodes, nodeId);
+      if (!node) return { success: false, error: `Node ${nodeId} is not deployed` };
+      // rawr sends a missing payload as null, so null means "use the node's own"
+      const msg = newMsg({ payload: payload ?? clone(node.payload ?? Date.now()), topic: node.topic || '' });
+      setImmediate(() => deliver(nodeId, { ...msg, _fromInject: true }));
+      return { success: true, _msgid: msg._msgid };
+    },
+    trigger: (nodeId, msg) => {
+      const node = findNode(deployed.nodes, nodeId);
+      if (!node) return { success: false, error: `Node ${nodeId} is not deployed` };
+      const full = newMsg(msg || {});
+      // The node receives the message on its input - process it as if it arrived over a wire
+      setImmediate(() => deliver(nodeId, full));
+      return { success: true, _msgid: full._msgid, nodeType: node.type };
+    },
+    getInjectNodes: () => ({ nodes: deployed.nodes.filter(n => n.type === 'inject').map(n => ({ id: n.id, name: n.name || '', z: n.z })) }),
+    getDebugOutput: (limit = 10) => ({ messages: debug.slice(0, limit) }),
+    clearDebug: () => { debug.length = 0; return { success: true }; },
+    getErrors: (limit = 10) => ({ errors: errors.slice(0, limit) }),
+    clearErrors: () => { errors.length = 0; return { success: true }; },
+    getLogs: (limit = 100, context = null, level = null) => ({
+      logs: logs.filter(l => (!context || l.c === context) && (!level || l.l === level)).slice(0, limit)
+    }),
+    clearLogs: () => { logs.length = 0; return { success: true }; },
+    getNodeDetails: (type) => catalog.find(n => n.type === type) || { error: `Unknown node type: ${type}` },
+    getNodeStatuses: () => ({ statuses: {} }),
+    getCanvasSvg: () => {
+      const rects = state.nodes.map(n => `<rect x="${(n.x || 0) - 60}" y="${(n.y || 0) - 15}" width="120" height="30"/><text x="${(n.x || 0) - 55}" y="${(n.y || 0) + 5}">${n.name || n.type}</text>`);
+      return { svg: `<svg xmlns="http://www.w3.org/2000/svg">${rects.join('')}</svg>` };
+    },
+    getMessages: (limit = 100, clear = true) => {
+      const result = messages.slice(0, limit);
+      if (clear) messages = messages.slice(limit);
+      return { messages: result, remaining: messages.length };
+    },
+    sendMessage: (payload, topic = '') => {
+      const targets = deployed.nodes.filter(n => n.type === 'mcp-in' && (!n.topic || n.topic === topic));
+      for (const node of targets) {
+        setImmediate(() => {
+          for (const port of node.wires || []) {
+            for (const target of port || []) deliver(target, newMsg({ payload: clone(payload), topic }));
+          }
+        });
+      }
+      return { success: true, delivered: targets.length };
+    },
+    getCustomTools: () => ({
+      tools: deployed.nodes.filter(n => n.type === 'tool-in' && n.name).map(n => ({ name: n.name, description: n.description || '' }))
+    }),
+    useCustomTool: (name, message = {}) => {
+      const node = deployed.nodes.find(n => n.type === 'tool-in' && n.name === name);
+      if (!node) throw new Error(`Custom tool "${name}" not found`);
+      const msg = newMsg(clone(message));
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pendingTools.delete(msg._msgid);
+          reject(new Error(`Custom tool "${name}" did not reach a tool-out node`));
+        }, 5000);
+        pendingTools.set(msg._msgid, (payload) => {
+          clearTimeout(timer);
+          resolve(payload);
+        });
+        for (const port of node.wires || []) {
+          for (const target of port || []) deliver(target, clone(msg));
+        }
+      });
+    },
+    ping: () => ({ pong: true })
+  };
+
+  return { methods, catalog };
+}
+
+// Answers taken from a traffic recording, for one device
+export function createReplayModel(recording, deviceId) {
+  const calls = recording.filter(e => e.type === 'call' && (!deviceId || e.deviceId === deviceId));
+  const byMethod = new Map();
+  for (const call of calls) {
+    if (!byMethod.has(call.method)) byMethod.set(call.method, []);
+    byMethod.get(call.method).push(call);
+  }
+
+  function answer(method, args) {
+    const queue = byMethod.get(method);
+    if (!queue?.length) {
+      throw new Error(`No recorded response for ${method}`);
+    }
+    const wanted = JSON.stringify(args);
+    const index = Math.max(0, queue.findIndex(c => JSON.stringify(c.args) === wanted));
+    const call = queue.length > 1 ? queue.splice(index, 1)[0] : queue[0];
+    if (call.error) {
+      throw Object.assign(new Error(call.error.message), call.error.code && { code: call.error.code });
+    }
+    return call.result;
+  }
+
+  const methods = new Proxy({}, {
+    get: (target, method) => (...args) => (method === 'ping' ? { pong: true } : answer(method, args))
+  });
+
+  return { methods, methodNames: Array.from(byMethod.keys()) };
+}
+
+// Connect a simulated device to a server.
+// info: registerDevice payload ({ id, name, type, nodes, meta, secret, ... })
+// recording: traffic recording entries to replay (omit for the in-memory model)
+// Resolves to { deviceId, registration, close }
+export function startSimulatedDevice({ url, info = {}, recording = null, replayDevice = null, log = () => {} }) {
+  let model;
+  let registerInfo = { type: 'simulated', name: 'Simulated device', ...info };
+
+  if (recording) {
+    const registered = recording.find(e => e.type === 'register' && (!replayDevice || e.deviceId === replayDevice));
+    const deviceId = replayDevice || registered?.deviceId;
+    model = createReplayModel(recording, deviceId);
+    registerInfo = { ...registered?.info, id: deviceId, ...info };
+  }
+
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.on('error', reject);
+    ws.on('open', async () => {
+      const peer = rawr({ transport: rawr.transports.websocket(ws) });
+      const notify = (type, details) => peer.notifiers.deviceEvent({ type, ...details });
+
+      if (!model) {
+        model = createFlowModel({ nodeTypes: info.nodes, notify });
+        registerInfo.nodes = registerInfo.nodes || model.catalog.map(n => n.type);
+      }
+
+      // Every method a device answers, so a replay rejects unrecorded calls instead of leaving them hanging
+      const names = [...Object.keys(createFlowModel().methods), ...(model.methodNames || [])];
+      for (const name of new Set(names)) {
+        peer.addHandler(name, (...args) => model.methods[name](...args));
+      }
+
+      try {
+        const registration = await peer.methods.registerDevice(registerInfo);
+        log(`Simulated device registered as ${registration.deviceId}${recording ? ' (replaying recording)' : ''}`);
+        resolve({ deviceId: registration.deviceId, registration, close: () => ws.close() });
+      } catch (err) {
+        ws.close();
+        reject(new Error(err?.message || String(err)));
+      }
+    });
+  });
+}
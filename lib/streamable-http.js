@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+
+// Streamable HTTP transport (MCP 2025-03-26)
+// A single endpoint carries the whole conversation:
+//   POST   - JSON-RPC message (or batch) from the client. Replies come back as plain JSON
+//            or as an SSE stream, depending on what the client accepts.
+//   GET    - Standalone SSE stream for server-initiated messages. Sending Last-Event-ID
+//            resumes a dropped stream and replays whatever was missed.
+//   DELETE - Explicit session teardown.
+// Sessions are created by `initialize` and identified by the Mcp-Session-Id header. A POST
+// with neither is answered the old sessionless way, so existing HTTP clients keep working.
+// A session belongs to the client that created it; other clients get 403.
+
+export const SESSION_HEADER = 'Mcp-Session-Id';
+
+// Events kept per session so a client can resume after a dropped connection
+const HISTORY_LIMIT = 200;
+
+// Stream id used for the standalone GET stream
+const STANDALONE_STREAM = 'standalone';
+
+// Read a request body into a string
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// JSON-RPC error with no request id (transport-level failures)
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    ...headers
+  });
+  res.flushHeaders();
+}
+
+// onSessionClosed(context) is called when a session is deleted or expires
+export function createStreamableHttpTransport({ mcpHandler, log, onSessionClosed = () => {}, sessionTtl = 30 * 60 * 1000 }) {
+  // Map<sessionId, { id, protocolVersion, clientInfo, createdAt, lastActivity, streams, openStreams, history, nextEventId }>
+  // streams: Map<streamId, res> for streams with a live connection
+  // openStreams: Set<streamId> for POST streams still waiting on responses
+  const sessions = new Map();
+
+  // The session's context travels with every request it makes, so tools can address the session
+  function createSession(context) {
+    const id = crypto.randomUUID();
+    const session = {
+      id,
+      context: { ...context, transport: 'streamable-http', sessionId: id },
+      protocolVersion: null,
+      clientInfo: null,
+      createdAt: new Date().toISOString(),
+      lastActivity: Date.now(),
+      streams: new Map(),
+      openStreams: new Set(),
+      history: [],
+      nextEventId: 1
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  function closeSession(session) {
+    for (const res of session.streams.values()) {
+      res.end();
+    }
+    session.streams.clear();
+    sessions.delete(session.id);
+    onSessionClosed(session.context);
+  }
+
+  // Record an event in the session history and write it to the stream if connected.
+  // Events written while the client is away are replayed on resumption.
+  function writeEvent(session, streamId, message) {
+    const eventId = String(session.nextEventId++);
+    session.history.push({ eventId, streamId, message });
+    if (session.history.length > HISTORY_LIMIT) {
+      session.history.shift();
+    }
+
+    const res = session.streams.get(streamId);
+    if (res) {
+      res.write(`id: ${eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+  }
+
+  // Look up the session named by the Mcp-Session-Id header, answering the request on failure
+  function requireSession(req, res, context) {
+    const sessionId = req.headers[SESSION_HEADER.toLowerCase()];
+    if (!sessionId) {
+      sendRpcError(res, 400, -32000, `Bad Request: ${SESSION_HEADER} header is required`);
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start over with a new initialize
+      sendRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+    if (session.context.client !== context.client) {
+      sendRpcError(res, 403, -32000, 'Forbidden: session belongs to another client');
+      return null;
+    }
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  async function handlePost(req, res, context) {
+    let messages;
+    let isBatch;
+    try {
+      const body = await readBody(req);
+      const parsed = JSON.parse(body);
+      isBatch = Array.isArray(parsed);
+      messages = isBatch ? parsed : [parsed];
+    } catch {
+      sendRpcError(res, 400, -32700, 'Parse error');
+      return;
+    }
+
+    if (messages.length === 0) {
+      sendRpcError(res, 400, -32600, 'Invalid Request: empty batch');
+      return;
+    }
+
+    let session;
+    const initialize = messages.find(m => m?.method === 'initialize');
+    if (!initialize && !req.headers[SESSION_HEADER.toLowerCase()]) {
+      await handleSessionless(res, messages, isBatch, context);
+      return;
+    }
+    if (initialize) {
+      if (messages.length > 1) {
+        sendRpcError(res, 400, -32600, 'Invalid Request: initialize must not be batched');
+        return;
+      }
+      session = createSession(context);
+    } else {
+      session = requireSession(req, res, context);
+      if (!session) return;
+    }
+
+    // Requests get responses; notifications and client responses are just processed
+    const requests = messages.filter(m => m?.method && m.id !== undefined);
+    const others = messages.filter(m => !(m?.method && m.id !== undefined));
+
+    for (const message of others) {
+      if (message?.method) {
+        await mcpHandler.handleRequest(message, session.context);
+      }
+    }
+
+    if (requests.length === 0) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    const handle = async (request) => {
+      const response = await mcpHandler.handleRequest(request, session.context);
+      if (request.method === 'initialize') {
+        if (response?.error) {
+          sessions.delete(session.id);
+          onSessionClosed(session.context);
+        } else {
+          session.protocolVersion = response?.result?.protocolVersion;
+          session.clientInfo = request.params?.clientInfo || null;
+          log(`MCP session started: ${session.clientInfo?.name || 'unknown client'} (session: ${session.id.slice(0, 8)}..., protocol ${session.protocolVersion})`);
+        }
+      }
+      return response;
+    };
+
+    const headers = sessions.has(session.id) ? { [SESSION_HEADER]: session.id } : {};
+    const accept = req.headers.accept || '';
+
+    // Plain JSON response - wait for everything, reply once
+    if (!accept.includes('text/event-stream')) {
+      const responses = await Promise.all(requests.map(handle));
+      sendJson(res, 200, isBatch ? responses : responses[0], headers);
+      return;
+    }
+
+    // Streaming response - each reply is written as soon as it is ready
+    const streamId = crypto.randomUUID();
+    openEventStream(res, headers);
+    session.streams.set(streamId, res);
+    session.openStreams.add(streamId);
+
+    req.on('close', () => {
+      // Client went away mid-stream - keep recording so it can resume via GET
+      if (session.streams.get(streamId) === res) {
+        session.streams.delete(streamId);
+      }
+    });
+
+    await Promise.all(requests.map(async (request) => {
+      const response = await handle(request);
+      writeEvent(session, streamId, response);
+    }));
+
+    session.openStreams.delete(streamId);
+    const live = session.streams.get(streamId);
+    if (live) {
+      session.streams.delete(streamId);
+      live.end();
+    }
+  }
+
+  // Clients from before Streamable HTTP POST bare JSON-RPC here without initialize or a session.
+  // They get what /mcp always gave them: one JSON reply, no session and no stream.
+  async function handleSessionless(res, messages, isBatch, context) {
+    if (messages.some(m => !m || typeof m !== 'object')) {
+      sendRpcError(res, 400, -32600, 'Invalid Request');
+      return;
+    }
+    const httpContext = { ...context, transport: 'http' };
+    const responses = (await Promise.all(messages.map(m => mcpHandler.handleRequest(m, httpContext)))).filter(Boolean);
+    if (responses.length === 0) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+    sendJson(res, 200, isBatch ? responses : responses[0]);
+  }
+
+  function handleGet(req, res, context) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      sendRpcError(res, 406, -32000, 'Not Acceptable: client must accept text/event-stream');
+      return;
+    }
+
+    const session = requireSession(req, res, context);
+    if (!session) return;
+
+    const lastEventId = req.headers['last-event-id'];
+
+    // Resumption - replay everything after Last-Event-ID on the stream it belonged to
+    if (lastEventId) {
+      const index = session.history.findIndex(e => e.eventId === lastEventId);
+      if (index === -1) {
+        sendRpcError(res, 400, -32000, `Unknown or expired Last-Event-ID: ${lastEventId}`);
+        return;
+      }
+
+      const streamId = session.history[index].streamId;
+      openEventStream(res, { [SESSION_HEADER]: session.id });
+      for (const event of session.history.slice(index + 1)) {
+        if (event.streamId === streamId) {
+          res.write(`id: ${event.eventId}\nevent: message\ndata: ${JSON.stringify(event.message)}\n\n`);
+        }
+      }
+
+      // A finished POST stream has nothing more to send
+      if (streamId !== STANDALONE_STREAM && !session.openStreams.has(streamId)) {
+        res.end();
+        return;
+      }
+
+      session.streams.set(streamId, res);
+      req.on('close', () => {
+        if (session.streams.get(streamId) === res) {
+          session.streams.delete(streamId);
+        }
+      });
+      return;
+    }
+
+    if (session.streams.has(STANDALONE_STREAM)) {
+      sendRpcError(res, 409, -32000, 'Conflict: a stream is already open for this session');
+      return;
+    }
+
+    openEventStream(res, { [SESSION_HEADER]: session.id });
+    session.streams.set(STANDALONE_STREAM, res);
+    log(`MCP stream opened (session: ${session.id.slice(0, 8)}...)`);
+
+    req.on('close', () => {
+      if (session.streams.get(STANDALONE_STREAM) === res) {
+        session.streams.delete(STANDALONE_STREAM);
+      }
+    });
+  }
+
+  function handleDelete(req, res, context) {
+    const session = requireSession(req, res, context);
+    if (!session) return;
+
+    closeSession(session);
+    log(`MCP session ended (session: ${session.id.slice(0, 8)}...)`);
+    res.writeHead(204);
+    res.end();
+  }
+
+  // Route a request for the MCP endpoint
+  // context: { client } - the authenticated client (null when auth is disabled)
+  async function handle(req, res, context = { client: null }) {
+    switch (req.method) {
+      case 'POST':
+        return handlePost(req, res, context);
+      case 'GET':
+        return handleGet(req, res, context);
+      case 'DELETE':
+        return handleDelete(req, res, context);
+      default:
+        res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+        res.end();
+    }
+  }
+
+  // Send a server-initiated message to one session over its standalone stream
+  function notify(sessionId, message) {
+    const session = sessions.get(sessionId);
+    if (session) {
+      writeEvent(session, STANDALONE_STREAM, message);
+    }
+  }
+
+  // Send a server-initiated message to every session
+  function broadcast(message) {
+    for (const session of sessions.values()) {
+      writeEvent(session, STANDALONE_STREAM, message);
+    }
+  }
+
+  // Drop sessions that have been idle with no open streams for longer than the TTL
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtl;
+    for (const session of sessions.values()) {
+      if (session.streams.size === 0 && session.lastActivity < cutoff) {
+        closeSession(session);
+        log(`MCP session expired (session: ${session.id.slice(0, 8)}...)`);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return { handle, notify, broadcast, sessions };
+}
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+
+// Device traffic recording
+// With --record, every rawr call the server makes to a device is appended to a JSONL file,
+// along with each device's registration, so the session can be played back later by a
+// simulated device without the real one:
+/*
+{ "type": "register", "timestamp": "...", "deviceId": "kitchen-pi", "info": { "name": "...", "nodes": [...] } }
+{ "type": "call", "timestamp": "...", "deviceId": "kitchen-pi", "method": "getFlows", "args": [], "durationMs": 12, "result": { ... } }
+{ "type": "call", "timestamp": "...", "deviceId": "kitchen-pi", "method": "deploy", "args": [], "durationMs": 40, "error": { "message": "..." } }
+*/
+// Heartbeat pings aren't recorded. Device credentials are stripped from registrations.
+
+const CREDENTIAL_KEYS = ['secret', 'pairingCode', 'deviceToken'];
+
+export function createTrafficRecorder({ file, log }) {
+  function append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+    } catch (err) {
+      log(`Could not write traffic recording ${file}: ${err.message}`);
+    }
+  }
+
+  function register(deviceId, info) {
+    const clean = { ...info };
+    for (const key of CREDENTIAL_KEYS) delete clean[key];
+    append({ type: 'register', deviceId, info: clean });
+  }
+
+  // Called by callDevice when a call settles
+  function call({ deviceId, method, args, durationMs, result, error }) {
+    append({
+      type: 'call',
+      deviceId,
+      method,
+      args,
+      durationMs,
+      ...(error ? { error: { message: error.message, ...(error.code && { code: error.code }) } } : { result })
+    });
+  }
+
+  return { register, call, file };
+}
+
+// Read a recording, oldest first. Unparseable lines are skipped.
+export function readRecording(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash
+    }
+  }
+  return entries;
+}
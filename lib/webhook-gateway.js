@@ -0,0 +1,278 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { matchesTopic } from './message-waiter.js';
+import { normalizeHooks } from './inbound-hooks.js';
+
+// Webhook gateway
+// Forwards mcp-out messages to HTTP endpoints from the server, so flows never hold gateway
+// hosts or keys and browser tabs don't run into CORS. Routes come from a file given with --webhooks:
+/*
+{
+  "pollInterval": 2000,                        // How often device queues are drained (ms)
+  "routes": [
+    {
+      "name": "alerts",
+      "url": "https://hooks.example.com/pagenodes",
+      "devices": ["kitchen-*", "group:garage"],  // Device id globs or group:/tag: targets (default: all)
+      "topics": ["alert/*"],                     // Topic globs (default: all)
+      "headers": { "Authorization": "Bearer ${ALERTS_TOKEN}" },   // ${VAR} is read from the environment
+      "secretEnv": "ALERTS_SECRET",              // or "secret" - HMAC-SHA256 signs every request
+      "maxAttempts": 5,
+      "initialDelayMs": 1000,                    // Backoff doubles per attempt...
+      "maxDelayMs": 60000,                       // ...up to this
+      "timeoutMs": 10000
+    }
+  ]
+}
+*/
+// Messages matching a route are taken off the device queue and POSTed as JSON, once per matching
+// route. Messages no route wants are held by the server for get_mcp_messages (see
+// message-waiter.js), so they don't hold up the ones behind them. Network errors, 5xx and 429
+// are retried with exponential backoff (honouring Retry-After); other 4xx replies and deliveries
+// that ran out of attempts go to the dead-letter list, saved in <dir>/dead-letters.json.
+// Deliveries waiting for a retry are kept in memory only.
+// The same file can hold inbound hooks in a "hooks" section (see inbound-hooks.js).
+//
+// Signed requests carry X-PageNodes-Timestamp (unix seconds) and
+// X-PageNodes-Signature: sha256=<hex HMAC of "<timestamp>.<body>">.
+
+export const DEFAULT_GATEWAY_POLL_INTERVAL = 2000;
+
+const ROUTE_DEFAULTS = {
+  devices: ['*'],
+  topics: ['*'],
+  headers: {},
+  maxAttempts: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  timeoutMs: 10 * 1000
+};
+
+// Dead letters kept, newest first
+const MAX_DEAD_LETTERS = 1000;
+
+// Replace ${VAR} with the environment variable
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? '');
+}
+
+// file: a path, or the config object given inline in the server config
+export function loadWebhookConfig(file) {
+  if (!file) {
+    return null;
+  }
+  const data = typeof file === 'object' ? file : JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const names = new Set();
+  const routes = (data.routes || []).map((route, i) => {
+    if (!route.url) {
+      throw new Error(`Webhook route ${route.name || i} has no url`);
+    }
+    const name = route.name || `route-${i + 1}`;
+    if (names.has(name)) {
+      throw new Error(`Duplicate webhook route name "${name}"`);
+    }
+    names.add(name);
+    return {
+      ...ROUTE_DEFAULTS,
+      ...route,
+      name,
+      devices: [].concat(route.devices || ROUTE_DEFAULTS.devices),
+      topics: [].concat(route.topics || ROUTE_DEFAULTS.topics)
+    };
+  });
+  return { pollInterval: data.pollInterval || DEFAULT_GATEWAY_POLL_INTERVAL, routes, hooks: normalizeHooks(data.hooks) };
+}
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Delay before the next attempt, given the attempt that just failed (1-based)
+function backoff(route, attempt, retryAfterMs = 0) {
+  return Math.max(retryAfterMs, Math.min(route.maxDelayMs, route.initialDelayMs * 2 ** (attempt - 1)));
+}
+
+// take(deviceId, filter) takes a device's queued messages matching filter; the rest are held for
+// get_mcp_messages (see take in message-waiter.js)
+// deviceIds() lists connected devices; deviceMatches(pattern, deviceId) handles group:/tag: targets
+export function createWebhookGateway({ config, dir, take, deviceIds, deviceMatches, log }) {
+  const routes = config.routes;
+  const stats = new Map(routes.map(r => [r.name, { delivered: 0, retrying: 0, deadLettered: 0, lastDeliveryAt: null, lastError: null }]));
+  const retryTimers = new Set();
+  const draining = new Set();
+  const deadLetterFile = path.join(dir, 'dead-letters.json');
+  let deadLetters = [];
+  let pollTimer = null;
+
+  try {
+    if (fs.existsSync(deadLetterFile)) {
+      deadLetters = JSON.parse(fs.readFileSync(deadLetterFile, 'utf-8'));
+    }
+  } catch (err) {
+    log(`Could not read webhook dead letters ${deadLetterFile}: ${err.message}`);
+  }
+
+  function saveDeadLetters() {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(deadLetterFile, JSON.stringify(deadLetters, null, 2));
+    } catch (err) {
+      log(`Could not save webhook dead letters: ${err.message}`);
+    }
+  }
+
+  function routeMatchesDevice(route, deviceId) {
+    return route.devices.some(p => matchesTopic(p, deviceId) || deviceMatches(p, deviceId));
+  }
+
+  function routesFor(deviceId, message) {
+    return routes.filter(r => routeMatchesDevice(r, deviceId) && r.topics.some(p => matchesTopic(p, message.topic)));
+  }
+
+  function deadLetter(delivery, error) {
+    const route = routes.find(r => r.name === delivery.route);
+    if (route) {
+      stats.get(route.name).deadLettered++;
+    }
+    deadLetters.unshift({ ...delivery, error, deadLetteredAt: new Date().toISOString() });
+    deadLetters.length = Math.min(deadLetters.length, MAX_DEAD_LETTERS);
+    saveDeadLetters();
+    log(`  → Webhook ${delivery.route}: gave up on delivery ${delivery.id} after ${delivery.attempts} attempt(s) (${error})${route ? '' : ' - route no longer exists'}`);
+  }
+
+  function scheduleRetry(delivery, delay) {
+    stats.get(delivery.route).retrying++;
+    const timer = setTimeout(() => {
+      retryTimers.delete(timer);
+      stats.get(delivery.route).retrying--;
+      attempt(delivery);
+    }, delay);
+    retryTimers.add(timer);
+  }
+
+  async function attempt(delivery) {
+    const route = routes.find(r => r.name === delivery.route);
+    if (!route) {
+      deadLetter(delivery, 'Route no longer exists');
+      return;
+    }
+
+    delivery.attempts++;
+    const routeStats = stats.get(route.name);
+    const body = JSON.stringify({ id: delivery.id, route: route.name, attempt: delivery.attempts, ...delivery.message });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'pagenodes-mcp-gateway',
+      'X-PageNodes-Delivery': delivery.id,
+      'X-PageNodes-Event': 'mcp-message',
+      ...Object.fromEntries(Object.entries(route.headers).map(([k, v]) => [k, expandEnv(v)]))
+    };
+    const secret = route.secretEnv ? process.env[route.secretEnv] : route.secret;
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-PageNodes-Timestamp'] = String(timestamp);
+      headers['X-PageNodes-Signature'] = signPayload(secret, timestamp, body);
+    }
+
+    let error;
+    let retryable = true;
+    let retryAfterMs = 0;
+    try {
+      const res = await fetch(expandEnv(route.url), {
+        method: route.method || 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(route.timeoutMs)
+      });
+      if (res.ok) {
+        routeStats.delivered++;
+        routeStats.lastDeliveryAt = new Date().toISOString();
+        return;
+      }
+      error = `HTTP ${res.status}`;
+      retryable = res.status >= 500 || res.status === 429 || res.status === 408;
+      retryAfterMs = (parseInt(res.headers.get('retry-after'), 10) || 0) * 1000;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${route.timeoutMs}ms` : err.message;
+    }
+
+    routeStats.lastError = { at: new Date().toISOString(), error, deliveryId: delivery.id };
+    delivery.lastError = error;
+    if (!retryable || delivery.attempts >= route.maxAttempts) {
+      deadLetter(delivery, error);
+    } else {
+      scheduleRetry(delivery, backoff(route, delivery.attempts, retryAfterMs));
+    }
+  }
+
+  // Forward the messages in a device's queue that a route wants
+  async function drain(deviceId) {
+    if (draining.has(deviceId) || !routes.some(r => routeMatchesDevice(r, deviceId))) return;
+    draining.add(deviceId);
+    try {
+      const { messages } = await take(deviceId, m => routesFor(deviceId, m).length > 0);
+      for (const message of messages) {
+        for (const route of routesFor(deviceId, message)) {
+          attempt({
+            id: crypto.randomUUID(),
+            route: route.name,
+            deviceId,
+            message: { deviceId, ...message },
+            attempts: 0,
+            createdAt: new Date().toISOString()
+          });
+        }
+      }
+    } catch (err) {
+      log(`  → Webhook gateway could not drain ${deviceId}: ${err.message}`);
+    } finally {
+      draining.delete(deviceId);
+    }
+  }
+
+  function start() {
+    log(`Webhooks:     ${routes.length} route(s) (${routes.map(r => r.name).join(', ')})`);
+    pollTimer = setInterval(() => {
+      for (const deviceId of deviceIds()) drain(deviceId);
+    }, config.pollInterval);
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    for (const timer of retryTimers) clearTimeout(timer);
+    retryTimers.clear();
+  }
+
+  // Route settings without secrets or header values
+  function listRoutes() {
+    return routes.map(r => ({
+      name: r.name,
+      url: r.url,
+      devices: r.devices,
+      topics: r.topics,
+      headers: Object.keys(r.headers),
+      signed: !!(r.secret || r.secretEnv),
+      maxAttempts: r.maxAttempts,
+      stats: stats.get(r.name)
+    }));
+  }
+
+  function listDeadLetters({ route, deviceId } = {}) {
+    return deadLetters.filter(d => (!route || d.route === route) && (!deviceId || d.deviceId === deviceId));
+  }
+
+  // Send dead letters again from the first attempt. keep(deadLetter) decides which ones.
+  function retryDeadLetters(keep) {
+    const retried = deadLetters.filter(keep);
+    deadLetters = deadLetters.filter(d => !retried.includes(d));
+    saveDeadLetters();
+    for (const letter of retried) {
+      const { id, route, deviceId, message, createdAt } = letter;
+      attempt({ id, route, deviceId, message, createdAt, attempts: 0, retriedAt: new Date().toISOString() });
+    }
+    return retried.map(d => d.id);
+  }
+
+  return { start, stop, drain, notify: drain, listRoutes, listDeadLetters, retryDeadLetters };
+}
@@ -5,17 +5,57 @@ import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
 import crypto from 'crypto';
+import os from 'os';
 import { fileURLToPath } from 'url';
+import { createStreamableHttpTransport, SESSION_HEADER } from './lib/streamable-http.js';
+import { loadRegistry, saveRegistry, generateDeviceToken, hashDeviceToken } from './lib/device-registry.js';
+import { callDevice, startHeartbeat, DeviceTimeoutError, DEFAULT_RPC_TIMEOUT, DEFAULT_HEARTBEAT_INTERVAL } from './lib/device-rpc.js';
+import { exportFlow, planImport, configNodeBatches, toAddNodesEntry } from './lib/flow-transfer.js';
+import { createFlowHistory, diffFlows, restoreFlows, DEFAULT_HISTORY_LIMIT } from './lib/flow-history.js';
+import { validateAddNodes, validateUpdate, validateExisting } from './lib/flow-validation.js';
+import { matchesSelector, planStages, runRollout, mapWithConcurrency, DEFAULT_CONCURRENCY, DEFAULT_SETTLE_MS } from './lib/rollout.js';
+import { createGroupStore, isDeviceTarget, resolveDeviceTarget } from './lib/device-groups.js';
+import { runFlowTest, createTestStore, validateTestSpec } from './lib/flow-tests.js';
+import { createMessageWaiter, DEFAULT_WAIT_TIMEOUT } from './lib/message-waiter.js';
+import { loadWebhookConfig, createWebhookGateway } from './lib/webhook-gateway.js';
+import { createBridgeManager } from './lib/bridges.js';
+import { planPartition, createDistributedFlowStore } from './lib/distributed-flows.js';
+import { diffNodeDetails } from './lib/node-compat.js';
+import { verifyHookRequest, parseHookBody, mapHookRequest, isUnprotected } from './lib/inbound-hooks.js';
+import { buildOpenApi, toRestResponse, restError, missingArguments, API_PREFIX } from './lib/rest-api.js';
+import { createNotificationHub } from './lib/notifications.js';
+import { dashboardPage, DASHBOARD_PATH, DASHBOARD_FEEDS, DEFAULT_FEEDS } from './lib/dashboard.js';
+import { createMetrics } from './lib/metrics.js';
+import { toMcpTool, toCustomToolMessage, NAMESPACE_SEPARATOR } from './lib/custom-tools.js';
+import { createAuditLog, scanAuditLog, matchesAuditFilters, entryDeviceIds } from './lib/audit-log.js';
+import { createTrafficRecorder, readRecording } from './lib/traffic-recorder.js';
+import { startSimulatedDevice } from './lib/simulated-device.js';
+import { parseResourceUri, deviceResourceUri, staticResources, deviceResources, RESOURCE_TEMPLATES, RESOURCE_TOOLS, GUIDE_URI, CATALOG_URI } from './lib/resources.js';
+import { loadAuthConfig, authenticateRequest, isToolAllowed, isDeviceAllowed, checkDeviceCredentials, corsOrigin } from './lib/auth.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Load the guide markdown
+// Load the guide markdown (startServer's guide option replaces it)
 const guidePath = path.join(__dirname, 'PAGENODES.md');
-const guideContent = fs.existsSync(guidePath) ? fs.readFileSync(guidePath, 'utf-8') : '';
+let guideContent = fs.existsSync(guidePath) ? fs.readFileSync(guidePath, 'utf-8') : '';
+
+const packageVersion = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8')).version;
 
 // Default port
 export const DEFAULT_PORT = 7778;
 
+// Defaults re-exported for the CLI
+export { DEFAULT_RPC_TIMEOUT, DEFAULT_HEARTBEAT_INTERVAL, DEFAULT_HISTORY_LIMIT };
+
+// Default directory for persisted state (device registry, etc.)
+export const DEFAULT_DATA_DIR = path.join(os.homedir(), '.pagenodes-mcp');
+
+// Statuses a device registration can have (list_devices filters on them)
+export const DEVICE_STATUSES = ['online', 'offline', 'error'];
+
+// MCP protocol versions we speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
 // Device registration schema
 // A device is any runtime that speaks the Ainura protocol - PageNodes, Rust, Go, whatever.
 // The device just reports what nodes it has. Node details (properties, constraints, behavior)
@@ -45,18 +85,155 @@ Two devices may have nodes with the same name but completely different implement
 */
 
 // State - Multi-device architecture
-// Map<deviceId, { peer, registration, ws, nodeCatalog }>
+// Map<deviceId, { peer, registration, ws, nodeCatalog, tokenHash }>
+// Devices stay in the map after disconnecting (peer and ws become null, status 'offline')
 const devices = new Map();
 
+// Where the device registry is persisted (set by startServer)
+let registryFile = null;
+
+function persistDevices(log) {
+  if (registryFile) {
+    saveRegistry(registryFile, devices, log);
+  }
+}
+
+// Per-device flow snapshots taken around deploys (set by startServer)
+let flowHistory = null;
+
+// Named device groups (set by startServer)
+let groupStore = null;
+
+// Tools that change a group's members - restricted clients need access to every member
+const GROUP_EDIT_TOOLS = new Set(['create_group', 'add_to_group', 'remove_from_group', 'delete_group']);
+
+// Saved flow test suites (set by startServer)
+let testStore = null;
+
+// Blocking waits on mcp-out message queues (set by startServer)
+let messageWaiter = null;
+
+// Forwards mcp-out messages to configured webhooks (set by startServer when --webhooks is given)
+let webhookGateway = null;
+
+// Server-managed relays between devices (set by startServer)
+let bridgeManager = null;
+
+// Flows deployed across several devices by deploy_distributed_flow (set by startServer)
+let distributedFlows = null;
+
+// How often an idle message stream sends a keepalive comment
+const STREAM_KEEPALIVE_INTERVAL = 15 * 1000;
+
+// Largest request body an inbound hook accepts
+const MAX_HOOK_BODY_BYTES = 1024 * 1024;
+
+// Event subscriptions and push notifications to MCP sessions (set by startServer)
+let notificationHub = null;
+
+// Append-only record of every tool call (set by startServer)
+let auditLog = null;
+
+// Timeout for device RPCs (set by startServer)
+let rpcTimeout = DEFAULT_RPC_TIMEOUT;
+
+// Records device traffic for later replay when --record is given (set by startServer)
+let trafficRecorder = null;
+
+// Tool call and device RPC counters for /metrics
+const metrics = createMetrics();
+
+// Device calls made while answering a /metrics scrape get a shorter timeout than tools do,
+// so one sleeping device can't make Prometheus give up on the whole scrape
+const METRICS_RPC_TIMEOUT = 5 * 1000;
+
+// Messages looked at per device to measure its mcp-out queue - deeper queues read as this
+const METRICS_QUEUE_LIMIT = 1000;
+
+// Call a method on a device with the configured timeout
+function rpc(device, method, ...args) {
+  return callDevice(device, method, args, rpcTimeout, {
+    record: (call) => {
+      metrics.recordDeviceCall(call);
+      trafficRecorder?.call(call);
+    }
+  });
+}
+
+// Whether a client may see an audit entry: every device it refers to must be allowed. Group and
+// tag targets count as the devices they cover now; "all" needs access to every device.
+function isAuditEntryVisible(client, entry) {
+  if (!client || client.devices === '*') return true;
+  return entryDeviceIds(entry).every(id => {
+    if (id === 'all') return false;
+    if (!isDeviceTarget(id)) return isDeviceAllowed(client, id);
+    try {
+      return resolveDeviceTarget(id, devices, groupStore).every(member => isDeviceAllowed(client, member));
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Decode a percent-encoded URL path segment. Null when the encoding is malformed.
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// Tool call metric labels. Only known tools and targets get their own series - anything a
+// client makes up, valid or not, is counted as "other" so callers can't grow /metrics unbounded.
+function metricLabels(name, deviceId, isCustom) {
+  const tool = isCustom || MCP_TOOLS.some(t => t.name === name) ? name : 'other';
+  if (deviceId === undefined || deviceId === null) return { tool, deviceId };
+  let known = deviceId === 'all' || devices.has(deviceId);
+  if (!known && isDeviceTarget(deviceId)) {
+    try {
+      known = resolveDeviceTarget(deviceId, devices, groupStore).length > 0;
+    } catch {
+      known = false;
+    }
+  }
+  return { tool, deviceId: known ? deviceId : 'other' };
+}
+
+// Whether a device id or group:/tag: target covers a device
+function matchesDeviceTarget(pattern, deviceId) {
+  if (pattern === deviceId) return true;
+  if (!isDeviceTarget(pattern)) return false;
+  try {
+    return resolveDeviceTarget(pattern, devices, groupStore).includes(deviceId);
+  } catch {
+    return false;
+  }
+}
+
+// A device is connected while it has a live rawr peer
+function isConnected(device) {
+  return !!device?.peer;
+}
+
+// Connected devices only, as [deviceId, device] entries
+function connectedDevices() {
+  return Array.from(devices.entries()).filter(([, device]) => isConnected(device));
+}
+
 // Aggregated node catalog across all devices
-// Map<nodeType, { type, category, description, devices: string[] }>
+// Map<nodeType, { type, category, description, devices: string[], conflict?, compatible?, differences? }>
+// Category and description come from the first device; when devices describe a type
+// differently, conflict is set and differences lists what differs (see node-compat.js).
 const aggregatedNodeCatalog = new Map();
 
 // Rebuild the aggregated node catalog from all connected devices
 function rebuildAggregatedCatalog() {
   aggregatedNodeCatalog.clear();
+  // Map<nodeType, { deviceId: catalog entry }>
+  const implementations = new Map();
 
-  for (const [deviceId, device] of devices) {
+  for (const [deviceId, device] of connectedDevices()) {
     const catalog = device.nodeCatalog || [];
     for (const node of catalog) {
       if (!node.type) continue;
@@ -72,9 +249,22 @@ function rebuildAggregatedCatalog() {
           description: node.description || '',
           devices: [deviceId]
         });
+        implementations.set(node.type, {});
       }
+      implementations.get(node.type)[deviceId] = node;
+    }
+  }
+
+  // Same name, different implementation
+  for (const [type, byDevice] of implementations) {
+    if (Object.keys(byDevice).length < 2) continue;
+    const { identical, compatible, differences } = diffNodeDetails(byDevice, { ignoreMissing: true });
+    if (!identical) {
+      Object.assign(aggregatedNodeCatalog.get(type), { conflict: true, compatible, differences });
     }
   }
+
+  notificationHub?.resourceUpdated(CATALOG_URI);
 }
 
 // Get the aggregated catalog as an array, grouped by category
@@ -89,14 +279,15 @@ function getAggregatedCatalog() {
     byCategory[cat].push({
       type: node.type,
       description: node.description,
-      devices: node.devices
+      devices: node.devices,
+      ...(node.conflict && { conflict: true, compatible: node.compatible, differences: node.differences })
     });
   }
 
   return byCategory;
 }
 
-// SSE connections: Map<sessionId, { res, log }>
+// SSE connections: Map<sessionId, { res, log, client, context }>
 const sseConnections = new Map();
 
 // Helper to get a device by ID - NO FALLBACK
@@ -108,23 +299,124 @@ function getDevice(deviceId) {
   return devices.get(deviceId);
 }
 
+// Every node type a device reports - the registration list plus its loaded catalog
+function deviceNodeTypes(device) {
+  const types = new Set(device.registration.nodes || []);
+  for (const node of device.nodeCatalog || []) {
+    if (node.type) types.add(node.type);
+  }
+  return Array.from(types);
+}
+
+// Number of errors in a getErrors result, whichever shape the device returns
+function countErrors(result) {
+  if (Array.isArray(result)) return result.length;
+  if (Array.isArray(result?.errors)) return result.errors.length;
+  return typeof result?.count === 'number' ? result.count : 0;
+}
+
+// Snapshot the flows a device is running into its flow history. Taken when it connects and when
+// it deploys from its own editor, so the version before the next deploy through the server is on
+// record (identical snapshots aren't stored twice).
+async function snapshotRunningFlows(device, reason, log) {
+  try {
+    flowHistory.record(device.registration.id, await rpc(device, 'getFlows'), reason);
+  } catch (err) {
+    log(`  → Could not snapshot flows of ${device.registration.id}: ${err.message}`);
+  }
+}
+
+// Fetch a device's custom tools (tool-in nodes) into device.customTools.
+// Returns true when they differ from what was cached.
+async function refreshCustomTools(device) {
+  let tools = [];
+  try {
+    const result = await rpc(device, 'getCustomTools');
+    tools = result?.tools || [];
+  } catch {
+    // Device may not support custom tools
+  }
+  const changed = JSON.stringify(tools) !== JSON.stringify(device.customTools || []);
+  device.customTools = tools;
+  return changed;
+}
+
+// Custom tools of the connected devices a client may use, as MCP tool definitions with their route.
+// The first device to claim a namespaced name keeps it.
+function customToolEntries(client) {
+  const entries = new Map();
+  for (const [deviceId, device] of connectedDevices()) {
+    if (!isDeviceAllowed(client, deviceId)) continue;
+    for (const tool of device.customTools || []) {
+      const definition = toMcpTool(deviceId, device.registration.name, tool);
+      if (!entries.has(definition.name)) {
+        entries.set(definition.name, { definition, deviceId, tool });
+      }
+    }
+  }
+  return Array.from(entries.values());
+}
+
 // Generate a default device ID if none provided
 function generateDeviceId() {
   return `device-${crypto.randomUUID().slice(0, 8)}`;
 }
 
+// Work out which id a registering device gets.
+// A valid device token reclaims the id it was issued for; otherwise the requested id
+// (or a generated one) is used and a fresh token is issued. An id already issued to another
+// device is only given out with that device's token - without it the device gets a new id,
+// so nobody can take over a known device by naming it.
+// Returns { id, tokenHash, token, requestedId? } - token is only set when a new one was issued,
+// requestedId when the requested id was refused.
+function resolveDeviceIdentity(info) {
+  if (info?.deviceToken) {
+    const tokenHash = hashDeviceToken(info.deviceToken);
+    for (const [id, known] of devices) {
+      if (known.tokenHash === tokenHash) {
+        return { id, tokenHash, token: null };
+      }
+    }
+  }
+
+  const token = generateDeviceToken();
+  const claimed = info?.id && devices.get(info.id)?.tokenHash;
+  return {
+    id: info?.id && !claimed ? info.id : generateDeviceId(),
+    tokenHash: hashDeviceToken(token),
+    token,
+    ...(claimed && { requestedId: info.id })
+  };
+}
+
+// Store a freshly registered device, taking over from any previous connection with the same id
+function attachDevice(entry, log) {
+  const id = entry.registration.id;
+  const previous = devices.get(id);
+  if (previous?.ws && previous.ws !== entry.ws) {
+    log(`  → Replacing previous connection for ${id}`);
+    previous.ws.close();
+  }
+
+  devices.set(id, entry);
+  persistDevices(log);
+  return previous;
+}
+
 // MCP tool definitions
 const MCP_TOOLS = [
   // === Multi-device management tools ===
   {
     name: 'list_devices',
-    description: 'List all connected devices in the swarm. Devices can be any runtime (PageNodes, Rust, Go, etc.) that speaks the Ainura protocol. Returns IDs, types, and node lists. Use get_node_details to inspect specific node implementations.',
+    description: 'List all known devices in the swarm, including offline ones (with lastSeen). Devices can be any runtime (PageNodes, Rust, Go, etc.) that speaks the Ainura protocol. Returns IDs, types, status, and node lists. Use get_node_details to inspect specific node implementations.',
     inputSchema: {
       type: 'object',
       properties: {
         type: { type: 'string', description: 'Filter by device type (browser, electron, nodejs, embedded, rust, etc.)' },
         node: { type: 'string', description: 'Filter by devices that have this node type (e.g., "gpio-out", "http-request")' },
-        status: { type: 'string', description: 'Filter by status (online, offline, error)' }
+        status: { type: 'string', enum: DEVICE_STATUSES, description: 'Filter by status (online, offline, error)' },
+        tag: { type: 'string', description: 'Filter by a tag in the device\'s meta.tags' },
+        group: { type: 'string', description: 'Filter by membership of a device group' }
       },
       required: []
     }
@@ -140,294 +432,273 @@ const MCP_TOOLS = [
       required: ['deviceId']
     }
   },
-  // === Device-specific tools - deviceId REQUIRED ===
-  // Claude must explicitly choose a device after examining capabilities via list_devices/get_device_details
   {
-    name: 'get_started',
-    description: 'Returns the integration guide, node catalog, and current flow state. Call WITHOUT deviceId to get an aggregated view of all connected devices and their available nodes (recommended first call). Call WITH deviceId to get full details for a specific device.',
+    name: 'forget_device',
+    description: 'Remove an offline device from the registry. Its id and device token stop working; if it connects again it registers as a new device.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'Optional: ID of a specific device. Omit for aggregated view across all devices.' }
+        deviceId: { type: 'string', description: 'ID of the offline device to forget' }
       },
-      required: []
+      required: ['deviceId']
     }
   },
   {
-    name: 'get_flows',
-    description: 'Get the current flows, nodes, and config nodes from a specific device.',
+    name: 'compare_node_types',
+    description: 'Compare one node type across devices. Two devices may have nodes with the same name but completely different implementations: this pulls get_node_details from every device that has the type and diffs properties and defaults, inputs/outputs, and help text. compatible is false when properties or ports differ.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+        type: { type: 'string', description: 'Node type (e.g., "gpio-out", "http request")' },
+        deviceIds: { type: 'array', items: { type: 'string' }, description: 'Devices to compare (default: every connected device that has the type)' }
       },
-      required: ['deviceId']
+      required: ['type']
     }
   },
+  // === Device groups ===
   {
-    name: 'create_flow',
-    description: 'Create a new flow tab on a specific device. Returns { success, flow: { id, type, label } } - use the returned id for adding nodes.',
+    name: 'list_groups',
+    description: 'List named device groups and their members. Any device-scoped tool accepts "group:<name>" or "tag:<tag>" (devices with that meta.tags entry; "tag:a,b" for all of several) as deviceId, runs on every matching device, and returns results per device.',
     inputSchema: {
       type: 'object',
-      properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to create flow on' },
-        label: { type: 'string', description: 'Flow tab label' }
-      },
-      required: ['deviceId', 'label']
+      properties: {},
+      required: []
     }
   },
   {
-    name: 'add_nodes',
-    description: 'Add multiple nodes to a flow on a specific device. IMPORTANT: Verify the device has the required node types via get_device_details before adding nodes. Each node has a tempId for wiring.',
+    name: 'create_group',
+    description: 'Create a named device group. Target it from any device-scoped tool with deviceId "group:<name>".',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to add nodes to. Verify it has required node capabilities first.' },
-        flowId: { type: 'string', description: 'ID of the flow to add to (from get_flows or create_flow response)' },
-        nodes: {
-          type: 'array',
-          description: 'Array of nodes. Each node has tempId, type, x, y, wires, and any node-specific properties at top level (e.g., payload, topic, func, broker).',
-          items: {
-            type: 'object',
-            additionalProperties: true,
-            properties: {
-              tempId: { type: 'string', description: 'Temporary ID for wiring (e.g., "a", "b", "inject1")' },
-              type: { type: 'string', description: 'Node type (e.g., "inject", "debug", "function")' },
-              x: { type: 'number', description: 'X position on canvas' },
-              y: { type: 'number', description: 'Y position on canvas' },
-              name: { type: 'string', description: 'Optional display name' },
-              wires: {
-                type: 'array',
-                description: 'Wires using tempIds: [["b", "c"]] connects output 0 to nodes b and c',
-                items: { type: 'array', items: { type: 'string' } }
-              },
-              streamWires: {
-                type: 'array',
-                description: 'Audio stream wires using tempIds (same format as wires). For audio nodes only.',
-                items: { type: 'array', items: { type: 'string' } }
-              }
-            },
-            required: ['tempId', 'type', 'x', 'y']
-          }
-        }
+        name: { type: 'string', description: 'Group name (e.g., "kitchen")' },
+        devices: { type: 'array', items: { type: 'string' }, description: 'Device ids in the group' },
+        description: { type: 'string', description: 'Optional: what the group is for' }
       },
-      required: ['deviceId', 'flowId', 'nodes']
+      required: ['name']
     }
   },
   {
-    name: 'update_node',
-    description: 'Update a node\'s properties or position on a specific device.',
+    name: 'add_to_group',
+    description: 'Add devices to a device group.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
-        nodeId: { type: 'string', description: 'ID of the node to update' },
-        updates: { type: 'object', description: 'Properties to update (can include x, y, name, or config properties)' }
+        name: { type: 'string', description: 'Group name' },
+        devices: { type: 'array', items: { type: 'string' }, description: 'Device ids to add' }
       },
-      required: ['deviceId', 'nodeId', 'updates']
+      required: ['name', 'devices']
     }
   },
   {
-    name: 'delete_node',
-    description: 'Delete a node from a flow on a specific device.',
+    name: 'remove_from_group',
+    description: 'Remove devices from a device group.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
-        nodeId: { type: 'string', description: 'ID of the node to delete' }
+        name: { type: 'string', description: 'Group name' },
+        devices: { type: 'array', items: { type: 'string' }, description: 'Device ids to remove' }
       },
-      required: ['deviceId', 'nodeId']
+      required: ['name', 'devices']
     }
   },
   {
-    name: 'deploy',
-    description: 'Deploy the current flows to the runtime on a specific device. Use "all" for deviceId to deploy to all connected devices.',
+    name: 'delete_group',
+    description: 'Delete a device group. The devices themselves are not affected.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to deploy, or "all" to deploy to all connected devices' }
+        name: { type: 'string', description: 'Group name' }
       },
-      required: ['deviceId']
+      required: ['name']
     }
   },
+  // === Push notifications ===
   {
-    name: 'get_debug_output',
-    description: 'Get recent debug panel messages (newest first) from a specific device.',
+    name: 'subscribe_events',
+    description: 'Subscribe this MCP session to device and runtime events, delivered as notifications/message (logging) notifications instead of polling. Event types: device-connected, device-disconnected, node-error, mcp-message (an mcp-out node queued a message), deploy, node-status, tools-changed, plus anything a device pushes. Needs a session (Streamable HTTP, SSE or stdio). Returns the subscription id.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
-        limit: { type: 'number', description: 'Maximum number of messages to return (default: 10)', default: 10 }
+        devices: { type: 'array', items: { type: 'string' }, description: 'Device ids, "group:<name>" or "tag:<tag>" to receive events from (default: all devices)' },
+        events: { type: 'array', items: { type: 'string' }, description: 'Event types to receive; "node-*" matches by prefix (default: all events)' }
       },
-      required: ['deviceId']
+      required: []
     }
   },
   {
-    name: 'get_errors',
-    description: 'Get recent runtime errors from a specific device (newest first). Includes node information, error message, stack trace, and message ID for correlation.',
+    name: 'unsubscribe_events',
+    description: 'Cancel an event subscription made with subscribe_events, or all of this session\'s subscriptions when subscriptionId is omitted. Returns the subscriptions that remain.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
-        limit: { type: 'number', description: 'Maximum number of errors to return (default: 10)', default: 10 }
+        subscriptionId: { type: 'string', description: 'Optional: id returned by subscribe_events' }
       },
-      required: ['deviceId']
+      required: []
     }
   },
   {
-    name: 'get_logs',
-    description: 'Get recent logs from a specific device (UI, runtime, audio, etc.). Returns entries with timestamp (t), context (c), level (l), and message (m).',
+    name: 'get_audit_log',
+    description: 'Read the audit log of tool calls (newest first): when, which session and client, which tool with what arguments, on which device, how long it took and whether it failed. Use it to find out who changed a node.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
-        limit: { type: 'number', description: 'Maximum number of logs to return (default: 100)', default: 100 },
-        context: { type: 'string', description: 'Filter by context (e.g., "ui", "runtime", "audio", "mcp", "worker")' },
-        level: { type: 'string', description: 'Filter by level ("log", "warn", "error")' }
+        sessionId: { type: 'string', description: 'Filter by session id (a prefix is enough)' },
+        client: { type: 'string', description: 'Filter by auth client name' },
+        clientName: { type: 'string', description: 'Filter by the client name sent in initialize' },
+        tool: { type: 'string', description: 'Filter by tool name' },
+        deviceId: { type: 'string', description: 'Filter by device - matches any device the call refers to' },
+        since: { type: 'string', description: 'Only entries at or after this ISO timestamp' },
+        until: { type: 'string', description: 'Only entries at or before this ISO timestamp' },
+        errorsOnly: { type: 'boolean', description: 'Only failed calls', default: false },
+        includeResults: { type: 'boolean', description: 'Include each call\'s result text (default: false)', default: false },
+        limit: { type: 'number', description: 'Maximum number of entries to return (default: 50)', default: 50 }
       },
-      required: ['deviceId']
+      required: []
     }
   },
   {
-    name: 'clear_logs',
-    description: 'Clear all logs from a specific device\'s buffer.',
+    name: 'list_webhook_routes',
+    description: 'List the server-side webhook routes that forward mcp-out messages to HTTP endpoints (configured with --webhooks), with delivery counts, pending retries, dead letters and the last error per route. Secrets and header values are not shown.',
     inputSchema: {
       type: 'object',
-      properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
-      },
-      required: ['deviceId']
+      properties: {},
+      required: []
     }
   },
   {
-    name: 'get_inject_nodes',
-    description: 'Get all inject nodes in the current flows on a specific device. Use this to find nodes you can trigger.',
+    name: 'get_webhook_dead_letters',
+    description: 'List webhook deliveries that failed for good (ran out of retries or were rejected), newest first, with the message and the last error.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+        route: { type: 'string', description: 'Filter by route name' },
+        deviceId: { type: 'string', description: 'Filter by the device the message came from' },
+        limit: { type: 'number', description: 'Maximum number of entries to return (default: 50)', default: 50 }
       },
-      required: ['deviceId']
+      required: []
     }
   },
   {
-    name: 'inject_node',
-    description: 'Trigger an inject node with an optional payload on a specific device. Returns { success, _msgid } where _msgid can be used to trace the message in debug output. The node must be deployed first.',
+    name: 'retry_webhook_dead_letters',
+    description: 'Send dead-lettered webhook deliveries again, starting over with a fresh set of retries. Pass ids, or a route to retry all of its dead letters.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
-        nodeId: { type: 'string', description: 'ID of the inject node to trigger' },
-        payload: {
-          description: 'Optional payload to inject (string, number, boolean, or object). If not provided, uses the node\'s configured payload.',
-        }
+        ids: { type: 'array', items: { type: 'string' }, description: 'Delivery ids from get_webhook_dead_letters' },
+        route: { type: 'string', description: 'Retry every dead letter of this route' }
       },
-      required: ['deviceId', 'nodeId']
+      required: []
     }
   },
   {
-    name: 'get_node_details',
-    description: 'Get full details for a specific node type on a specific device. IMPORTANT: Node implementations vary by device type - always check the target device\'s node details before using.',
+    name: 'create_bridge',
+    description: 'Wire two devices together: the server relays mcp-out messages from the source device into the target device, either to its mcp-in nodes (send_mcp_message) or by triggering a node (trigger_node). Lets one logical flow span several devices. Bridged messages no longer show up in get_mcp_messages on the source. Messages for an offline target are held and relayed when it reconnects.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device. Different device types have different node implementations.' },
-        type: { type: 'string', description: 'Node type (e.g., "inject", "http request", "mqtt in")' }
+        sourceDeviceId: { type: 'string', description: 'Device whose mcp-out messages are relayed' },
+        sourceTopic: { type: 'string', description: 'Only relay messages whose topic matches (* and ? wildcards, default: all)' },
+        targetDeviceId: { type: 'string', description: 'Device that receives the messages' },
+        targetTopic: { type: 'string', description: 'Topic for the target\'s mcp-in nodes (default: the message\'s own topic)' },
+        targetNodeId: { type: 'string', description: 'Trigger this node on the target with { payload, topic } instead of sending to mcp-in nodes' },
+        name: { type: 'string', description: 'Optional unique name, usable instead of the bridge id' },
+        maxPending: { type: 'number', description: 'Messages held while the target is offline before the oldest are dropped (default: 100)', default: 100 }
       },
-      required: ['deviceId', 'type']
+      required: ['sourceDeviceId', 'targetDeviceId']
     }
   },
   {
-    name: 'trigger_node',
-    description: 'Send a message to ANY node\'s input on a specific device (not just inject nodes). Use this to trigger flows that start with non-inject nodes, or to send test messages mid-flow. Returns { success, _msgid, nodeType }.',
+    name: 'list_bridges',
+    description: 'List cross-device bridges with their status (active, or waiting for a device), held messages and relay counts.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
-        nodeId: { type: 'string', description: 'ID of the node to trigger' },
-        msg: {
-          type: 'object',
-          description: 'Message object to send. Can include payload, topic, and any other properties.',
-          additionalProperties: true
-        }
+        deviceId: { type: 'string', description: 'Only bridges with this device as source or target' }
       },
-      required: ['deviceId', 'nodeId']
+      required: []
     }
   },
   {
-    name: 'clear_debug',
-    description: 'Clear all debug messages from a specific device\'s buffer. Useful before running a test to get a clean slate.',
+    name: 'get_bridge_metrics',
+    description: 'Relay metrics for one bridge, or totals for all of them: messages received from the source, relayed, failed, dropped while the target was offline, held, and the last error.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
+        bridgeId: { type: 'string', description: 'Bridge id or name (default: all bridges)' }
       },
-      required: ['deviceId']
+      required: []
     }
   },
   {
-    name: 'clear_errors',
-    description: 'Clear all error messages from a specific device\'s buffer. Useful before running a test to get a clean slate.',
+    name: 'delete_bridge',
+    description: 'Tear down a cross-device bridge. Messages still held for its target are dropped; messages already relayed are not affected.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
+        bridgeId: { type: 'string', description: 'Bridge id or name' }
       },
-      required: ['deviceId']
+      required: ['bridgeId']
     }
   },
   {
-    name: 'get_node_statuses',
-    description: 'Get the current status of all nodes on a specific device (connection states, ready indicators, etc.). Returns an object mapping node IDs to their status objects.',
+    name: 'deploy_distributed_flow',
+    description: 'Deploy one logical flow across several devices. Write the nodes as for add_nodes; the server places each node on a device that has its type (from the aggregated node catalog), keeping wired nodes together where it can, replaces every wire that crosses devices with an mcp-out → bridge → mcp-in relay, adds and deploys each device\'s part, and returns the placement map. Use dryRun to see the placement first. Tear it all down with teardown_distributed_flow.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+        name: { type: 'string', description: 'Unique name for the distributed flow; also the flow tab label on each device' },
+        nodes: {
+          type: 'array',
+          description: 'Nodes in add_nodes format: tempId, type, x, y, wires (tempIds) and node properties. Config nodes referenced by tempId are copied to every device that uses them.',
+          items: { type: 'object', additionalProperties: true }
+        },
+        devices: { type: 'array', items: { type: 'string' }, description: 'Devices (or group:/tag: targets) the flow may use (default: all connected devices)' },
+        pin: { type: 'object', additionalProperties: { type: 'string' }, description: 'Force nodes onto devices: { "<tempId>": "<deviceId>" }' },
+        dryRun: { type: 'boolean', description: 'Only plan: return the placement and relays without changing any device', default: false },
+        replace: { type: 'boolean', description: 'Replace an existing distributed flow with this name - it is torn down once the new plan passes its checks (default: false)', default: false }
       },
-      required: ['deviceId']
+      required: ['name', 'nodes']
     }
   },
   {
-    name: 'get_canvas_svg',
-    description: 'Get the SVG content of the flow canvas from a specific device. Returns the visual representation of the current flow including nodes, wires, and their positions.',
+    name: 'list_distributed_flows',
+    description: 'List deployed distributed flows with their placement, the flow tab on each device and the relay bridges between them.',
     inputSchema: {
       type: 'object',
-      properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
-      },
-      required: ['deviceId']
+      properties: {},
+      required: []
     }
   },
   {
-    name: 'get_mcp_messages',
-    description: 'Get messages from the MCP output queue on a specific device. Messages are sent by mcp-output nodes in flows. Returns and clears messages by default.',
+    name: 'teardown_distributed_flow',
+    description: 'Remove a distributed flow everywhere: delete its relay bridges, delete its nodes from each device and redeploy them. Devices that are offline are reported and kept for a later teardown.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
-        limit: { type: 'number', description: 'Maximum number of messages to return (default: 100)', default: 100 },
-        clear: { type: 'boolean', description: 'Clear returned messages from queue (default: true)', default: true }
+        name: { type: 'string', description: 'Name given to deploy_distributed_flow' }
       },
-      required: ['deviceId']
+      required: ['name']
     }
   },
+  // === Device-specific tools - deviceId REQUIRED ===
+  // Any of these also take "group:<name>" or "tag:<tag>" to fan out over several devices
+  // Claude must explicitly choose a device after examining capabilities via list_devices/get_device_details
   {
-    name: 'send_mcp_message',
-    description: 'Send a message to mcp-input nodes on a specific device, or broadcast to all devices with "all".',
+    name: 'get_started',
+    description: 'Returns the integration guide, node catalog, and current flow state. Call WITHOUT deviceId to get an aggregated view of all connected devices and their available nodes (recommended first call). Call WITH deviceId to get full details for a specific device. If you already have the guide (e.g. from the pagenodes://guide resource), pass includeGuide: false.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device, or "all" to broadcast to all devices' },
-        payload: { description: 'Message payload (string, number, boolean, or object)' },
-        topic: { type: 'string', description: 'Optional topic for filtering (mcp-input nodes can filter by topic)', default: '' }
+        deviceId: { type: 'string', description: 'Optional: ID of a specific device. Omit for aggregated view across all devices.' },
+        includeGuide: { type: 'boolean', description: 'Include the full guide text (default: true). The guide is also the pagenodes://guide resource.', default: true }
       },
-      required: ['deviceId', 'payload']
+      required: []
     }
   },
-  // === Custom Tools - AI-defined tools backed by flows ===
   {
-    name: 'get_custom_tools',
-    description: 'List custom tools defined by tool-in nodes on a device. These are AI-callable tools backed by PageNodes flows.',
+    name: 'get_flows',
+    description: 'Get the current flows, nodes, and config nodes from a specific device.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -437,18 +708,461 @@ const MCP_TOOLS = [
     }
   },
   {
-    name: 'use_custom_tool',
-    description: 'Execute a custom tool defined by a tool-in node. The tool runs a flow and returns the result from the tool-out node.',
+    name: 'create_flow',
+    description: 'Create a new flow tab on a specific device. Returns { success, flow: { id, type, label } } - use the returned id for adding nodes.',
     inputSchema: {
       type: 'object',
       properties: {
-        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
-        name: { type: 'string', description: 'Name of the custom tool to execute' },
-        message: { type: 'object', description: 'Message object with payload property (e.g. { payload: "hello", topic: "greeting" })' }
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to create flow on' },
+        label: { type: 'string', description: 'Flow tab label' }
       },
-      required: ['deviceId', 'name']
+      required: ['deviceId', 'label']
     }
-  }
+  },
+  {
+    name: 'add_nodes',
+    description: 'Add multiple nodes to a flow on a specific device. IMPORTANT: Verify the device has the required node types via get_device_details before adding nodes. Each node has a tempId for wiring.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to add nodes to. Verify it has required node capabilities first.' },
+        flowId: { type: 'string', description: 'ID of the flow to add to (from get_flows or create_flow response)' },
+        nodes: {
+          type: 'array',
+          description: 'Array of nodes. Each node has tempId, type, x, y, wires, and any node-specific properties at top level (e.g., payload, topic, func, broker).',
+          items: {
+            type: 'object',
+            additionalProperties: true,
+            properties: {
+              tempId: { type: 'string', description: 'Temporary ID for wiring (e.g., "a", "b", "inject1")' },
+              type: { type: 'string', description: 'Node type (e.g., "inject", "debug", "function")' },
+              x: { type: 'number', description: 'X position on canvas' },
+              y: { type: 'number', description: 'Y position on canvas' },
+              name: { type: 'string', description: 'Optional display name' },
+              wires: {
+                type: 'array',
+                description: 'Wires using tempIds: [["b", "c"]] connects output 0 to nodes b and c',
+                items: { type: 'array', items: { type: 'string' } }
+              },
+              streamWires: {
+                type: 'array',
+                description: 'Audio stream wires using tempIds (same format as wires). For audio nodes only.',
+                items: { type: 'array', items: { type: 'string' } }
+              }
+            },
+            required: ['tempId', 'type', 'x', 'y']
+          }
+        },
+        dryRun: { type: 'boolean', description: 'Validate only - report problems (unknown types, dangling wires, missing required properties or config nodes, overlaps) without adding anything', default: false }
+      },
+      required: ['deviceId', 'flowId', 'nodes']
+    }
+  },
+  {
+    name: 'update_node',
+    description: 'Update a node\'s properties or position on a specific device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
+        nodeId: { type: 'string', description: 'ID of the node to update' },
+        updates: { type: 'object', description: 'Properties to update (can include x, y, name, or config properties)' },
+        dryRun: { type: 'boolean', description: 'Validate only - report problems without changing the node', default: false }
+      },
+      required: ['deviceId', 'nodeId', 'updates']
+    }
+  },
+  {
+    name: 'validate_flow',
+    description: 'Check nodes without changing anything. With nodes: validates a proposed add_nodes payload. Without nodes: validates what is already on the device (one flow, or all flows). Checks node types against the device catalog, wires against tempIds and existing node ids, required properties and config node references from get_node_details schemas, output counts, and canvas overlap. Returns { valid, errors, warnings, problems }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to validate against' },
+        flowId: { type: 'string', description: 'Flow the nodes would be added to (required with nodes), or the flow to check (omit to check all flows)' },
+        nodes: {
+          type: 'array',
+          description: 'Optional: nodes in add_nodes format to validate',
+          items: { type: 'object', additionalProperties: true }
+        }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'delete_node',
+    description: 'Delete a node from a flow on a specific device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
+        nodeId: { type: 'string', description: 'ID of the node to delete' }
+      },
+      required: ['deviceId', 'nodeId']
+    }
+  },
+  {
+    name: 'export_flow',
+    description: 'Export a flow tab from a device as a portable Node-RED-style JSON document: the tab, its nodes, and every config node they reference. Pass the document to import_flow to copy the flow to another device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to export from' },
+        flowId: { type: 'string', description: 'ID of the flow tab to export (from get_flows)' }
+      },
+      required: ['deviceId', 'flowId']
+    }
+  },
+  {
+    name: 'import_flow',
+    description: 'Import a flow document (from export_flow, or a Node-RED export) into a device. Node ids are remapped, wires and config node references are rewritten. Node types are checked against the device first - if any are missing, nothing is changed and the missing types are reported. Creates a new flow tab per tab in the document unless flowId is given. Deploy afterwards to activate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to import into' },
+        document: {
+          type: 'array',
+          description: 'Flow document: array of tab, node and config node objects',
+          items: { type: 'object', additionalProperties: true }
+        },
+        flowId: { type: 'string', description: 'Optional: import all nodes into this existing flow instead of creating new tabs' },
+        label: { type: 'string', description: 'Optional: label for the new tab when the document has no tab of its own' }
+      },
+      required: ['deviceId', 'document']
+    }
+  },
+  {
+    name: 'deploy',
+    description: 'Deploy the current flows to the runtime on a specific device. Use "all" for deviceId to deploy to all connected devices. To roll out to many devices safely, pass a selector and/or strategy instead: devices are deployed in stages (canary, batches, or parallel with a concurrency limit), get_errors is checked after each stage, and the rollout stops - optionally rolling back - if error counts rise.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'ID of the device to deploy, or "all" for all connected devices. Optional when selector is given.' },
+        selector: {
+          type: 'object',
+          description: 'Optional: only deploy to connected devices matching every given criterion',
+          properties: {
+            type: { type: 'string', description: 'Device type (browser, electron, nodejs, embedded, rust, etc.)' },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Tags the device must have in meta.tags (all of them)' },
+            node: { type: 'string', description: 'Node type the device must have (e.g., "gpio-out")' }
+          }
+        },
+        strategy: { type: 'string', enum: ['canary', 'batches', 'parallel'], description: 'Rollout strategy: canary (a few devices first, then the rest), batches (batchSize at a time), or parallel (all at once, up to concurrency). Default: batches' },
+        canary: { type: 'number', description: 'Devices in the canary stage (default: 1)', default: 1 },
+        batchSize: { type: 'number', description: 'Devices per stage for batches (default: 1), or after the canary (default: all remaining)' },
+        concurrency: { type: 'number', description: 'Maximum devices deploying at the same time within a stage (default: 4)', default: 4 },
+        checkErrors: { type: 'boolean', description: 'Check get_errors after each stage and stop if error counts rose or a device could not report them (default: true)', default: true },
+        settleMs: { type: 'number', description: 'How long to let a stage run before checking errors (default: 2000)', default: 2000 },
+        errorThreshold: { type: 'number', description: 'New errors allowed per device before a stage counts as failed (default: 0)', default: 0 },
+        rollback: { type: 'boolean', description: 'When the rollout stops, roll every device deployed so far back to the flow version it ran before (default: false)', default: false },
+        runTests: { type: 'boolean', description: 'Rerun the device\'s saved run_flow_test suites after deploying and include the results. Not used by staged rollouts (default: false)', default: false }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_flow_versions',
+    description: 'List the flow snapshots stored for a device, newest first. A snapshot is taken automatically when the device connects, on every deploy (through the server or from the device editor), and before every rollback. Works for offline devices too.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
+        limit: { type: 'number', description: 'Maximum number of versions to return (default: 20)', default: 20 }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'diff_flow_versions',
+    description: 'Show a structured diff between two flow versions of a device: flows, nodes and config nodes added/removed/changed (with per-property before/after), and wires added/removed. Use "current" for the live flows on the device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
+        from: { description: 'Version number to diff from, or "current" (default: latest stored version, or the one before it when nothing has changed since the latest was deployed)' },
+        to: { description: 'Version number to diff to, or "current" (default: "current")' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'rollback_flow',
+    description: 'Roll a device back to a stored flow version and redeploy it. The current flows are snapshotted first, so a rollback can itself be undone. Nodes that have to be recreated get new ids; flow tabs added since that version are left in place and reported.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to roll back' },
+        version: { type: 'number', description: 'Version number to restore (from list_flow_versions)' },
+        deploy: { type: 'boolean', description: 'Deploy after restoring (default: true)', default: true }
+      },
+      required: ['deviceId', 'version']
+    }
+  },
+  {
+    name: 'get_debug_output',
+    description: 'Get recent debug panel messages (newest first) from a specific device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
+        limit: { type: 'number', description: 'Maximum number of messages to return (default: 10)', default: 10 }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'get_errors',
+    description: 'Get recent runtime errors from a specific device (newest first). Includes node information, error message, stack trace, and message ID for correlation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
+        limit: { type: 'number', description: 'Maximum number of errors to return (default: 10)', default: 10 }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'get_logs',
+    description: 'Get recent logs from a specific device (UI, runtime, audio, etc.). Returns entries with timestamp (t), context (c), level (l), and message (m).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
+        limit: { type: 'number', description: 'Maximum number of logs to return (default: 100)', default: 100 },
+        context: { type: 'string', description: 'Filter by context (e.g., "ui", "runtime", "audio", "mcp", "worker")' },
+        level: { type: 'string', description: 'Filter by level ("log", "warn", "error")' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'clear_logs',
+    description: 'Clear all logs from a specific device\'s buffer.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'get_inject_nodes',
+    description: 'Get all inject nodes in the current flows on a specific device. Use this to find nodes you can trigger.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'inject_node',
+    description: 'Trigger an inject node with an optional payload on a specific device. Returns { success, _msgid } where _msgid can be used to trace the message in debug output. The node must be deployed first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
+        nodeId: { type: 'string', description: 'ID of the inject node to trigger' },
+        payload: {
+          description: 'Optional payload to inject (string, number, boolean, or object). If not provided, uses the node\'s configured payload.',
+        }
+      },
+      required: ['deviceId', 'nodeId']
+    }
+  },
+  {
+    name: 'get_node_details',
+    description: 'Get full details for a specific node type on a specific device. IMPORTANT: Node implementations vary by device type - always check the target device\'s node details before using.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device. Different device types have different node implementations.' },
+        type: { type: 'string', description: 'Node type (e.g., "inject", "http request", "mqtt in")' }
+      },
+      required: ['deviceId', 'type']
+    }
+  },
+  {
+    name: 'trigger_node',
+    description: 'Send a message to ANY node\'s input on a specific device (not just inject nodes). Use this to trigger flows that start with non-inject nodes, or to send test messages mid-flow. Returns { success, _msgid, nodeType }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device containing the node' },
+        nodeId: { type: 'string', description: 'ID of the node to trigger' },
+        msg: {
+          type: 'object',
+          description: 'Message object to send. Can include payload, topic, and any other properties.',
+          additionalProperties: true
+        }
+      },
+      required: ['deviceId', 'nodeId']
+    }
+  },
+  {
+    name: 'clear_debug',
+    description: 'Clear all debug messages from a specific device\'s buffer. Useful before running a test to get a clean slate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'clear_errors',
+    description: 'Clear all error messages from a specific device\'s buffer. Useful before running a test to get a clean slate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'run_flow_test',
+    description: 'Run an automated test of deployed flows on a device: each step injects (or triggers) a message, waits for debug output carrying its _msgid, checks payload assertions (equals, JSON path, regex, absence) and that no errors were raised. Returns a pass/fail report per step. Pass save to store the spec as a suite that reruns after deploys called with runTests, or suite to rerun a saved one.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to test' },
+        spec: {
+          type: 'object',
+          description: 'Test spec: { flowId?, timeout?, clear?, steps: [{ name?, inject: { nodeId, payload? } | trigger: { nodeId, msg }, expect?: [{ node?, path?, equals?, matches?, exists?, absent? }], expectNoErrors?, timeout? }] }. node is a debug node id or name; path is resolved against the debug entry (default "msg"). Buffers are cleared first unless clear is false.',
+          properties: {
+            flowId: { type: 'string', description: 'Flow the suite belongs to - saved suites only run after deploy while it exists' },
+            timeout: { type: 'number', description: 'Default per-step wait for expected output in ms (default: 5000)' },
+            clear: { type: 'boolean', description: 'Clear debug output and errors before the first step (default: true)' },
+            steps: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['steps']
+        },
+        suite: { type: 'string', description: 'Name of a saved suite to run (instead of spec)' },
+        save: { type: 'string', description: 'Save spec under this suite name before running it' },
+        runOnDeploy: { type: 'boolean', description: 'Whether a saved suite reruns after deploys of the device called with runTests (default: true)', default: true }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'list_flow_tests',
+    description: 'List the test suites saved for a device with run_flow_test, with the result of each suite\'s latest run.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
+        flowId: { type: 'string', description: 'Only suites for this flow' },
+        includeSpec: { type: 'boolean', description: 'Include each suite\'s test spec (default: false)', default: false }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'delete_flow_test',
+    description: 'Delete a saved test suite from a device.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
+        suite: { type: 'string', description: 'Name of the suite to delete' }
+      },
+      required: ['deviceId', 'suite']
+    }
+  },
+  {
+    name: 'get_node_statuses',
+    description: 'Get the current status of all nodes on a specific device (connection states, ready indicators, etc.). Returns an object mapping node IDs to their status objects.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'get_canvas_svg',
+    description: 'Get the SVG content of the flow canvas from a specific device. Returns the visual representation of the current flow including nodes, wires, and their positions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'get_mcp_messages',
+    description: 'Get messages from the MCP output queue on a specific device. Messages are sent by mcp-output nodes in flows. Returns and clears messages by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' },
+        limit: { type: 'number', description: 'Maximum number of messages to return (default: 100)', default: 100 },
+        clear: { type: 'boolean', description: 'Clear returned messages from queue (default: true)', default: true }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'wait_for_mcp_messages',
+    description: 'Wait for messages from mcp-out nodes instead of polling get_mcp_messages: blocks until a matching message arrives or the timeout passes. Can wait on several devices at once ("all", a group/tag target, or deviceIds). Woken by device push events, with polling as fallback. Returns { messages: [{ deviceId, topic, payload, ... }], timedOut }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'ID of the device to wait on, "all" for every connected device, or a "group:<name>"/"tag:<tag>" target' },
+        deviceIds: { type: 'array', items: { type: 'string' }, description: 'Wait on several devices (instead of deviceId)' },
+        topic: { type: 'string', description: 'Only messages with this topic. * and ? are wildcards (e.g., "voice/*")' },
+        timeout: { type: 'number', description: 'How long to wait in ms (default: 30000, max: 600000)', default: 30000 },
+        limit: { type: 'number', description: 'Maximum number of messages to return (default: 100)', default: 100 },
+        clear: { type: 'boolean', description: 'Remove returned messages from the queue (default: true)', default: true }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'send_mcp_message',
+    description: 'Send a message to mcp-input nodes on a specific device, or broadcast to all devices with "all".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device, or "all" to broadcast to all devices' },
+        payload: { description: 'Message payload (string, number, boolean, or object)' },
+        topic: { type: 'string', description: 'Optional topic for filtering (mcp-input nodes can filter by topic)', default: '' }
+      },
+      required: ['deviceId', 'payload']
+    }
+  },
+  // === Custom Tools - AI-defined tools backed by flows ===
+  {
+    name: 'get_custom_tools',
+    description: 'List custom tools defined by tool-in nodes on a device. These are AI-callable tools backed by PageNodes flows.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device to query' }
+      },
+      required: ['deviceId']
+    }
+  },
+  {
+    name: 'use_custom_tool',
+    description: 'Execute a custom tool defined by a tool-in node. The tool runs a flow and returns the result from the tool-out node.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deviceId: { type: 'string', description: 'REQUIRED: ID of the device' },
+        name: { type: 'string', description: 'Name of the custom tool to execute' },
+        message: { type: 'object', description: 'Message object with payload property (e.g. { payload: "hello", topic: "greeting" })' }
+      },
+      required: ['deviceId', 'name']
+    }
+  }
 ];
 
 // MCP Protocol Handler
@@ -458,24 +1172,50 @@ class MCPHandler {
   }
 
   // Handle a JSON-RPC request and return the response
-  async handleRequest(request) {
+  // context: { client } - the authenticated client (null when auth is disabled)
+  async handleRequest(request, context = {}) {
     const { id, method, params } = request;
 
+    // Every session that talks to us gets list_changed notifications
+    notificationHub?.track(context);
+
     try {
       let result;
 
       switch (method) {
         case 'initialize':
-          result = await this.handleInitialize(params);
+          result = await this.handleInitialize(params, context);
           break;
         case 'notifications/initialized':
           // Client acknowledgment, no response needed
           return null;
         case 'tools/list':
-          result = await this.handleToolsList();
+          result = await this.handleToolsList(context);
           break;
         case 'tools/call':
-          result = await this.handleToolCall(params);
+          result = await this.handleToolCall(params, context);
+          break;
+        case 'resources/list':
+          result = await this.handleResourcesList(context);
+          break;
+        case 'resources/templates/list':
+          result = { resourceTemplates: RESOURCE_TEMPLATES };
+          break;
+        case 'resources/read':
+          result = await this.handleResourcesRead(params, context);
+          break;
+        case 'resources/subscribe':
+          this.authorizeResource(context.client, params?.uri);
+          notificationHub.subscribeResource(context, params.uri);
+          result = {};
+          break;
+        case 'resources/unsubscribe':
+          notificationHub.unsubscribeResource(context, params?.uri);
+          result = {};
+          break;
+        case 'logging/setLevel':
+          notificationHub.setLevel(context, params?.level);
+          result = {};
           break;
         case 'ping':
           result = {};
@@ -493,7 +1233,7 @@ class MCPHandler {
         return {
           jsonrpc: '2.0',
           id,
-          error: { code: -32603, message: err.message }
+          error: { code: err.rpcCode || -32603, message: err.message }
         };
       }
       return null;
@@ -501,29 +1241,102 @@ class MCPHandler {
   }
 
   // Handle initialize request
-  async handleInitialize(params) {
+  // Echo the client's protocol version if we support it, otherwise offer our latest
+  async handleInitialize(params, context = {}) {
     this.log('MCP Initialize:', params?.clientInfo?.name || 'unknown client');
+    // Remembered on the session's context for the audit log
+    context.clientName = params?.clientInfo?.name || null;
+    const requested = params?.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
     return {
-      protocolVersion: '2024-11-05',
+      protocolVersion,
       capabilities: {
-        tools: {}
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        logging: {}
       },
       serverInfo: {
         name: 'pagenodes-mcp',
-        version: '0.1.0'
+        version: packageVersion
       }
     };
   }
 
   // Handle tools/list request
-  async handleToolsList() {
-    return { tools: MCP_TOOLS };
+  // The built-in tools plus every connected device's custom tools, namespaced by device
+  async handleToolsList(context = {}) {
+    const custom = isToolAllowed(context.client, 'use_custom_tool')
+      ? customToolEntries(context.client).map(entry => entry.definition)
+      : [];
+    return { tools: [...MCP_TOOLS.filter(tool => isToolAllowed(context.client, tool.name)), ...custom] };
+  }
+
+  // Guide and catalog, plus flows/debug/logs of every connected device the client may access
+  async handleResourcesList(context = {}) {
+    const client = context.client;
+    const resources = staticResources().filter(r => isToolAllowed(client, RESOURCE_TOOLS[parseResourceUri(r.uri).kind]));
+    for (const [deviceId, device] of connectedDevices()) {
+      if (!isDeviceAllowed(client, deviceId)) continue;
+      resources.push(...deviceResources(deviceId, device.registration.name)
+        .filter(r => isToolAllowed(client, RESOURCE_TOOLS[parseResourceUri(r.uri).kind])));
+    }
+    return { resources };
+  }
+
+  // Parse a resource URI and check the client may read it. Throws JSON-RPC errors.
+  authorizeResource(client, uri) {
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw Object.assign(new Error(`Resource not found: ${uri}`), { rpcCode: -32002 });
+    }
+    const tool = RESOURCE_TOOLS[resource.kind];
+    if (!isToolAllowed(client, tool) || (resource.deviceId && !isDeviceAllowed(client, resource.deviceId))) {
+      throw Object.assign(new Error(`Client "${client.name}" is not allowed to read ${uri}`), { rpcCode: -32001 });
+    }
+    return resource;
+  }
+
+  async handleResourcesRead(params, context = {}) {
+    const uri = params?.uri;
+    const resource = this.authorizeResource(context.client, uri);
+
+    if (resource.kind === 'guide') {
+      return { contents: [{ uri, mimeType: 'text/markdown', text: guideContent }] };
+    }
+
+    let data;
+    if (resource.kind === 'catalog') {
+      data = getAggregatedCatalog();
+    } else {
+      const device = getDevice(resource.deviceId);
+      if (!isConnected(device)) {
+        throw Object.assign(new Error(`Device "${resource.deviceId}" is not connected`), { rpcCode: -32002 });
+      }
+      switch (resource.kind) {
+        case 'flows':
+          data = await rpc(device, 'getFlows');
+          break;
+        case 'debug':
+          data = await rpc(device, 'getDebugOutput', 50);
+          break;
+        case 'logs':
+          data = await rpc(device, 'getLogs', 100, null, null);
+          break;
+        case 'node':
+          data = await rpc(device, 'getNodeDetails', resource.nodeType);
+          break;
+      }
+    }
+
+    return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
   }
 
   // Helper to require a device - NO IMPLICIT FALLBACK
   // Claude must explicitly specify which device to use
   requireDevice(deviceId) {
-    const deviceCount = devices.size;
+    const deviceCount = connectedDevices().length;
 
     // No deviceId provided - Claude must explicitly choose
     if (!deviceId) {
@@ -545,7 +1358,7 @@ The MCP server is running and waiting for PageNodes to connect. Once connected,
         };
       } else {
         // Devices exist but Claude didn't specify which one
-        const deviceList = Array.from(devices.values()).map(d => ({
+        const deviceList = connectedDevices().map(([, d]) => ({
           id: d.registration.id,
           name: d.registration.name,
           type: d.registration.type
@@ -572,24 +1385,107 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     if (!device) {
       return {
         error: true,
-        content: [{
+        content: Object.assign([{
           type: 'text',
           text: `Device "${deviceId}" not found. Use list_devices to see available devices.`
-        }]
+        }], { code: 'DEVICE_NOT_FOUND' })
+      };
+    }
+
+    // Known device, but not connected right now
+    if (!isConnected(device)) {
+      const reg = device.registration;
+      return {
+        error: true,
+        content: Object.assign([{
+          type: 'text',
+          text: `Device "${deviceId}" (${reg.name}) is offline since ${reg.lastSeen}. Ask the user to reopen it, or use list_devices to pick an online device.`
+        }], { code: 'DEVICE_OFFLINE' })
       };
     }
 
     return { error: false, device };
   }
 
-  // Handle tools/call request
-  async handleToolCall(params) {
+  // Check a tool call against the client's permissions. Returns an error message or null.
+  authorizeToolCall(client, name, args) {
+    if (!isToolAllowed(client, name)) {
+      return `Client "${client.name}" is not allowed to call ${name}.`;
+    }
+    if (args?.deviceId === 'all' && client && client.devices !== '*') {
+      return `Client "${client.name}" is restricted to specific devices and cannot target "all".`;
+    }
+    // Group and tag targets are narrowed to the client's devices when they fan out
+    if (args?.deviceId && args.deviceId !== 'all' && !isDeviceTarget(args.deviceId) && !isDeviceAllowed(client, args.deviceId)) {
+      return `Client "${client.name}" is not allowed to access device "${args.deviceId}".`;
+    }
+    // Editing a group changes what every member is reached by - the client needs all of them
+    if (GROUP_EDIT_TOOLS.has(name) && client && client.devices !== '*') {
+      const members = [...(groupStore.get(args?.name)?.devices || []), ...(Array.isArray(args?.devices) ? args.devices : [])];
+      const forbidden = members.find(id => !isDeviceAllowed(client, id));
+      if (forbidden) {
+        return `Client "${client.name}" is not allowed to access device "${forbidden}", so it cannot edit group "${args?.name}".`;
+      }
+    }
+    return null;
+  }
+
+  // Handle tools/call request - run the tool and record it in the audit log
+  async handleToolCall(params, context = {}) {
+    const started = Date.now();
+    const result = await this.executeToolCall(params, context);
+
+    const { name, arguments: args } = params;
+    const custom = name?.includes(NAMESPACE_SEPARATOR) && customToolEntries(context.client).find(e => e.definition.name === name);
+    metrics.recordToolCall({
+      ...metricLabels(name, custom ? custom.deviceId : args?.deviceId, !!custom),
+      durationMs: Date.now() - started,
+      isError: !!result?.isError
+    });
+    auditLog.record({
+      timestamp: new Date(started).toISOString(),
+      transport: context.transport || null,
+      sessionId: context.sessionId || null,
+      client: context.client?.name || null,
+      clientName: context.clientName || null,
+      tool: name,
+      args: args || {},
+      deviceId: custom ? custom.deviceId : (args?.deviceId ?? null),
+      durationMs: Date.now() - started,
+      isError: !!result?.isError,
+      result: result?.content?.[0]?.text ?? null
+    });
+
+    return result;
+  }
+
+  async executeToolCall(params, context = {}) {
     const { name, arguments: args } = params;
 
+    // A device's custom tool from tools/list - runs as use_custom_tool with the same permission checks
+    if (name?.includes(NAMESPACE_SEPARATOR)) {
+      const custom = customToolEntries(context.client).find(entry => entry.definition.name === name);
+      if (custom) {
+        return this.executeToolCall({
+          name: 'use_custom_tool',
+          arguments: { deviceId: custom.deviceId, name: custom.tool.name, message: toCustomToolMessage(custom.tool, args) }
+        }, context);
+      }
+    }
+
+    const denied = this.authorizeToolCall(context.client, name, args);
+    if (denied) {
+      return {
+        content: [{ type: 'text', text: `Error: ${denied}` }],
+        isError: true,
+        errorCode: 'FORBIDDEN'
+      };
+    }
+
     // list_devices doesn't require a connected device
     if (name === 'list_devices') {
       try {
-        const result = await this.toolListDevices(args);
+        const result = await this.toolListDevices(args, context);
         return {
           content: [{
             type: 'text',
@@ -597,22 +1493,87 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
           }]
         };
       } catch (err) {
-        return {
-          content: [{ type: 'text', text: `Error: ${err.message}` }],
-          isError: true
-        };
+        return this.toolError(err);
       }
     }
 
     try {
       let result;
 
+      // Group or tag target - run the tool on each device (staged deploys and message waits resolve targets themselves)
+      if (isDeviceTarget(args?.deviceId) && !(name === 'deploy' && (args.selector || args.strategy)) && name !== 'wait_for_mcp_messages') {
+        result = await this.fanOut(name, args, context);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      }
+
       switch (name) {
+        case 'subscribe_events':
+          result = await this.toolSubscribeEvents(args, context);
+          break;
+        case 'unsubscribe_events':
+          result = await this.toolUnsubscribeEvents(args, context);
+          break;
+        case 'get_audit_log':
+          result = await this.toolGetAuditLog(args, context);
+          break;
+        case 'list_webhook_routes':
+          result = await this.toolListWebhookRoutes();
+          break;
+        case 'get_webhook_dead_letters':
+          result = await this.toolGetWebhookDeadLetters(args, context);
+          break;
+        case 'retry_webhook_dead_letters':
+          result = await this.toolRetryWebhookDeadLetters(args, context);
+          break;
+        case 'create_bridge':
+          result = await this.toolCreateBridge(args, context);
+          break;
+        case 'list_bridges':
+          result = await this.toolListBridges(args, context);
+          break;
+        case 'get_bridge_metrics':
+          result = await this.toolGetBridgeMetrics(args, context);
+          break;
+        case 'delete_bridge':
+          result = await this.toolDeleteBridge(args, context);
+          break;
+        case 'deploy_distributed_flow':
+          result = await this.toolDeployDistributedFlow(args, context);
+          break;
+        case 'list_distributed_flows':
+          result = await this.toolListDistributedFlows(args, context);
+          break;
+        case 'teardown_distributed_flow':
+          result = await this.toolTeardownDistributedFlow(args, context);
+          break;
+        case 'list_groups':
+          result = await this.toolListGroups();
+          break;
+        case 'create_group':
+          result = await this.toolCreateGroup(args);
+          break;
+        case 'add_to_group':
+          result = await this.toolAddToGroup(args);
+          break;
+        case 'remove_from_group':
+          result = await this.toolRemoveFromGroup(args);
+          break;
+        case 'delete_group':
+          result = await this.toolDeleteGroup(args);
+          break;
         case 'get_device_details':
           result = await this.toolGetDeviceDetails(args);
           break;
+        case 'forget_device':
+          result = await this.toolForgetDevice(args);
+          break;
+        case 'compare_node_types':
+          result = await this.toolCompareNodeTypes(args, context);
+          break;
         case 'get_started':
-          result = await this.toolGetStarted(args);
+          result = await this.toolGetStarted(args, context);
           break;
         case 'get_flows':
           result = await this.toolGetFlows(args);
@@ -626,11 +1587,29 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
         case 'update_node':
           result = await this.toolUpdateNode(args);
           break;
+        case 'validate_flow':
+          result = await this.toolValidateFlow(args);
+          break;
         case 'delete_node':
           result = await this.toolDeleteNode(args);
           break;
+        case 'export_flow':
+          result = await this.toolExportFlow(args);
+          break;
+        case 'import_flow':
+          result = await this.toolImportFlow(args);
+          break;
         case 'deploy':
-          result = await this.toolDeploy(args);
+          result = await this.toolDeploy(args, context);
+          break;
+        case 'list_flow_versions':
+          result = await this.toolListFlowVersions(args);
+          break;
+        case 'diff_flow_versions':
+          result = await this.toolDiffFlowVersions(args);
+          break;
+        case 'rollback_flow':
+          result = await this.toolRollbackFlow(args);
           break;
         case 'get_debug_output':
           result = await this.toolGetDebugOutput(args);
@@ -662,6 +1641,15 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
         case 'clear_errors':
           result = await this.toolClearErrors(args);
           break;
+        case 'run_flow_test':
+          result = await this.toolRunFlowTest(args);
+          break;
+        case 'list_flow_tests':
+          result = await this.toolListFlowTests(args);
+          break;
+        case 'delete_flow_test':
+          result = await this.toolDeleteFlowTest(args);
+          break;
         case 'get_node_statuses':
           result = await this.toolGetNodeStatuses(args);
           break;
@@ -671,6 +1659,9 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
         case 'get_mcp_messages':
           result = await this.toolGetMcpMessages(args);
           break;
+        case 'wait_for_mcp_messages':
+          result = await this.toolWaitForMcpMessages(args, context);
+          break;
         case 'send_mcp_message':
           result = await this.toolSendMcpMessage(args);
           break;
@@ -681,99 +1672,861 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
           result = await this.toolUseCustomTool(args);
           break;
         default:
-          throw new Error(`Unknown tool: ${name}`);
+          throw Object.assign(new Error(`Unknown tool: ${name}`), { code: 'UNKNOWN_TOOL' });
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+        }],
+        // A requireDevice refusal carries its code along for the REST API
+        ...(Array.isArray(result) && result.code && { errorCode: result.code })
+      };
+    } catch (err) {
+      return this.toolError(err);
+    }
+  }
+
+  // Run a device-scoped tool on every device a group/tag target resolves to.
+  // Each device's result is parsed back from the tool's JSON text where possible.
+  async fanOut(name, args, context) {
+    const ids = resolveDeviceTarget(args.deviceId, devices, groupStore)
+      .filter(id => isDeviceAllowed(context.client, id));
+
+    const results = await mapWithConcurrency(ids, DEFAULT_CONCURRENCY, async (deviceId) => {
+      const device = getDevice(deviceId);
+      if (!device) {
+        return { deviceId, success: false, error: `Device "${deviceId}" not found` };
+      }
+      if (!isConnected(device)) {
+        return { deviceId, success: false, status: 'offline', error: `Offline since ${device.registration.lastSeen}` };
+      }
+
+      const response = await this.executeToolCall({ name, arguments: { ...args, deviceId } }, context);
+      const text = response.content?.[0]?.text;
+      let value = text;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        // Plain text result
+      }
+      return response.isError
+        ? { deviceId, success: false, error: value }
+        : { deviceId, success: true, result: value };
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    return {
+      target: args.deviceId,
+      tool: name,
+      deviceCount: ids.length,
+      succeeded,
+      failed: ids.length - succeeded,
+      results
+    };
+  }
+
+  // Run an inbound hook request (see lib/inbound-hooks.js) on its target devices.
+  // Returns { status, body } for the HTTP response; every device call is audited as transport "webhook".
+  async runInboundHook(hook, request) {
+    let ids;
+    if (hook.deviceId === 'all') {
+      ids = connectedDevices().map(([id]) => id);
+    } else if (isDeviceTarget(hook.deviceId)) {
+      try {
+        ids = resolveDeviceTarget(hook.deviceId, devices, groupStore).filter(id => isConnected(getDevice(id)));
+      } catch (err) {
+        return { status: 404, body: { error: err.message } };
+      }
+    } else if (!getDevice(hook.deviceId)) {
+      return { status: 404, body: { error: `Device "${hook.deviceId}" not found` } };
+    } else {
+      ids = isConnected(getDevice(hook.deviceId)) ? [hook.deviceId] : [];
+    }
+    if (!ids.length) {
+      return { status: 503, body: { error: `No connected device for ${hook.deviceId}` } };
+    }
+
+    const { topic, payload, message } = mapHookRequest(hook, request);
+    const call = async (deviceId, tool, args, method, ...rpcArgs) => {
+      const started = Date.now();
+      const device = getDevice(deviceId);
+      let result;
+      let error = null;
+      try {
+        result = hook.timeoutMs
+          ? await callDevice(device, method, rpcArgs, hook.timeoutMs, { record: trafficRecorder?.call })
+          : await rpc(device, method, ...rpcArgs);
+      } catch (err) {
+        error = err;
+      }
+      auditLog.record({
+        timestamp: new Date(started).toISOString(),
+        transport: 'webhook',
+        sessionId: null,
+        client: `hook:${hook.name}`,
+        clientName: null,
+        tool,
+        args,
+        deviceId,
+        durationMs: Date.now() - started,
+        isError: !!error,
+        result: error ? `Error: ${error.message}` : JSON.stringify(result)
+      });
+      if (error) throw error;
+      return result;
+    };
+
+    // Synchronous: the custom tool's result is the response
+    if (hook.tool) {
+      const deviceId = ids[0];
+      try {
+        const result = await call(deviceId, 'use_custom_tool', { deviceId, name: hook.tool, message }, 'useCustomTool', hook.tool, message);
+        // A tool can shape the response itself with { statusCode, headers, body }
+        if (result && typeof result === 'object' && Number.isInteger(result.statusCode)) {
+          return { status: result.statusCode, headers: result.headers, body: result.body ?? null };
+        }
+        return { status: 200, body: result ?? null };
+      } catch (err) {
+        return {
+          status: err instanceof DeviceTimeoutError ? 504 : 502,
+          body: { error: err.message, deviceId, ...(err.code && { code: err.code }) }
+        };
+      }
+    }
+
+    const results = await mapWithConcurrency(ids, DEFAULT_CONCURRENCY, async (deviceId) => {
+      try {
+        await call(deviceId, 'send_mcp_message', { deviceId, payload, topic }, 'sendMessage', payload, topic);
+        return { deviceId, success: true };
+      } catch (err) {
+        return { deviceId, success: false, error: err.message };
+      }
+    });
+    const delivered = results.filter(r => r.success).length;
+    return { status: delivered ? 202 : 502, body: { accepted: delivered > 0, topic, results } };
+  }
+
+  // OpenAPI document for the /api routes, limited to what the client may call
+  openApiDocument(client, serverUrl) {
+    return buildOpenApi({
+      tools: MCP_TOOLS.filter(tool => isToolAllowed(client, tool.name)),
+      customTools: isToolAllowed(client, 'use_custom_tool') ? customToolEntries(client) : [],
+      version: packageVersion,
+      serverUrl,
+      authEnabled: !!client
+    });
+  }
+
+  // POST /api/tools/{tool} - run a tool and answer with its JSON and a typed status (see lib/rest-api.js)
+  async callToolRest(name, args, context = {}) {
+    const tool = MCP_TOOLS.find(t => t.name === name);
+    if (!tool) {
+      // A custom tool by its tools/list name (kitchen_pi__get_weather) - same as /api/devices/{id}/tools/{name}
+      const custom = name.includes(NAMESPACE_SEPARATOR) && customToolEntries(context.client).find(entry => entry.definition.name === name);
+      if (custom) {
+        return this.callCustomToolRest(custom.deviceId, custom.tool.name, args, context);
+      }
+      return restError(404, 'UNKNOWN_TOOL', `Unknown tool: ${name}`);
+    }
+    const denied = this.authorizeToolCall(context.client, name, args);
+    if (denied) {
+      return restError(403, 'FORBIDDEN', denied);
+    }
+    const missing = missingArguments(tool.inputSchema, args);
+    if (missing.length) {
+      return restError(400, 'INVALID_ARGUMENTS', `Missing required argument(s): ${missing.join(', ')}`, { missing });
+    }
+    if (typeof args.deviceId === 'string' && args.deviceId !== 'all' && !isDeviceTarget(args.deviceId) && !getDevice(args.deviceId)) {
+      return restError(404, 'DEVICE_NOT_FOUND', `Device "${args.deviceId}" not found`, { deviceId: args.deviceId });
+    }
+
+    const response = toRestResponse(await this.handleToolCall({ name, arguments: args }, context));
+    if (response.body?.error?.code === 'DEVICE_OFFLINE') {
+      response.body.error.deviceId = args.deviceId;
+    }
+    return response;
+  }
+
+  // POST /api/devices/{deviceId}/tools/{name} - a device's custom tool, answering with the tool's result
+  async callCustomToolRest(deviceId, toolName, args, context = {}) {
+    const device = getDevice(deviceId);
+    if (!device) {
+      return restError(404, 'DEVICE_NOT_FOUND', `Device "${deviceId}" not found`, { deviceId });
+    }
+    const denied = this.authorizeToolCall(context.client, 'use_custom_tool', { deviceId });
+    if (denied) {
+      return restError(403, 'FORBIDDEN', denied);
+    }
+    if (!isConnected(device)) {
+      return restError(503, 'DEVICE_OFFLINE', `Device "${deviceId}" is offline since ${device.registration.lastSeen}`, { deviceId });
+    }
+    const tool = (device.customTools || []).find(t => t.name === toolName);
+    if (!tool) {
+      return restError(404, 'UNKNOWN_TOOL', `Device "${deviceId}" has no custom tool "${toolName}"`, { deviceId });
+    }
+    const missing = missingArguments(toMcpTool(deviceId, device.registration.name, tool).inputSchema, args);
+    if (missing.length) {
+      return restError(400, 'INVALID_ARGUMENTS', `Missing required argument(s): ${missing.join(', ')}`, { missing });
+    }
+
+    const response = toRestResponse(await this.handleToolCall({
+      name: 'use_custom_tool',
+      arguments: { deviceId, name: tool.name, message: toCustomToolMessage(tool, args) }
+    }, context));
+    return response.status === 200 ? { status: 200, body: response.body.result ?? null } : response;
+  }
+
+  // GET /ui/api/state - what the dashboard lists (see lib/dashboard.js)
+  dashboardState(client, sessions) {
+    return {
+      version: packageVersion,
+      uptimeSec: Math.round(process.uptime()),
+      sessions,
+      devices: Array.from(devices.entries())
+        .filter(([id]) => isDeviceAllowed(client, id))
+        .map(([id, { registration: reg }]) => ({
+          id,
+          name: reg.name,
+          type: reg.type,
+          status: reg.status,
+          connectedAt: reg.connectedAt,
+          lastSeen: reg.lastSeen,
+          nodeCount: reg.nodes?.length || 0
+        })),
+      toolCalls: isToolAllowed(client, 'get_audit_log')
+        ? auditLog.recent().filter(e => isAuditEntryVisible(client, e))
+        : null
+    };
+  }
+
+  // GET /ui/api/devices/{id} - read a device's feeds. A feed the client may not read, or that the
+  // device fails to answer, comes back as { error } without failing the others.
+  async dashboardDevice(client, deviceId, feeds = DEFAULT_FEEDS) {
+    const device = getDevice(deviceId);
+    if (!device || !isDeviceAllowed(client, deviceId)) {
+      return restError(404, 'DEVICE_NOT_FOUND', `Device "${deviceId}" not found`, { deviceId });
+    }
+    const unknown = feeds.filter(feed => !DASHBOARD_FEEDS[feed]);
+    if (unknown.length) {
+      return restError(400, 'INVALID_ARGUMENTS', `Unknown feed(s): ${unknown.join(', ')}`);
+    }
+    if (!isConnected(device)) {
+      return restError(503, 'DEVICE_OFFLINE', `Device "${deviceId}" is offline since ${device.registration.lastSeen}`, { deviceId });
+    }
+
+    const results = await Promise.all(feeds.map(async (feed) => {
+      const { tool, method, args } = DASHBOARD_FEEDS[feed];
+      const denied = this.authorizeToolCall(client, tool, { deviceId });
+      if (denied) return [feed, { error: denied }];
+      try {
+        return [feed, await rpc(device, method, ...args)];
+      } catch (err) {
+        return [feed, { error: err.message }];
+      }
+    }));
+    return { status: 200, body: { deviceId, feeds: Object.fromEntries(results) } };
+  }
+
+  // GET /metrics - Prometheus text format (see lib/metrics.js). Queue depth and runtime errors
+  // are read from each connected device the client may see; a device that doesn't answer in
+  // time is left out of those two rather than failing the scrape. Messages already taken off
+  // the device and held for wait_for_mcp_messages are reported apart from its queue.
+  async metricsText(client, sessions) {
+    const visible = Array.from(devices.entries()).filter(([id]) => isDeviceAllowed(client, id));
+
+    const counts = new Map();
+    for (const [, { registration: reg }] of visible) {
+      const key = JSON.stringify([reg.type || 'unknown', reg.status || 'unknown']);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const peek = (device, method, ...args) => callDevice(device, method, args, Math.min(rpcTimeout, METRICS_RPC_TIMEOUT), { markError: false });
+    const online = visible.filter(([, device]) => isConnected(device));
+    const readings = await mapWithConcurrency(online, DEFAULT_CONCURRENCY, async ([id, device]) => {
+      const [queue, errors] = await Promise.allSettled([
+        peek(device, 'getMessages', METRICS_QUEUE_LIMIT, false),
+        peek(device, 'getErrors', METRICS_QUEUE_LIMIT)
+      ]);
+      return {
+        id,
+        queueDepth: queue.status === 'fulfilled' ? (queue.value?.messages || []).length : null,
+        runtimeErrors: errors.status === 'fulfilled' ? countErrors(errors.value) : null
+      };
+    });
+
+    return metrics.render({
+      version: packageVersion,
+      gauges: {
+        devices: Array.from(counts, ([key, value]) => {
+          const [type, status] = JSON.parse(key);
+          return { labels: { type, status }, value };
+        }),
+        sessions: Object.entries(sessions).map(([transport, value]) => ({ labels: { transport }, value })),
+        queueDepth: readings.filter(r => r.queueDepth !== null).map(r => ({ labels: { device: r.id }, value: r.queueDepth })),
+        runtimeErrors: readings.filter(r => r.runtimeErrors !== null).map(r => ({ labels: { device: r.id }, value: r.runtimeErrors })),
+        heldMessages: Array.from(messageWaiter?.heldCounts() || [], ([device, value]) => ({ labels: { device }, value }))
+      },
+      // Per-device series only for devices the client may access; "all" and targets are fine
+      keep: (labels) => !labels.device || isDeviceTarget(labels.device) || ['all', 'other'].includes(labels.device) || isDeviceAllowed(client, labels.device)
+    });
+  }
+
+  // Turn a thrown error into a tool result. Device timeouts are returned as structured JSON
+  // so clients can tell a slow device apart from a failed operation.
+  toolError(err) {
+    const text = err instanceof DeviceTimeoutError
+      ? JSON.stringify({ error: err.toJSON() }, null, 2)
+      : `Error: ${err.message}`;
+    return {
+      content: [{ type: 'text', text }],
+      isError: true,
+      ...(err.code && { errorCode: err.code })
+    };
+  }
+
+  // Tool implementations
+
+  // List all connected devices
+  async toolListDevices(args, context = {}) {
+    if (args?.status && !DEVICE_STATUSES.includes(args.status)) {
+      throw new Error(`Unknown status "${args.status}". Use one of: ${DEVICE_STATUSES.join(', ')}`);
+    }
+    const result = [];
+    for (const [id, device] of devices) {
+      const reg = device.registration;
+      if (!isDeviceAllowed(context.client, id)) continue;
+      // Apply filters
+      if (args?.type && reg.type !== args.type) continue;
+      if (args?.status && reg.status !== args.status) continue;
+      // Filter by node capability - just check if the node name is in the list
+      if (args?.node && !reg.nodes?.includes(args.node)) continue;
+      if (args?.tag && !reg.meta?.tags?.includes(args.tag)) continue;
+      if (args?.group && !groupStore.get(args.group)?.devices.includes(id)) continue;
+
+      // Get custom tools for this device (offline devices can't be asked)
+      let customTools = [];
+      if (isConnected(device)) {
+        try {
+          const toolsResult = await rpc(device, 'getCustomTools');
+          customTools = (toolsResult?.tools || []).map(t => t.name);
+        } catch {
+          // Device may not support custom tools
+        }
+      }
+
+      result.push({
+        id,
+        type: reg.type,
+        name: reg.name,
+        description: reg.description,
+        status: reg.status,
+        url: reg.url,
+        connectedAt: reg.connectedAt,
+        lastSeen: reg.lastSeen,
+        // Just the node names - use get_node_details for specifics
+        nodes: reg.nodes || [],
+        nodeCount: reg.nodes?.length || 0,
+        customTools,
+        meta: reg.meta
+      });
+    }
+    return {
+      count: result.length,
+      devices: result,
+      hint: 'Use get_node_details(deviceId, type) to inspect node implementation details - they vary by device.'
+    };
+  }
+
+  // Get detailed info about a specific device
+  async toolGetDeviceDetails(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const state = await rpc(device, 'getState');
+
+    // Get custom tools with descriptions
+    let customTools = [];
+    try {
+      const toolsResult = await rpc(device, 'getCustomTools');
+      customTools = toolsResult?.tools || [];
+    } catch {
+      // Device may not support custom tools
+    }
+
+    return {
+      registration: device.registration,
+      ...state,
+      customTools
+    };
+  }
+
+  // Drop an offline device from the registry
+  async toolForgetDevice(args) {
+    const device = getDevice(args?.deviceId);
+    if (!device) {
+      throw Object.assign(new Error(`Device "${args?.deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+    }
+    if (isConnected(device)) {
+      throw new Error(`Device "${args.deviceId}" is online. Only offline devices can be forgotten.`);
+    }
+
+    devices.delete(args.deviceId);
+    persistDevices(this.log);
+    messageWaiter.forget(args.deviceId);
+    return { success: true, deviceId: args.deviceId };
+  }
+
+  async toolSubscribeEvents(args, context) {
+    const subscription = notificationHub.subscribe(context, {
+      devices: args?.devices?.length ? args.devices : ['*'],
+      events: args?.events?.length ? args.events : ['*']
+    });
+    this.log(`  → Session ${context.sessionId.slice(0, 8)}... subscribed to ${subscription.events.join(', ')} from ${subscription.devices.join(', ')}`);
+    return {
+      success: true,
+      subscription,
+      hint: 'Events arrive as notifications/message with logger "pagenodes/<deviceId>" and the event in params.data.'
+    };
+  }
+
+  async toolUnsubscribeEvents(args, context) {
+    const removed = notificationHub.unsubscribe(context, args?.subscriptionId);
+    return { success: removed > 0, removed, subscriptions: notificationHub.list(context) };
+  }
+
+  // Clients restricted to some devices only see calls on those devices
+  async toolGetAuditLog(args, context = {}) {
+    const { total, entries: matching } = await scanAuditLog(auditLog.file, {
+      match: e => matchesAuditFilters(e, args || {}) && isAuditEntryVisible(context.client, e),
+      limit: args?.limit || 50
+    });
+
+    const entries = matching.map(({ result, ...entry }) =>
+      args?.includeResults ? { ...entry, result } : entry
+    );
+    return {
+      total,
+      count: entries.length,
+      entries
+    };
+  }
+
+  requireWebhookGateway() {
+    if (!webhookGateway) {
+      throw new Error('No webhook routes are configured. Start the server with --webhooks <file>.');
+    }
+  }
+
+  async toolListWebhookRoutes() {
+    this.requireWebhookGateway();
+    const routes = webhookGateway.listRoutes();
+    return { count: routes.length, routes };
+  }
+
+  async toolGetWebhookDeadLetters(args, context = {}) {
+    this.requireWebhookGateway();
+    const matching = webhookGateway.listDeadLetters(args || {})
+      .filter(d => isDeviceAllowed(context.client, d.deviceId));
+    return { total: matching.length, deadLetters: matching.slice(0, args?.limit || 50) };
+  }
+
+  async toolRetryWebhookDeadLetters(args, context = {}) {
+    this.requireWebhookGateway();
+    if (!args?.ids?.length && !args?.route) {
+      throw new Error('Pass ids or a route to retry.');
+    }
+    const retried = webhookGateway.retryDeadLetters(d =>
+      isDeviceAllowed(context.client, d.deviceId)
+      && (!args.ids?.length || args.ids.includes(d.id))
+      && (!args.route || d.route === args.route)
+    );
+    this.log(`  → Retrying ${retried.length} webhook dead letter(s)`);
+    return { success: true, retried: retried.length, ids: retried };
+  }
+
+  // A bridge the client may see - it needs access to both ends
+  canUseBridge(client, bridge) {
+    return isDeviceAllowed(client, bridge.source.deviceId) && isDeviceAllowed(client, bridge.target.deviceId);
+  }
+
+  requireBridge(bridgeId, client) {
+    const bridge = bridgeId && bridgeManager.get(bridgeId);
+    if (!bridge || !this.canUseBridge(client, bridge)) {
+      throw Object.assign(new Error(`Bridge "${bridgeId}" not found. Use list_bridges to see bridges.`), { code: 'NOT_FOUND' });
+    }
+    return bridge;
+  }
+
+  async toolCreateBridge(args, context = {}) {
+    for (const deviceId of [args?.sourceDeviceId, args?.targetDeviceId]) {
+      if (!getDevice(deviceId)) {
+        throw Object.assign(new Error(`Device "${deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+      }
+      if (!isDeviceAllowed(context.client, deviceId)) {
+        throw Object.assign(new Error(`Client "${context.client.name}" is not allowed to access device "${deviceId}".`), { code: 'FORBIDDEN' });
+      }
+    }
+
+    const bridge = bridgeManager.create({
+      name: args.name,
+      source: { deviceId: args.sourceDeviceId, topic: args.sourceTopic },
+      target: { deviceId: args.targetDeviceId, topic: args.targetTopic, nodeId: args.targetNodeId },
+      maxPending: args.maxPending
+    });
+    return { success: true, bridge };
+  }
+
+  async toolListBridges(args, context = {}) {
+    const bridges = bridgeManager.list(b => this.canUseBridge(context.client, b)
+      && (!args?.deviceId || b.source.deviceId === args.deviceId || b.target.deviceId === args.deviceId));
+    return { count: bridges.length, bridges };
+  }
+
+  async toolGetBridgeMetrics(args, context = {}) {
+    if (args?.bridgeId) {
+      const { id, name, status, pending, metrics } = this.requireBridge(args.bridgeId, context.client);
+      return { id, ...(name && { name }), status, pending, ...metrics };
+    }
+
+    const bridges = bridgeManager.list(b => this.canUseBridge(context.client, b));
+    const totals = { received: 0, relayed: 0, failed: 0, dropped: 0, pending: 0 };
+    for (const bridge of bridges) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += key === 'pending' ? bridge.pending : bridge.metrics[key];
+      }
+    }
+    return {
+      count: bridges.length,
+      totals,
+      bridges: bridges.map(({ id, name, status, pending, metrics }) => ({ id, ...(name && { name }), status, pending, ...metrics }))
+    };
+  }
+
+  async toolDeleteBridge(args, context = {}) {
+    const bridge = this.requireBridge(args?.bridgeId, context.client);
+    if (bridge.owner) {
+      throw new Error(`Bridge "${args.bridgeId}" relays distributed flow "${bridge.owner}". Use teardown_distributed_flow to remove it.`);
+    }
+    const removed = bridgeManager.remove(bridge.id);
+    return { success: true, deleted: removed.id, droppedPending: removed.pending, metrics: removed.metrics };
+  }
+
+  // Devices a distributed flow may be placed on: connected, allowed for the client, in order
+  distributionCandidates(targets, client) {
+    const ids = targets?.length
+      ? Array.from(new Set(targets.flatMap(t => isDeviceTarget(t) ? resolveDeviceTarget(t, devices, groupStore) : [t])))
+      : connectedDevices().map(([id]) => id);
+    for (const id of ids) {
+      if (targets?.length && !getDevice(id)) {
+        throw Object.assign(new Error(`Device "${id}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+      }
+    }
+    return ids.filter(id => isConnected(getDevice(id)) && isDeviceAllowed(client, id));
+  }
+
+  async toolDeployDistributedFlow(args, context = {}) {
+    if (!args?.name || !Array.isArray(args.nodes) || !args.nodes.length) {
+      throw new Error('name and a non-empty nodes array are required');
+    }
+    const existing = distributedFlows.get(args.name);
+    if (existing && !args.dryRun && !args.replace) {
+      throw new Error(`Distributed flow "${args.name}" already exists. Pass replace: true or call teardown_distributed_flow first.`);
+    }
+
+    const candidates = this.distributionCandidates(args.devices, context.client);
+    if (!candidates.length) {
+      throw new Error('No connected devices to place the flow on.');
+    }
+
+    // Which candidates have each node type - the aggregated catalog plus each registration's node list
+    const typeDevices = new Map();
+    const categories = new Map();
+    for (const [type, entry] of aggregatedNodeCatalog) {
+      typeDevices.set(type, entry.devices.filter(id => candidates.includes(id)));
+      categories.set(type, entry.category);
+    }
+    for (const id of candidates) {
+      for (const type of getDevice(id).registration.nodes || []) {
+        if (!typeDevices.has(type)) typeDevices.set(type, []);
+        if (!typeDevices.get(type).includes(id)) typeDevices.get(type).push(id);
+      }
+    }
+
+    const plan = planPartition({ name: args.name, nodes: args.nodes, candidates, typeDevices, categories, pins: args.pin || {} });
+    const relays = plan.cuts;
+    const summary = {
+      name: args.name,
+      placement: plan.placement,
+      devices: Array.from(plan.parts, ([deviceId, part]) => ({
+        deviceId,
+        nodeCount: part.nodes.length,
+        configNodeCount: part.configNodes.length
+      })),
+      relays
+    };
+    if (plan.problems.length) {
+      return { success: false, ...summary, problems: plan.problems };
+    }
+    if (args.dryRun) {
+      return { success: true, dryRun: true, ...summary };
+    }
+
+    // The plan holds up - only now take the old version down
+    if (existing) {
+      const teardown = await this.toolTeardownDistributedFlow({ name: args.name }, context);
+      if (!teardown.complete) {
+        throw new Error(`Could not fully tear down the existing "${args.name}": ${JSON.stringify(teardown.devices)}`);
       }
+    }
 
-      return {
-        content: [{
-          type: 'text',
-          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-        }]
-      };
+    // Add every part before deploying anything; undo what was added if a part fails
+    const added = [];
+    const bridgeIds = [];
+    const undo = async () => {
+      for (const id of bridgeIds) bridgeManager.remove(id);
+      const leftBehind = [];
+      for (const { deviceId, flowId, nodeIds } of added) {
+        const device = getDevice(deviceId);
+        for (const nodeId of nodeIds) {
+          await rpc(device, 'deleteNode', nodeId).catch(() => {});
+        }
+        const deleted = await rpc(device, 'deleteFlow', flowId).catch(() => null);
+        if (!deleted || deleted.success === false) leftBehind.push(`${deviceId}/${flowId}`);
+      }
+      return leftBehind;
+    };
+
+    try {
+      for (const [deviceId, part] of plan.parts) {
+        const device = getDevice(deviceId);
+        const created = await rpc(device, 'createFlow', args.name);
+        if (!created?.flow?.id) {
+          throw new Error(`Could not create flow "${args.name}" on ${deviceId}: ${created?.error || 'no flow id returned'}`);
+        }
+        const record = { deviceId, flowId: created.flow.id, nodeIds: [], idMap: {} };
+        added.push(record);
+
+        const addNodes = async (nodes) => {
+          const result = await rpc(device, 'addNodes', record.flowId, nodes);
+          if (result?.success === false) {
+            throw new Error(`add_nodes failed on ${deviceId}: ${result.error || 'unknown error'}`);
+          }
+          for (const node of result?.nodes || []) {
+            record.nodeIds.push(node.id);
+            record.idMap[node.tempId] = node.id;
+          }
+        };
+
+        // Config nodes first so flow nodes can reference their real ids
+        if (part.configNodes.length) {
+          await addNodes(part.configNodes);
+        }
+        const configIds = new Set(part.configNodes.map(c => c.tempId));
+        await addNodes(part.nodes.map(node => Object.fromEntries(Object.entries(node).map(([key, value]) =>
+          [key, key !== 'tempId' && configIds.has(value) ? record.idMap[value] : value]
+        ))));
+      }
+
+      for (const cut of plan.cuts) {
+        const owner = args.name;
+        const source = { deviceId: cut.fromDevice, topic: cut.topic };
+        if (cut.mode === 'mcp-in') {
+          bridgeIds.push(bridgeManager.create({ source, target: { deviceId: cut.toDevice, topic: cut.topic }, owner }).id);
+        } else {
+          const { idMap } = added.find(a => a.deviceId === cut.toDevice);
+          for (const target of cut.targets) {
+            bridgeIds.push(bridgeManager.create({ source, target: { deviceId: cut.toDevice, nodeId: idMap[target] }, owner }).id);
+          }
+        }
+      }
     } catch (err) {
-      return {
-        content: [{
-          type: 'text',
-          text: `Error: ${err.message}`
-        }],
-        isError: true
-      };
+      const leftBehind = await undo();
+      if (leftBehind.length) {
+        err.message += ` (empty flow tabs could not be deleted: ${leftBehind.join(', ')})`;
+      }
+      throw err;
     }
+
+    const deployed = await mapWithConcurrency(added, DEFAULT_CONCURRENCY, async ({ deviceId }) => {
+      try {
+        const result = await this.deployDevice(getDevice(deviceId), 'distributed-flow');
+        return { deviceId, success: result?.success !== false, ...(result?.tests && { tests: result.tests.summary }) };
+      } catch (err) {
+        return { deviceId, success: false, error: err.message };
+      }
+    });
+
+    distributedFlows.save({
+      name: args.name,
+      createdAt: new Date().toISOString(),
+      placement: plan.placement,
+      parts: added.map(({ deviceId, flowId, nodeIds }) => ({ deviceId, flowId, nodeIds })),
+      relays,
+      bridges: bridgeIds
+    });
+    this.log(`  → Distributed flow ${args.name}: ${added.length} device(s), ${relays.length} relay(s)`);
+
+    return {
+      success: deployed.every(d => d.success),
+      ...summary,
+      devices: summary.devices.map(d => ({ ...d, flowId: added.find(a => a.deviceId === d.deviceId).flowId })),
+      bridges: bridgeIds,
+      deployed
+    };
   }
 
-  // Tool implementations
+  async toolListDistributedFlows(args, context = {}) {
+    const flows = distributedFlows.list()
+      .filter(flow => flow.parts.every(part => isDeviceAllowed(context.client, part.deviceId)))
+      .map(flow => ({
+        ...flow,
+        parts: flow.parts.map(({ nodeIds, ...part }) => ({ ...part, nodeCount: nodeIds.length, online: isConnected(getDevice(part.deviceId)) })),
+        bridges: flow.bridges.map(id => bridgeManager.get(id)).filter(Boolean)
+          .map(({ id, status, pending, metrics }) => ({ id, status, pending, relayed: metrics.relayed, failed: metrics.failed }))
+      }));
+    return { count: flows.length, flows };
+  }
 
-  // List all connected devices
-  async toolListDevices(args) {
-    const result = [];
-    for (const [id, device] of devices) {
-      const reg = device.registration;
-      // Apply filters
-      if (args?.type && reg.type !== args.type) continue;
-      if (args?.status && reg.status !== args.status) continue;
-      // Filter by node capability - just check if the node name is in the list
-      if (args?.node && !reg.nodes?.includes(args.node)) continue;
+  async toolTeardownDistributedFlow(args, context = {}) {
+    const flow = distributedFlows.get(args?.name);
+    if (!flow || !flow.parts.every(part => isDeviceAllowed(context.client, part.deviceId))) {
+      throw Object.assign(new Error(`Distributed flow "${args?.name}" not found. Use list_distributed_flows.`), { code: 'NOT_FOUND' });
+    }
 
-      // Get custom tools for this device
-      let customTools = [];
+    for (const id of flow.bridges) bridgeManager.remove(id);
+
+    const results = await mapWithConcurrency(flow.parts, DEFAULT_CONCURRENCY, async (part) => {
+      const device = getDevice(part.deviceId);
+      if (!isConnected(device)) {
+        return { deviceId: part.deviceId, success: false, error: 'Device is offline', part };
+      }
       try {
-        const toolsResult = await device.peer.methods.getCustomTools();
-        customTools = (toolsResult?.tools || []).map(t => t.name);
-      } catch {
-        // Device may not support custom tools
+        for (const nodeId of part.nodeIds) {
+          await rpc(device, 'deleteNode', nodeId);
+        }
+        await this.deployDevice(device, 'distributed-flow-teardown', { runTests: false });
+        return { deviceId: part.deviceId, success: true, deletedNodes: part.nodeIds.length, emptyFlowId: part.flowId };
+      } catch (err) {
+        return { deviceId: part.deviceId, success: false, error: err.message, part };
       }
+    });
 
-      result.push({
-        id,
-        type: reg.type,
-        name: reg.name,
-        description: reg.description,
-        status: reg.status,
-        url: reg.url,
-        connectedAt: reg.connectedAt,
-        // Just the node names - use get_node_details for specifics
-        nodes: reg.nodes || [],
-        nodeCount: reg.nodes?.length || 0,
-        customTools,
-        meta: reg.meta
-      });
+    // Parts that couldn't be removed stay on record for another teardown
+    const remaining = results.filter(r => !r.success).map(r => r.part);
+    if (remaining.length) {
+      distributedFlows.save({ ...flow, parts: remaining, bridges: [] });
+    } else {
+      distributedFlows.remove(flow.name);
     }
+    this.log(`  → Distributed flow ${flow.name} torn down${remaining.length ? ` (${remaining.length} device(s) left)` : ''}`);
+
     return {
-      count: result.length,
-      devices: result,
-      hint: 'Use get_node_details(deviceId, type) to inspect node implementation details - they vary by device.'
+      name: flow.name,
+      complete: remaining.length === 0,
+      removedBridges: flow.bridges.length,
+      devices: results.map(r => (r.success ? r : { deviceId: r.deviceId, success: false, error: r.error })),
+      ...(!remaining.length && { hint: 'The flow tabs are left empty on each device.' })
     };
   }
 
-  // Get detailed info about a specific device
-  async toolGetDeviceDetails(args) {
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
+  async toolListGroups() {
+    const groups = groupStore.list().map(group => ({
+      ...group,
+      online: group.devices.filter(id => isConnected(getDevice(id)))
+    }));
+    return {
+      count: groups.length,
+      groups,
+      hint: 'Pass "group:<name>" or "tag:<tag>" as deviceId to run a device-scoped tool on every matching device.'
+    };
+  }
+
+  async toolCreateGroup(args) {
+    const group = groupStore.create(args?.name, args);
+    this.log(`  → Group created: ${group.name} (${group.devices.length} devices)`);
+    return { success: true, group, ...this.unknownDevices(group.devices) };
+  }
 
-    const state = await device.peer.methods.getState();
+  async toolAddToGroup(args) {
+    const group = groupStore.add(args?.name, args?.devices || []);
+    return { success: true, group, ...this.unknownDevices(args?.devices || []) };
+  }
 
-    // Get custom tools with descriptions
-    let customTools = [];
-    try {
-      const toolsResult = await device.peer.methods.getCustomTools();
-      customTools = toolsResult?.tools || [];
-    } catch {
-      // Device may not support custom tools
+  async toolRemoveFromGroup(args) {
+    const group = groupStore.remove(args?.name, args?.devices || []);
+    return { success: true, group };
+  }
+
+  async toolDeleteGroup(args) {
+    groupStore.delete(args?.name);
+    return { success: true, deleted: args.name };
+  }
+
+  // Group members may be added before a device has ever connected - point that out
+  unknownDevices(ids) {
+    const unknown = ids.filter(id => !devices.has(id));
+    return unknown.length ? { unknownDevices: unknown } : {};
+  }
+
+  // Diff getNodeDetails for one type across devices
+  async toolCompareNodeTypes(args, context = {}) {
+    if (!args?.type) {
+      throw new Error('type is required');
+    }
+    const explicit = args.deviceIds?.length > 0;
+    const { unknownDevices } = this.unknownDevices(args.deviceIds || []);
+    if (unknownDevices) {
+      throw new Error(`Unknown device(s): ${unknownDevices.join(', ')}. Use list_devices to see known devices.`);
+    }
+    const ids = (explicit ? args.deviceIds : connectedDevices().map(([id]) => id))
+      .filter(id => isDeviceAllowed(context.client, id))
+      .filter(id => explicit || deviceNodeTypes(getDevice(id)).includes(args.type));
+    if (!ids.length) {
+      throw new Error(`No connected device has node type "${args.type}".`);
     }
 
+    const details = {};
+    const errors = {};
+    await mapWithConcurrency(ids, DEFAULT_CONCURRENCY, async (id) => {
+      const device = getDevice(id);
+      if (!isConnected(device)) {
+        errors[id] = 'Device is offline';
+        return;
+      }
+      try {
+        const result = await rpc(device, 'getNodeDetails', args.type);
+        if (!result || result.error) {
+          errors[id] = result?.error || 'No details returned';
+        } else {
+          details[id] = result;
+        }
+      } catch (err) {
+        errors[id] = err.message;
+      }
+    });
+
+    const compared = Object.keys(details);
     return {
-      registration: device.registration,
-      ...state,
-      customTools
+      type: args.type,
+      devices: compared,
+      ...diffNodeDetails(details),
+      ...(compared.length < 2 && { note: 'Fewer than two devices answered, so there was nothing to compare.' }),
+      ...(Object.keys(errors).length && { errors })
     };
   }
 
-  async toolGetStarted(args) {
+  async toolGetStarted(args, context = {}) {
+    // The guide is large - clients that attached the resource can skip it
+    const guide = args?.includeGuide === false ? `See resource ${GUIDE_URI}` : guideContent;
+
     // If no deviceId provided, return aggregated view across all devices
     if (!args?.deviceId) {
-      if (devices.size === 0) {
+      const online = connectedDevices().filter(([id]) => isDeviceAllowed(context.client, id));
+      if (online.length === 0) {
         return {
-          guide: guideContent,
+          guide,
           connectedDevices: 0,
           devices: [],
           nodeCatalog: {},
@@ -782,15 +2535,15 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
       }
 
       // Return aggregated view - minimal info, grouped by category
-      const deviceList = Array.from(devices.values()).map(d => ({
+      const deviceList = online.map(([, d]) => ({
         id: d.registration.id,
         name: d.registration.name,
         type: d.registration.type
       }));
 
       return {
-        guide: guideContent,
-        connectedDevices: devices.size,
+        guide,
+        connectedDevices: online.length,
         devices: deviceList,
         nodeCatalog: getAggregatedCatalog(),
         hint: 'Use get_node_details(deviceId, type) for full node properties. Use list_devices for more device info.'
@@ -801,84 +2554,427 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const state = await device.peer.methods.getState();
+    const state = await rpc(device, 'getState');
     return {
-      guide: guideContent,
+      guide,
       deviceId: device.registration.id,
       deviceType: device.registration.type,
       deviceName: device.registration.name,
-      connectedDevices: devices.size,
+      connectedDevices: connectedDevices().length,
       ...state
     };
   }
 
-  async toolGetFlows(args) {
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
+  async toolGetFlows(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const result = await rpc(device, 'getFlows');
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  async toolCreateFlow(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const result = await rpc(device, 'createFlow', args.label);
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  async toolAddNodes(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    if (args.dryRun) {
+      const context = await this.validationContext(device, (Array.isArray(args.nodes) ? args.nodes : []).map(n => n?.type));
+      return { deviceId: device.registration.id, dryRun: true, ...validateAddNodes({ ...context, flowId: args.flowId, nodes: args.nodes }) };
+    }
+
+    const result = await rpc(device, 'addNodes', args.flowId, args.nodes);
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  async toolUpdateNode(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    if (args.dryRun) {
+      const context = await this.validationContext(device);
+      const existing = [...(context.flowState.nodes || []), ...(context.flowState.configNodes || [])]
+        .find(n => n.id === args.nodeId);
+      if (existing) {
+        await this.loadNodeDetails(device, context, [existing.type]);
+      }
+      return { deviceId: device.registration.id, dryRun: true, ...validateUpdate({ ...context, nodeId: args.nodeId, updates: args.updates }) };
+    }
+
+    const result = await rpc(device, 'updateNode', args.nodeId, args.updates);
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  async toolValidateFlow(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const deviceId = device.registration.id;
+    if (args.nodes) {
+      if (!args.flowId) {
+        throw new Error('flowId is required when validating nodes');
+      }
+      const context = await this.validationContext(device, Array.isArray(args.nodes) ? args.nodes.map(n => n?.type) : []);
+      return { deviceId, ...validateAddNodes({ ...context, flowId: args.flowId, nodes: args.nodes }) };
+    }
+
+    const context = await this.validationContext(device);
+    const checked = [...(context.flowState.nodes || []), ...(context.flowState.configNodes || [])]
+      .filter(n => !args.flowId || n.z === args.flowId || n.z === undefined);
+    await this.loadNodeDetails(device, context, checked.map(n => n.type));
+    return { deviceId, ...validateExisting({ ...context, flowId: args.flowId }) };
+  }
+
+  // Gather what validation needs from a device: its flows, catalog and node schemas
+  async validationContext(device, types = []) {
+    const context = {
+      flowState: await rpc(device, 'getFlows') || {},
+      availableTypes: deviceNodeTypes(device),
+      catalog: device.nodeCatalog || [],
+      nodeDetails: new Map()
+    };
+    await this.loadNodeDetails(device, context, types);
+    return context;
+  }
+
+  // Fetch get_node_details schemas for the given types (once each, in parallel) into the validation context
+  async loadNodeDetails(device, context, types) {
+    const missing = [...new Set(types)]
+      .filter(type => type && !context.nodeDetails.has(type) && context.availableTypes.includes(type));
+    await Promise.all(missing.map(async (type) => {
+      try {
+        context.nodeDetails.set(type, await rpc(device, 'getNodeDetails', type));
+      } catch {
+        // No schema for this type - only the generic checks apply
+      }
+    }));
+  }
+
+  async toolDeleteNode(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const result = await rpc(device, 'deleteNode', args.nodeId);
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  async toolExportFlow(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const flowState = await rpc(device, 'getFlows');
+    const document = exportFlow(flowState || {}, args.flowId);
+    if (!document) {
+      throw Object.assign(new Error(`Flow "${args.flowId}" not found on device "${device.registration.id}". Use get_flows to see flow ids.`), { code: 'NOT_FOUND' });
+    }
+
+    return {
+      deviceId: device.registration.id,
+      flowId: args.flowId,
+      nodeCount: document.length - 1,
+      document
+    };
+  }
+
+  // Copy a flow document onto a device. Types are checked before anything is created.
+  async toolImportFlow(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const deviceId = device.registration.id;
+    const document = typeof args.document === 'string' ? JSON.parse(args.document) : args.document;
+    if (!Array.isArray(document)) {
+      throw new Error('document must be an array of tab, node and config node objects (as returned by export_flow)');
+    }
+
+    const availableTypes = deviceNodeTypes(device);
+    if (availableTypes.length === 0) {
+      throw new Error(`Device "${deviceId}" has not reported its node types, so the import can't be checked. Nothing was imported.`);
+    }
+
+    const plan = planImport(document, availableTypes, device.nodeCatalog);
+    if (plan.missingTypes.length) {
+      return {
+        deviceId,
+        success: false,
+        missingTypes: plan.missingTypes,
+        error: `Device "${deviceId}" does not have these node types: ${plan.missingTypes.join(', ')}. Nothing was imported.`
+      };
+    }
+
+    // Decide which flow tab each group of nodes lands in
+    const targets = [];
+    if (args.flowId) {
+      targets.push({ flowId: args.flowId, nodes: [...plan.tabs.flatMap(t => t.nodes), ...plan.looseNodes] });
+    } else {
+      for (const { tab, nodes } of plan.tabs) {
+        targets.push({ label: tab.label || 'Imported flow', nodes });
+      }
+      if (plan.looseNodes.length || targets.length === 0) {
+        targets.push({ label: args.label || 'Imported flow', nodes: plan.looseNodes });
+      }
+      for (const target of targets) {
+        const created = await rpc(device, 'createFlow', target.label);
+        if (!created?.flow?.id) {
+          throw new Error(`Could not create flow "${target.label}": ${created?.error || 'no flow id returned'}`);
+        }
+        target.flowId = created.flow.id;
+      }
+    }
+
+    // Old id -> new real id, for config references and the caller's bookkeeping
+    const idMap = new Map();
+    const addNodes = async (flowId, nodes) => {
+      const result = await rpc(device, 'addNodes', flowId, nodes);
+      if (result?.success === false) {
+        throw new Error(`add_nodes failed: ${result.error || 'unknown error'}`);
+      }
+      for (const added of result?.nodes || []) {
+        if (added.tempId && added.id) {
+          idMap.set(added.tempId, added.id);
+        }
+      }
+    };
+
+    // Config nodes first, in dependency order, so flow nodes can reference their real ids
+    for (const batch of configNodeBatches(plan.configNodes)) {
+      await addNodes(targets[0].flowId, batch.map(c => toAddNodesEntry(c, idMap, new Set()).node));
+    }
+
+    let droppedWires = 0;
+    for (const target of targets) {
+      if (target.nodes.length === 0) continue;
+      const importedIds = new Set(target.nodes.map(n => n.id));
+      const entries = target.nodes.map(n => toAddNodesEntry(n, idMap, importedIds));
+      droppedWires += entries.reduce((sum, e) => sum + e.droppedWires, 0);
+      await addNodes(target.flowId, entries.map(e => e.node));
+    }
+
+    return {
+      deviceId,
+      success: true,
+      flows: targets.map(t => ({ flowId: t.flowId, label: t.label, nodeCount: t.nodes.length })),
+      configNodeCount: plan.configNodes.length,
+      idMap: Object.fromEntries(idMap),
+      droppedWires,
+      hint: 'Call deploy to activate the imported flow.'
+    };
+  }
+
+  async toolDeploy(args, context = {}) {
+    // Staged rollout to a selection of devices
+    if (args?.selector || args?.strategy) {
+      return this.rolloutDeploy(args, context);
+    }
+
+    // Special case: deploy to all devices
+    if (args?.deviceId === 'all') {
+      const results = [];
+      for (const [id, device] of connectedDevices()) {
+        try {
+          const result = await this.deployDevice(device, 'deploy', { runTests: args.runTests === true });
+          results.push({ deviceId: id, success: true, ...result });
+        } catch (err) {
+          results.push({ deviceId: id, success: false, error: err.message, ...(err.code && { code: err.code }) });
+        }
+      }
+      return { deployedTo: results.length, results };
+    }
+
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+
+    const result = await this.deployDevice(device, 'deploy', { runTests: args.runTests === true });
+    return { deviceId: device.registration.id, ...result };
+  }
+
+  // Deploy to the devices a selector picks, stage by stage, stopping when errors rise
+  async rolloutDeploy(args, context) {
+    let targets;
+    if (isDeviceTarget(args.deviceId)) {
+      targets = resolveDeviceTarget(args.deviceId, devices, groupStore)
+        .filter(id => isDeviceAllowed(context.client, id) && isConnected(getDevice(id)))
+        .map(id => [id, getDevice(id)]);
+    } else if (args.deviceId && args.deviceId !== 'all') {
+      const { error, device, content } = this.requireDevice(args.deviceId);
+      if (error) return content;
+      targets = [[args.deviceId, device]];
+    } else {
+      targets = connectedDevices().filter(([id]) => isDeviceAllowed(context.client, id));
+    }
+    targets = targets.filter(([, device]) => matchesSelector(device.registration, deviceNodeTypes(device), args.selector));
+
+    if (!targets.length) {
+      return { deployedTo: 0, stages: [], message: 'No connected devices match the selector.' };
+    }
+
+    const ids = targets.map(([id]) => id);
+    const stages = planStages(ids, args);
+
+    // What each device ran before, for rolling back
+    const previousVersions = new Map(ids.map(id => [id, flowHistory.latestVersion(id)]));
+
+    this.log(`  → Rolling out to ${ids.length} device(s) in ${stages.length} stage(s) (${args.strategy || 'batches'})`);
+    const report = await runRollout({
+      stages,
+      deploy: (id) => this.deployDevice(devices.get(id), `rollout (${args.strategy || 'batches'})`, { runTests: false }),
+      errorCount: async (id) => countErrors(await rpc(devices.get(id), 'getErrors', 1000)),
+      concurrency: args.concurrency || DEFAULT_CONCURRENCY,
+      checkErrors: args.checkErrors !== false,
+      settleMs: args.settleMs ?? DEFAULT_SETTLE_MS,
+      errorThreshold: args.errorThreshold || 0
+    });
+
+    let rolledBack = null;
+    if (report.aborted && args.rollback) {
+      this.log(`  → Rollout stopped: ${report.reason}. Rolling back ${report.deployed.length} device(s)`);
+      rolledBack = [];
+      for (const id of report.deployed) {
+        const version = previousVersions.get(id);
+        if (version === null) {
+          rolledBack.push({ deviceId: id, success: false, error: 'No earlier flow version stored' });
+          continue;
+        }
+        try {
+          const result = await this.toolRollbackFlow({ deviceId: id, version });
+          rolledBack.push({ deviceId: id, success: !!result?.success, version, ...(result?.success ? {} : { error: result?.[0]?.text }) });
+        } catch (err) {
+          rolledBack.push({ deviceId: id, success: false, version, error: err.message });
+        }
+      }
+    }
+
+    return {
+      strategy: args.strategy || 'batches',
+      selected: ids,
+      deployedTo: report.deployed.length,
+      success: !report.aborted,
+      ...report,
+      rolledBack
+    };
+  }
+
+  // Deploy with a snapshot of the flows about to run, so they can be diffed and rolled back later.
+  // Saved flow test suites rerun afterwards when runTests is set.
+  async deployDevice(device, reason = 'deploy', { runTests = false } = {}) {
+    let snapshot = null;
+    let flows = null;
+    try {
+      flows = await rpc(device, 'getFlows');
+      snapshot = flowHistory.record(device.registration.id, flows, reason);
+    } catch (err) {
+      this.log(`  → Could not snapshot flows before deploy: ${err.message}`);
+    }
+
+    const result = await rpc(device, 'deploy');
+    notificationHub.resourceUpdated(deviceResourceUri(device.registration.id, 'flows'));
+    // A deploy can add or remove tool-in nodes
+    if (await refreshCustomTools(device)) {
+      notificationHub.toolsListChanged();
+    }
+    const tests = runTests ? await this.runDeployTests(device, flows) : null;
+    return { ...result, snapshot, ...(tests && { tests }) };
+  }
+
+  // Stored versions don't need the device to be online
+  async toolListFlowVersions(args) {
+    if (!getDevice(args?.deviceId)) {
+      throw Object.assign(new Error(`Device "${args?.deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+    }
 
-    const result = await device.peer.methods.getFlows();
-    return { deviceId: device.registration.id, ...result };
+    const versions = flowHistory.list(args.deviceId);
+    return {
+      deviceId: args.deviceId,
+      total: versions.length,
+      versions: versions.slice(0, args?.limit || 20)
+    };
   }
 
-  async toolCreateFlow(args) {
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
+  async toolDiffFlowVersions(args) {
+    const device = getDevice(args?.deviceId);
+    if (!device) {
+      throw Object.assign(new Error(`Device "${args?.deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+    }
 
-    const result = await device.peer.methods.createFlow(args.label);
-    return { deviceId: device.registration.id, ...result };
-  }
+    const latest = flowHistory.latestVersion(args.deviceId);
+    const to = args.to ?? 'current';
+    let from = args.from ?? latest;
+    if (from === null) {
+      throw new Error(`No flow versions stored for device "${args.deviceId}" yet. Versions are recorded on connect and on deploy.`);
+    }
 
-  async toolAddNodes(args) {
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
+    // Resolve a version reference to a flow state
+    const load = async (ref) => {
+      if (ref === 'current') {
+        const { error, content } = this.requireDevice(args.deviceId);
+        if (error) throw new Error(content[0].text);
+        return rpc(device, 'getFlows');
+      }
+      const entry = flowHistory.get(args.deviceId, Number(ref));
+      if (!entry) {
+        throw Object.assign(new Error(`Version ${ref} not found for device "${args.deviceId}". Use list_flow_versions.`), { code: 'NOT_FOUND' });
+      }
+      return entry.flows;
+    };
 
-    const result = await device.peer.methods.addNodes(args.flowId, args.nodes);
-    return { deviceId: device.registration.id, ...result };
+    const after = await load(to);
+    // Nothing changed since the latest version was deployed - show what that deploy changed instead
+    let before = await load(from);
+    if (args.from === undefined && to === 'current' && JSON.stringify(before) === JSON.stringify(after)) {
+      const previous = flowHistory.list(args.deviceId)[1];
+      if (previous) {
+        from = previous.version;
+        before = await load(from);
+      }
+    }
+
+    const diff = diffFlows(before, after);
+    return { deviceId: args.deviceId, from, to, ...diff };
   }
 
-  async toolUpdateNode(args) {
+  async toolRollbackFlow(args) {
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.updateNode(args.nodeId, args.updates);
-    return { deviceId: device.registration.id, ...result };
-  }
+    const deviceId = device.registration.id;
+    const entry = flowHistory.get(deviceId, Number(args.version));
+    if (!entry) {
+      throw Object.assign(new Error(`Version ${args.version} not found for device "${deviceId}". Use list_flow_versions.`), { code: 'NOT_FOUND' });
+    }
 
-  async toolDeleteNode(args) {
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
+    // Snapshot what's there now so the rollback can be undone
+    const current = await rpc(device, 'getFlows');
+    const before = flowHistory.record(deviceId, current, `before rollback to v${entry.version}`);
 
-    const result = await device.peer.methods.deleteNode(args.nodeId);
-    return { deviceId: device.registration.id, ...result };
-  }
+    const restored = await restoreFlows((method, ...rest) => rpc(device, method, ...rest), current, entry.flows);
 
-  async toolDeploy(args) {
-    // Special case: deploy to all devices
-    if (args?.deviceId === 'all') {
-      const results = [];
-      for (const [id, device] of devices) {
-        try {
-          const result = await device.peer.methods.deploy();
-          results.push({ deviceId: id, success: true, ...result });
-        } catch (err) {
-          results.push({ deviceId: id, success: false, error: err.message });
-        }
-      }
-      return { deployedTo: results.length, results };
+    let deployed = null;
+    if (args.deploy !== false) {
+      deployed = await this.deployDevice(device, `rollback to v${entry.version}`, { runTests: false });
     }
 
-    const { error, device, content } = this.requireDevice(args?.deviceId);
-    if (error) return content;
-
-    const result = await device.peer.methods.deploy();
-    return { deviceId: device.registration.id, ...result };
+    return {
+      deviceId,
+      success: true,
+      restoredVersion: entry.version,
+      previousVersion: before.version,
+      ...restored,
+      deployed
+    };
   }
 
   async toolGetDebugOutput(args) {
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getDebugOutput(args?.limit || 10);
+    const result = await rpc(device, 'getDebugOutput', args?.limit || 10);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -886,7 +2982,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getErrors(args?.limit || 10);
+    const result = await rpc(device, 'getErrors', args?.limit || 10);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -894,7 +2990,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getLogs(args?.limit || 100, args?.context || null, args?.level || null);
+    const result = await rpc(device, 'getLogs', args?.limit || 100, args?.context || null, args?.level || null);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -902,7 +2998,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.clearLogs();
+    const result = await rpc(device, 'clearLogs');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -910,7 +3006,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getInjectNodes();
+    const result = await rpc(device, 'getInjectNodes');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -918,7 +3014,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.inject(args.nodeId, args.payload);
+    const result = await rpc(device, 'inject', args.nodeId, args.payload);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -926,7 +3022,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getNodeDetails(args.type);
+    const result = await rpc(device, 'getNodeDetails', args.type);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -934,7 +3030,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.trigger(args.nodeId, args.msg);
+    const result = await rpc(device, 'trigger', args.nodeId, args.msg);
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -942,7 +3038,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.clearDebug();
+    const result = await rpc(device, 'clearDebug');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -950,15 +3046,98 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.clearErrors();
+    const result = await rpc(device, 'clearErrors');
     return { deviceId: device.registration.id, ...result };
   }
 
+  async toolRunFlowTest(args) {
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) return content;
+    const deviceId = device.registration.id;
+
+    let spec = args.spec;
+    let suiteName = args.save || null;
+    if (args.suite) {
+      const suite = testStore.get(deviceId, args.suite);
+      if (!suite) {
+        throw Object.assign(new Error(`Test suite "${args.suite}" not found on device "${deviceId}". Use list_flow_tests.`), { code: 'NOT_FOUND' });
+      }
+      spec = suite.spec;
+      suiteName = suite.name;
+    } else if (!spec) {
+      throw new Error('Pass a test spec, or the name of a saved suite.');
+    }
+
+    const problems = validateTestSpec(spec);
+    if (problems.length) {
+      return { deviceId, success: false, problems };
+    }
+    if (args.save) {
+      testStore.save(deviceId, args.save, spec, { runOnDeploy: args.runOnDeploy !== false });
+    }
+
+    const result = await runFlowTest({ spec, call: (method, ...rest) => rpc(device, method, ...rest) });
+    if (suiteName) {
+      testStore.recordRun(deviceId, suiteName, result);
+    }
+    return { deviceId, ...(suiteName && { suite: suiteName, saved: !!args.save }), ...result };
+  }
+
+  // Saved suites don't need the device to be online
+  async toolListFlowTests(args) {
+    if (!getDevice(args?.deviceId)) {
+      throw Object.assign(new Error(`Device "${args?.deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+    }
+
+    const suites = testStore.list(args.deviceId)
+      .filter(s => !args.flowId || s.flowId === args.flowId)
+      .map(({ spec, ...suite }) => ({ ...suite, stepCount: spec.steps.length, ...(args.includeSpec && { spec }) }));
+    return { deviceId: args.deviceId, count: suites.length, suites };
+  }
+
+  async toolDeleteFlowTest(args) {
+    if (!getDevice(args?.deviceId)) {
+      throw Object.assign(new Error(`Device "${args?.deviceId}" not found. Use list_devices to see known devices.`), { code: 'DEVICE_NOT_FOUND' });
+    }
+    if (!testStore.remove(args.deviceId, args.suite)) {
+      throw Object.assign(new Error(`Test suite "${args.suite}" not found on device "${args.deviceId}". Use list_flow_tests.`), { code: 'NOT_FOUND' });
+    }
+    return { deviceId: args.deviceId, success: true, deleted: args.suite };
+  }
+
+  // Rerun the device's saved suites after a deploy. Suites for flows that no longer exist are skipped.
+  // The debug and error buffers are left alone - rollouts and agents read errors from them.
+  async runDeployTests(device, flows) {
+    const deviceId = device.registration.id;
+    const flowIds = new Set((flows?.flows || []).map(f => f.id));
+    const suites = testStore.list(deviceId).filter(s => s.runOnDeploy && (!s.flowId || !flows || flowIds.has(s.flowId)));
+    if (!suites.length) {
+      return null;
+    }
+
+    const results = [];
+    for (const suite of suites) {
+      try {
+        const result = await runFlowTest({ spec: { ...suite.spec, clear: false }, call: (method, ...rest) => rpc(device, method, ...rest) });
+        testStore.recordRun(deviceId, suite.name, result);
+        results.push({ suite: suite.name, passed: result.passed, summary: result.summary, failed: result.steps.filter(s => !s.passed) });
+      } catch (err) {
+        results.push({ suite: suite.name, passed: false, error: err.message });
+      }
+      const last = results[results.length - 1];
+      notificationHub.publish({ type: last.passed ? 'flow-test-passed' : 'flow-test-failed', deviceId, suite: suite.name, summary: last.summary || last.error });
+    }
+
+    const failed = results.filter(r => !r.passed);
+    this.log(`  → Flow tests on ${deviceId}: ${results.length - failed.length}/${results.length} suite(s) passed`);
+    return { passed: !failed.length, suites: results };
+  }
+
   async toolGetNodeStatuses(args) {
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getNodeStatuses();
+    const result = await rpc(device, 'getNodeStatuses');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -966,7 +3145,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getCanvasSvg();
+    const result = await rpc(device, 'getCanvasSvg');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -974,20 +3153,107 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getMessages(args?.limit || 100, args?.clear !== false);
+    // Includes messages held back by an earlier wait with a topic filter
+    const result = await messageWaiter.take(device.registration.id, { limit: args?.limit || 100, clear: args?.clear !== false });
     return { deviceId: device.registration.id, ...result };
   }
 
+  // The devices a message wait listens to, as a function so "all" and groups pick up devices that
+  // connect while waiting. Throws when the target is unknown or not allowed for the client.
+  messageSources(args, context = {}) {
+    const usable = (id) => isDeviceAllowed(context.client, id) && isConnected(getDevice(id));
+
+    if (Array.isArray(args?.deviceIds) && args.deviceIds.length) {
+      const denied = args.deviceIds.filter(id => !isDeviceAllowed(context.client, id));
+      if (denied.length) {
+        throw Object.assign(new Error(`Client "${context.client.name}" is not allowed to access device(s): ${denied.join(', ')}`), { code: 'FORBIDDEN' });
+      }
+      const { unknownDevices } = this.unknownDevices(args.deviceIds);
+      if (unknownDevices) {
+        throw new Error(`Unknown device(s): ${unknownDevices.join(', ')}. Use list_devices to see known devices.`);
+      }
+      return () => args.deviceIds.filter(usable);
+    }
+    if (args?.deviceId === 'all') {
+      return () => connectedDevices().map(([id]) => id).filter(usable);
+    }
+    if (isDeviceTarget(args?.deviceId)) {
+      return () => resolveDeviceTarget(args.deviceId, devices, groupStore).filter(usable);
+    }
+
+    const { error, device, content } = this.requireDevice(args?.deviceId);
+    if (error) throw new Error(content[0].text);
+    const id = device.registration.id;
+    return () => (isConnected(getDevice(id)) ? [id] : []);
+  }
+
+  async toolWaitForMcpMessages(args, context = {}) {
+    // The SSE variant sends every message as an event instead of answering once
+    if (context.stream) {
+      return this.streamMcpMessages(args, context, context.stream);
+    }
+
+    const deviceIds = this.messageSources(args, context);
+    const result = await messageWaiter.wait(deviceIds, {
+      topic: args?.topic,
+      limit: args?.limit || 100,
+      clear: args?.clear !== false,
+      timeout: args?.timeout || DEFAULT_WAIT_TIMEOUT
+    });
+
+    const single = args?.deviceId && args.deviceId !== 'all' && !isDeviceTarget(args.deviceId);
+    return {
+      ...(single && { deviceId: args.deviceId }),
+      count: result.messages.length,
+      timedOut: result.timedOut,
+      messages: result.messages,
+      ...(Object.keys(result.errors).length && { errors: result.errors })
+    };
+  }
+
+  // SSE variant for HTTP clients: every matching message becomes an event until the client
+  // disconnects, `count` messages were sent, or `timeout` passes (no timeout by default).
+  // Resolves to a summary of the stream for the audit log.
+  async streamMcpMessages(args, context, { send, signal }) {
+    const deviceIds = this.messageSources(args, context);
+    const deadline = args?.timeout ? Date.now() + Number(args.timeout) : Infinity;
+    const count = Number(args?.count) || Infinity;
+    let sent = 0;
+
+    while (!signal.aborted && sent < count) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        send('timeout', { sent });
+        return { streamed: true, sent, timedOut: true };
+      }
+      const result = await messageWaiter.wait(deviceIds, {
+        topic: args?.topic,
+        limit: Math.min(count - sent, 100),
+        timeout: Math.min(remaining, STREAM_KEEPALIVE_INTERVAL),
+        signal
+      });
+      for (const message of result.messages) {
+        send('message', message);
+        sent++;
+      }
+      if (!result.messages.length && !signal.aborted) {
+        send(null, null);
+      }
+    }
+    if (!signal.aborted) send('done', { sent });
+    return { streamed: true, sent, timedOut: false, ...(signal.aborted && { disconnected: true }) };
+  }
+
   async toolSendMcpMessage(args) {
     // Special case: broadcast to all devices
     if (args?.deviceId === 'all') {
       const results = [];
-      for (const [id, device] of devices) {
+      for (const [id, device] of connectedDevices()) {
         try {
-          const result = await device.peer.methods.sendMessage(args.payload, args.topic || '');
+          const result = await rpc(device, 'sendMessage', args.payload, args.topic || '');
           results.push({ deviceId: id, success: true, ...result });
         } catch (err) {
-          results.push({ deviceId: id, success: false, error: err.message });
+          results.push({ deviceId: id, success: false, error: err.message, ...(err.code && { code: err.code }) });
         }
       }
       return { sentTo: results.length, results };
@@ -996,7 +3262,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.sendMessage(args.payload, args.topic || '');
+    const result = await rpc(device, 'sendMessage', args.payload, args.topic || '');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -1005,7 +3271,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
     const { error, device, content } = this.requireDevice(args?.deviceId);
     if (error) return content;
 
-    const result = await device.peer.methods.getCustomTools();
+    const result = await rpc(device, 'getCustomTools');
     return { deviceId: device.registration.id, ...result };
   }
 
@@ -1018,7 +3284,7 @@ IMPORTANT: Do not assume devices have the same capabilities. A browser device ca
       return { error: 'Tool name is required' };
     }
 
-    const result = await device.peer.methods.useCustomTool(args.name, args.message || {});
+    const result = await rpc(device, 'useCustomTool', args.name, args.message || {});
     return { deviceId: device.registration.id, result };
   }
 }
@@ -1036,37 +3302,140 @@ function createLogger(useStderr = true) {
 
 // Print status line
 function printStatus(log) {
-  const count = devices.size;
-  if (count === 0) {
-    log(`[Devices: \x1b[33m○ No devices connected\x1b[0m]`);
+  const online = connectedDevices();
+  const offline = devices.size - online.length;
+  const offlineNote = offline > 0 ? `, ${offline} offline` : '';
+  if (online.length === 0) {
+    log(`[Devices: \x1b[33m○ No devices connected\x1b[0m${offlineNote}]`);
   } else {
-    const deviceList = Array.from(devices.values())
-      .map(d => `${d.registration.name || d.registration.id} (${d.registration.type})`)
+    const deviceList = online
+      .map(([, d]) => `${d.registration.name || d.registration.id} (${d.registration.type})`)
       .join(', ');
-    log(`[Devices: \x1b[32m● ${count} connected\x1b[0m - ${deviceList}]`);
+    log(`[Devices: \x1b[32m● ${online.length} connected\x1b[0m${offlineNote} - ${deviceList}]`);
   }
 }
 
+// Where a client on this machine reaches a server bound to host
+function localHost(host) {
+  if (!host || host === '0.0.0.0' || host === '::') return 'localhost';
+  return host.includes(':') ? `[${host}]` : host;
+}
+
 // Start the server
 export function startServer(port = DEFAULT_PORT, options = {}) {
-  const { stdio = false } = options;
+  const {
+    stdio = false,
+    dataDir = DEFAULT_DATA_DIR,
+    heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL
+  } = options;
   const log = createLogger(stdio);
+  // How clients reach the server - differs from the bind address behind a proxy or in a container
+  const publicUrl = (options.publicUrl || `http://${localHost(options.host)}:${port}`).replace(/\/+$/, '');
+  if (options.guide) {
+    guideContent = fs.readFileSync(options.guide, 'utf-8');
+  }
+  rpcTimeout = options.rpcTimeout || DEFAULT_RPC_TIMEOUT;
+  flowHistory = createFlowHistory({
+    dir: path.join(dataDir, 'history'),
+    limit: options.historyLimit || DEFAULT_HISTORY_LIMIT,
+    log
+  });
+  auditLog = createAuditLog({
+    file: options.auditLog || path.join(dataDir, 'audit.jsonl'),
+    log
+  });
+  trafficRecorder = options.record ? createTrafficRecorder({ file: options.record, log }) : null;
+  testStore = createTestStore({ dir: path.join(dataDir, 'tests'), log });
+  messageWaiter = createMessageWaiter({
+    fetch: (deviceId, limit, clear) => rpc(devices.get(deviceId), 'getMessages', limit, clear),
+    log
+  });
+  const webhookConfig = loadWebhookConfig(options.webhooks);
+  const inboundHooks = webhookConfig?.hooks || new Map();
+  webhookGateway = webhookConfig?.routes.length
+    ? createWebhookGateway({
+      config: webhookConfig,
+      dir: path.join(dataDir, 'webhooks'),
+      take: (deviceId, filter) => messageWaiter.take(deviceId, { filter }),
+      deviceIds: () => connectedDevices().map(([id]) => id),
+      deviceMatches: matchesDeviceTarget,
+      log
+    })
+    : null;
+  bridgeManager = createBridgeManager({
+    file: path.join(dataDir, 'bridges.json'),
+    take: (deviceId, filter) => messageWaiter.take(deviceId, { filter }),
+    deliver: async (bridge, message) => {
+      const device = devices.get(bridge.target.deviceId);
+      const result = bridge.target.nodeId
+        ? await rpc(device, 'trigger', bridge.target.nodeId, { payload: message.payload, topic: message.topic })
+        : await rpc(device, 'sendMessage', message.payload, bridge.target.topic ?? message.topic ?? '');
+      if (result?.success === false) {
+        throw new Error(result.error || 'The target device refused the message');
+      }
+    },
+    isConnected: (deviceId) => isConnected(devices.get(deviceId)),
+    log
+  });
+  distributedFlows = createDistributedFlowStore({ file: path.join(dataDir, 'distributed-flows.json'), log });
+  groupStore = createGroupStore({
+    file: path.join(dataDir, 'groups.json'),
+    configFile: options.groupsConfig,
+    log
+  });
+
+  // Auth is only enabled when an auth config file is given
+  const auth = loadAuthConfig(options.authConfig);
+
+  // Restore known devices from disk - they stay offline until they reconnect
+  registryFile = path.join(dataDir, 'devices.json');
+  for (const { registration, tokenHash } of loadRegistry(registryFile, log)) {
+    devices.set(registration.id, { peer: null, registration, ws: null, nodeCatalog: [], tokenHash });
+  }
+
   const mcpHandler = new MCPHandler(log);
+  const streamableHttp = createStreamableHttpTransport({
+    mcpHandler,
+    log,
+    onSessionClosed: (context) => notificationHub.drop(context)
+  });
 
   // Helper to send SSE event
   function sendSSE(res, event, data) {
     res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   }
 
+  // Notifications go out over whichever transport the session uses
+  notificationHub = createNotificationHub({
+    senders: {
+      'streamable-http': (sessionId, message) => streamableHttp.notify(sessionId, message),
+      sse: (sessionId, message) => {
+        const connection = sseConnections.get(sessionId);
+        if (connection) sendSSE(connection.res, 'message', message);
+      },
+      ...(stdio && { stdio: (sessionId, message) => process.stdout.write(JSON.stringify(message) + '\n') })
+    },
+    deviceMatches: matchesDeviceTarget,
+    canSee: (context, deviceId) => isDeviceAllowed(context.client, deviceId),
+    log
+  });
+
   // Create HTTP server
   const httpServer = http.createServer(async (req, res) => {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const pathname = url.pathname;
 
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS headers - any origin without auth, only configured origins with it
+    const allowOrigin = corsOrigin(req, auth);
+    if (allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+      if (allowOrigin !== '*') {
+        res.setHeader('Vary', 'Origin');
+      }
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, Authorization, X-API-Key, Last-Event-ID, ${SESSION_HEADER}`);
+    res.setHeader('Access-Control-Expose-Headers', SESSION_HEADER);
 
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
@@ -1074,6 +3443,32 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
       return;
     }
 
+    // Authenticate the caller. Health checks and the skill definition stay public,
+    // and /message is covered by the SSE session it posts to.
+    const client = auth ? authenticateRequest(req, auth) : null;
+    if (auth && !client) {
+      const wantsSSE = (req.headers.accept || '').includes('text/event-stream');
+      const isPublic = (req.method === 'GET' && (pathname === '/health' || pathname === '/generate_skill_definition'))
+        || (req.method === 'GET' && pathname === '/' && !wantsSSE)
+        || (req.method === 'POST' && pathname === '/message')
+        // The dashboard page asks for a token itself; its API is protected
+        || (req.method === 'GET' && (pathname === DASHBOARD_PATH || pathname === `${DASHBOARD_PATH}/`))
+        // Inbound hooks check their own token or signature
+        || pathname.startsWith('/hooks/');
+
+      if (!isPublic) {
+        res.writeHead(401, {
+          'Content-Type': 'application/json',
+          'WWW-Authenticate': 'Bearer realm="pagenodes-mcp"'
+        });
+        res.end(JSON.stringify({ error: 'Unauthorized: send Authorization: Bearer <token> or X-API-Key' }));
+        return;
+      }
+    }
+
+    // Unauthenticated callers only get counts from the health endpoints
+    const showDeviceList = !auth || !!client;
+
     // SSE endpoint - this is what Claude Code connects to
     if (req.method === 'GET' && (pathname === '/sse' || pathname === '/')) {
       const accept = req.headers.accept || '';
@@ -1089,17 +3484,19 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
         });
 
         // Store the connection
-        sseConnections.set(sessionId, { res, log });
+        const context = { client, transport: 'sse', sessionId };
+        sseConnections.set(sessionId, { res, log, client, context });
 
         // Send the endpoint event telling client where to POST messages
         // The endpoint data is a plain URL string, not JSON
-        res.write(`event: endpoint\ndata: http://localhost:${port}/message?sessionId=${sessionId}\n\n`);
+        res.write(`event: endpoint\ndata: ${publicUrl}/message?sessionId=${sessionId}\n\n`);
 
         log(`SSE client connected (session: ${sessionId.slice(0, 8)}...)`);
 
         // Handle client disconnect
         req.on('close', () => {
           sseConnections.delete(sessionId);
+          notificationHub.drop(context);
           log(`SSE client disconnected (session: ${sessionId.slice(0, 8)}...)`);
         });
 
@@ -1111,12 +3508,14 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
       res.writeHead(200);
       res.end(JSON.stringify({
         status: 'ok',
-        devices: devices.size,
-        deviceList: Array.from(devices.values()).map(d => ({
-          id: d.registration.id,
-          type: d.registration.type,
-          name: d.registration.name
-        }))
+        devices: connectedDevices().length,
+        ...(showDeviceList && {
+          deviceList: connectedDevices().map(([, d]) => ({
+            id: d.registration.id,
+            type: d.registration.type,
+            name: d.registration.name
+          }))
+        })
       }));
       return;
     }
@@ -1137,7 +3536,7 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
       req.on('end', async () => {
         try {
           const request = JSON.parse(body);
-          const response = await mcpHandler.handleRequest(request);
+          const response = await mcpHandler.handleRequest(request, connection.context);
 
           // Send response via SSE
           if (response) {
@@ -1155,14 +3554,20 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
       return;
     }
 
-    // Legacy MCP POST endpoint (for direct HTTP clients)
-    if (req.method === 'POST' && (pathname === '/mcp' || pathname === '/')) {
+    // Streamable HTTP endpoint (MCP 2025-03-26) - POST/GET/DELETE with Mcp-Session-Id
+    if (pathname === '/mcp') {
+      await streamableHttp.handle(req, res, { client });
+      return;
+    }
+
+    // Legacy MCP POST endpoint (for direct HTTP clients) - one JSON response, no session
+    if (req.method === 'POST' && pathname === '/') {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
         try {
           const request = JSON.parse(body);
-          const response = await mcpHandler.handleRequest(request);
+          const response = await mcpHandler.handleRequest(request, { client, transport: 'http' });
 
           res.setHeader('Content-Type', 'application/json');
           if (response) {
@@ -1186,13 +3591,16 @@ export function startServer(port = DEFAULT_PORT, options = {}) {
       res.writeHead(200);
       res.end(JSON.stringify({
         status: 'ok',
-        devices: devices.size,
-        deviceList: Array.from(devices.values()).map(d => ({
-          id: d.registration.id,
-          type: d.registration.type,
-          name: d.registration.name,
-          status: d.registration.status
-        }))
+        devices: connectedDevices().length,
+        ...(showDeviceList && {
+          deviceList: Array.from(devices.values()).map(d => ({
+            id: d.registration.id,
+            type: d.registration.type,
+            name: d.registration.name,
+            status: d.registration.status,
+            lastSeen: d.registration.lastSeen
+          }))
+        })
       }));
       return;
     }
@@ -1211,10 +3619,10 @@ Control PageNodes visual programming flows via HTTP. Create nodes, wire them tog
 
 ## Configuration
 
-Set the PageNodes MCP server URL (default: http://localhost:7778):
+Set the PageNodes MCP server URL (default: ${publicUrl}):
 
 \`\`\`bash
-export PAGENODES_URL="http://localhost:7778"
+export PAGENODES_URL="${publicUrl}"
 \`\`\`
 
 ## Available Functions
@@ -1283,6 +3691,246 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
       return;
     }
 
+    // Inbound webhooks - an HTTP request becomes an mcp-in message or a custom tool call
+    if (pathname.startsWith('/hooks/')) {
+      const hookName = decodePathSegment(pathname.slice('/hooks/'.length));
+      if (hookName === null) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Malformed hook name' }));
+        return;
+      }
+      const hook = inboundHooks.get(hookName);
+      if (!hook) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown hook' }));
+        return;
+      }
+      if (!hook.methods.includes(req.method)) {
+        res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': hook.methods.join(', ') });
+        res.end(JSON.stringify({ error: `Method ${req.method} not allowed` }));
+        return;
+      }
+
+      let rawBody = '';
+      let bodyBytes = 0;
+      req.on('data', chunk => {
+        bodyBytes += chunk.length;
+        if (bodyBytes > MAX_HOOK_BODY_BYTES) {
+          // Answer once and ignore the rest of the body
+          if (!res.headersSent) {
+            res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+            res.end(JSON.stringify({ error: `Body larger than ${MAX_HOOK_BODY_BYTES} bytes` }));
+          }
+          return;
+        }
+        rawBody += chunk;
+      });
+      req.on('end', async () => {
+        if (bodyBytes > MAX_HOOK_BODY_BYTES) return;
+        const reply = (status, body, headers = {}) => {
+          const text = typeof body === 'string' ? body : JSON.stringify(body);
+          res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers });
+          res.end(text);
+        };
+
+        const request = {
+          method: req.method,
+          path: pathname,
+          headers: req.headers,
+          query: Object.fromEntries(url.searchParams),
+          rawBody
+        };
+        const refused = verifyHookRequest(hook, request);
+        if (refused) {
+          log(`  → Hook ${hook.name} refused: ${refused}`);
+          reply(401, { error: refused });
+          return;
+        }
+        try {
+          request.body = parseHookBody(rawBody, req.headers['content-type']);
+        } catch (err) {
+          reply(400, { error: `Could not parse body: ${err.message}` });
+          return;
+        }
+
+        const result = await mcpHandler.runInboundHook(hook, request);
+        reply(result.status, result.body, result.headers);
+      });
+      return;
+    }
+
+    // Prometheus metrics (see lib/metrics.js)
+    if (req.method === 'GET' && pathname === '/metrics') {
+      const text = await mcpHandler.metricsText(client, { sse: sseConnections.size, 'streamable-http': streamableHttp.sessions.size });
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(text);
+      return;
+    }
+
+    // Web dashboard (see lib/dashboard.js)
+    if (req.method === 'GET' && (pathname === DASHBOARD_PATH || pathname === `${DASHBOARD_PATH}/`)) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+      res.end(dashboardPage());
+      return;
+    }
+
+    if (pathname.startsWith(`${DASHBOARD_PATH}/api/`)) {
+      const route = pathname.slice(`${DASHBOARD_PATH}/api`.length);
+      const deviceMatch = route.match(/^\/devices\/([^/]+)$/);
+      const actionMatch = route.match(/^\/devices\/([^/]+)\/(inject|deploy)$/);
+      const deviceId = decodePathSegment((deviceMatch || actionMatch)?.[1] ?? '');
+
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        const reply = ({ status, body }) => {
+          res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+          res.end(JSON.stringify(body ?? null));
+        };
+
+        if (deviceId === null) {
+          reply(restError(400, 'INVALID_ARGUMENTS', 'Malformed percent-encoding in the request path'));
+        } else if (req.method === 'GET' && route === '/state') {
+          reply({
+            status: 200,
+            body: mcpHandler.dashboardState(client, { sse: sseConnections.size, streamableHttp: streamableHttp.sessions.size })
+          });
+        } else if (req.method === 'GET' && deviceMatch) {
+          const feeds = url.searchParams.get('feeds')?.split(',').filter(Boolean);
+          reply(await mcpHandler.dashboardDevice(client, deviceId, feeds?.length ? feeds : undefined));
+        } else if (req.method === 'POST' && actionMatch) {
+          // Operator actions go through the tools, so they're authorized and audited like any call
+          let args;
+          try {
+            args = body ? JSON.parse(body) : {};
+          } catch (err) {
+            reply(restError(400, 'INVALID_ARGUMENTS', `Request body is not valid JSON: ${err.message}`));
+            return;
+          }
+          const context = { client, transport: 'ui' };
+          reply(actionMatch[2] === 'inject'
+            ? await mcpHandler.callToolRest('inject_node', { deviceId, nodeId: args?.nodeId, ...(args?.payload !== undefined && { payload: args.payload }) }, context)
+            : await mcpHandler.callToolRest('deploy', { deviceId }, context));
+        } else {
+          reply(restError(404, 'NOT_FOUND', `No dashboard route ${req.method} ${pathname}`));
+        }
+      });
+      return;
+    }
+
+    // OpenAPI document for the typed REST API below
+    if (req.method === 'GET' && pathname === '/openapi.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(mcpHandler.openApiDocument(client, options.publicUrl ? publicUrl : `http://${req.headers.host}`), null, 2));
+      return;
+    }
+
+    // Typed REST API - tool results as plain JSON with typed error statuses (see lib/rest-api.js)
+    if (req.method === 'POST' && pathname.startsWith(`${API_PREFIX}/`)) {
+      const route = pathname.slice(API_PREFIX.length);
+      const toolMatch = route.match(/^\/tools\/([^/]+)$/);
+      const customMatch = route.match(/^\/devices\/([^/]+)\/tools\/([^/]+)$/);
+      const names = (toolMatch || customMatch)?.slice(1).map(decodePathSegment) || [];
+      if (names.includes(null)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(restError(400, 'INVALID_ARGUMENTS', 'Malformed percent-encoding in the request path').body));
+        return;
+      }
+
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        const reply = ({ status, body }) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(body ?? null));
+        };
+
+        let args;
+        try {
+          args = body ? JSON.parse(body) : {};
+        } catch (err) {
+          reply(restError(400, 'INVALID_ARGUMENTS', `Request body is not valid JSON: ${err.message}`));
+          return;
+        }
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+          reply(restError(400, 'INVALID_ARGUMENTS', 'Request body must be a JSON object of tool arguments'));
+          return;
+        }
+
+        const context = { client, transport: 'http' };
+        if (toolMatch) {
+          reply(await mcpHandler.callToolRest(names[0], args, context));
+        } else if (customMatch) {
+          reply(await mcpHandler.callCustomToolRest(names[0], names[1], args, context));
+        } else {
+          reply(restError(404, 'NOT_FOUND', `No API route ${pathname}. See /openapi.json.`));
+        }
+      });
+      return;
+    }
+
+    // Streaming variant of wait_for_mcp_messages - Server-Sent Events, one event per message.
+    // GET takes query parameters (for EventSource); POST takes a JSON body with Accept: text/event-stream.
+    const wantsStream = req.method === 'GET' || (req.headers.accept || '').includes('text/event-stream');
+    if (pathname === '/func/wait_for_mcp_messages' && wantsStream) {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        let args;
+        try {
+          args = req.method === 'GET' ? Object.fromEntries(url.searchParams) : (body ? JSON.parse(body) : {});
+          if (typeof args.deviceIds === 'string') {
+            args.deviceIds = args.deviceIds.split(',').filter(Boolean);
+          }
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+
+        const denied = mcpHandler.authorizeToolCall(client, 'wait_for_mcp_messages', args);
+        if (denied) {
+          res.writeHead(403, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: denied }));
+          return;
+        }
+        // Unknown or offline devices are reported before the stream starts
+        try {
+          mcpHandler.messageSources(args, { client });
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        // A null event is a keepalive comment
+        const send = (event, data) => {
+          if (controller.signal.aborted) return;
+          res.write(event ? `event: ${event}\ndata: ${JSON.stringify(data)}\n\n` : ': keepalive\n\n');
+        };
+
+        // Through handleToolCall, so the stream is audited and counted like any other call
+        const result = await mcpHandler.handleToolCall(
+          { name: 'wait_for_mcp_messages', arguments: args },
+          { client, transport: 'http', stream: { send, signal: controller.signal } }
+        );
+        if (result?.isError) {
+          send('error', { error: result.content[0].text.replace(/^Error: /, '') });
+        }
+        res.end();
+      });
+      return;
+    }
+
     // Function execution endpoint - call any MCP tool via HTTP
     if (req.method === 'POST' && pathname.startsWith('/func/')) {
       const toolName = pathname.slice('/func/'.length);
@@ -1292,7 +3940,7 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
       req.on('end', async () => {
         try {
           const args = body ? JSON.parse(body) : {};
-          const result = await mcpHandler.handleToolCall({ name: toolName, arguments: args });
+          const result = await mcpHandler.handleToolCall({ name: toolName, arguments: args }, { client, transport: 'http' });
 
           res.setHeader('Content-Type', 'application/json');
           res.writeHead(result.isError ? 400 : 200);
@@ -1325,11 +3973,55 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
       transport: rawr.transports.websocket(ws)
     });
 
+    // Devices push runtime events as rawr notifications: peer.notifiers.deviceEvent({ type, ... })
+    peer.notifications.ondeviceEvent((event) => {
+      if (!deviceId || devices.get(deviceId)?.peer !== peer || !event?.type) return;
+      const device = devices.get(deviceId);
+      notificationHub.publish({ ...event, deviceId });
+      if (event.type === 'deploy') {
+        notificationHub.resourceUpdated(deviceResourceUri(deviceId, 'flows'));
+        // A deploy through the server was already recorded; this catches ones from the editor
+        snapshotRunningFlows(device, 'deploy on device', log);
+      }
+      if (event.type === 'debug') {
+        notificationHub.resourceUpdated(deviceResourceUri(deviceId, 'debug'));
+      }
+      if (event.type === 'log') {
+        notificationHub.resourceUpdated(deviceResourceUri(deviceId, 'logs'));
+      }
+      if (event.type === 'mcp-message') {
+        webhookGateway?.notify(deviceId);
+        bridgeManager.notify(deviceId);
+        messageWaiter.notify(deviceId);
+      }
+      if (event.type === 'deploy' || event.type === 'tools-changed') {
+        refreshCustomTools(device).then(changed => {
+          if (changed) notificationHub.toolsListChanged();
+        });
+      }
+    });
+
+    // With device auth configured, a registering device needs the shared secret, a pairing code,
+    // or the device token from an earlier registration (identity.token is null when that was valid)
+    function requireDeviceCredentials(info, identity) {
+      if (!auth?.devices.required || identity.token === null) return;
+      if (!checkDeviceCredentials(info, auth)) {
+        log(`\n✗ Device rejected: ${info?.name || 'unnamed device'} sent invalid credentials`);
+        setTimeout(() => ws.close(4401, 'Unauthorized'), 100);
+        throw new Error('Device authentication failed: send secret or pairingCode, or the deviceToken from a previous registration');
+      }
+    }
+
     // Handle device registration
     // Any Ainura-compatible runtime sends this on connect with its identity and node list
     peer.addHandler('registerDevice', async (info) => {
-      // Generate ID if not provided
-      deviceId = info?.id || generateDeviceId();
+      const identity = resolveDeviceIdentity(info);
+      requireDeviceCredentials(info, identity);
+      const now = new Date().toISOString();
+      deviceId = identity.id;
+      if (identity.requestedId) {
+        log(`  → Device id ${identity.requestedId} belongs to another device and no valid deviceToken was sent - registering as ${deviceId}`);
+      }
 
       const registration = {
         id: deviceId,
@@ -1340,22 +4032,26 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
         // Just the node names - details come from get_node_details
         nodes: info?.nodes || info?.capabilities?.nodes || [],
         status: 'online',
-        connectedAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
+        connectedAt: now,
+        lastSeen: now,
         meta: info?.meta || {}
       };
 
       // Store the device (initially without nodeCatalog)
-      devices.set(deviceId, { peer, registration, ws, nodeCatalog: [] });
+      const entry = { peer, registration, ws, nodeCatalog: [], tokenHash: identity.tokenHash };
+      const previous = attachDevice(entry, log);
+      trafficRecorder?.register(deviceId, info);
 
-      log(`\n✓ Device registered: ${registration.name} (${registration.type}, ${registration.nodes.length} nodes)`);
+      log(`\n✓ Device ${previous ? 'reconnected' : 'registered'}: ${registration.name} (${registration.type}, ${registration.nodes.length} nodes)`);
       printStatus(log);
+      notificationHub.publish({ type: 'device-connected', deviceId, name: registration.name, deviceType: registration.type });
+      notificationHub.resourcesListChanged();
 
       // Fetch full node catalog asynchronously (with descriptions) for aggregation
       try {
-        const state = await peer.methods.getState();
+        const state = await rpc(entry, 'getState');
         if (state?.nodeCatalog) {
-          devices.get(deviceId).nodeCatalog = state.nodeCatalog;
+          entry.nodeCatalog = state.nodeCatalog;
           rebuildAggregatedCatalog();
           log(`  → Node catalog loaded: ${state.nodeCatalog.length} node types`);
         }
@@ -1363,12 +4059,25 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
         log(`  → Could not fetch node catalog: ${err.message}`);
       }
 
-      return { success: true, deviceId };
+      await snapshotRunningFlows(entry, 'connected', log);
+
+      // Its custom tools show up in tools/list
+      await refreshCustomTools(entry);
+      if (entry.customTools.length) {
+        log(`  → Custom tools: ${entry.customTools.map(t => t.name).join(', ')}`);
+        notificationHub.toolsListChanged();
+      }
+
+      // The token is only sent when newly issued - the device keeps it to reclaim this id later
+      return { success: true, deviceId, ...(identity.token && { deviceToken: identity.token }) };
     });
 
     // Legacy registration (for backwards compatibility with existing PageNodes)
     peer.addHandler('registerClient', (info) => {
-      deviceId = generateDeviceId();
+      const identity = resolveDeviceIdentity({ deviceToken: info?.deviceToken });
+      requireDeviceCredentials(info, identity);
+      const now = new Date().toISOString();
+      deviceId = identity.id;
 
       const registration = {
         id: deviceId,
@@ -1378,26 +4087,44 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
         url: info?.url || null,
         nodes: [],  // Legacy clients don't send node list upfront
         status: 'online',
-        connectedAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
+        connectedAt: now,
+        lastSeen: now,
         meta: { legacy: true }
       };
 
-      devices.set(deviceId, { peer, registration, ws, nodeCatalog: [] });
+      const entry = { peer, registration, ws, nodeCatalog: [], tokenHash: identity.tokenHash };
+      attachDevice(entry, log);
+      trafficRecorder?.register(deviceId, { ...info, type: 'browser' });
+      refreshCustomTools(entry).then(() => {
+        if (entry.customTools.length) notificationHub.toolsListChanged();
+      });
 
       log(`\n✓ Device connected (legacy): ${registration.name}`);
       printStatus(log);
+      notificationHub.publish({ type: 'device-connected', deviceId, name: registration.name, deviceType: registration.type });
+      notificationHub.resourcesListChanged();
 
-      return { success: true, deviceId };
+      return { success: true, deviceId, ...(identity.token && { deviceToken: identity.token }) };
     });
 
+    // Keep the device in the registry, marked offline - unless a newer connection took over its id
     ws.on('close', () => {
-      if (deviceId && devices.has(deviceId)) {
-        const device = devices.get(deviceId);
+      const device = deviceId && devices.get(deviceId);
+      if (device && device.ws === ws) {
         log(`\n✗ Device disconnected: ${device.registration.name}`);
-        devices.delete(deviceId);
+        device.peer = null;
+        device.ws = null;
+        device.registration.status = 'offline';
+        device.registration.lastSeen = new Date().toISOString();
+        persistDevices(log);
         rebuildAggregatedCatalog();  // Update aggregate after device leaves
+        if (device.customTools?.length) {
+          device.customTools = [];
+          notificationHub.toolsListChanged();
+        }
         printStatus(log);
+        notificationHub.publish({ type: 'device-disconnected', deviceId, name: device.registration.name });
+        notificationHub.resourcesListChanged();
       }
     });
 
@@ -1406,11 +4133,19 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
     });
   });
 
+  // Ping connected devices to keep lastSeen and status current
+  const stopHeartbeat = startHeartbeat({ devices, interval: heartbeatInterval, log });
+  httpServer.on('close', stopHeartbeat);
+  httpServer.on('close', bridgeManager.stop);
+  if (webhookGateway) {
+    httpServer.on('close', webhookGateway.stop);
+  }
+
   // Handle server errors before listening
   httpServer.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-      log(`  PageNodes MCP Server v0.1.0`);
+      log(`  PageNodes MCP Server v${packageVersion}`);
       log(`  Port ${port} already in use`);
       log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
       log(`Another server is running on this port.`);
@@ -1420,21 +4155,68 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
     }
   });
 
-  // Start listening
-  httpServer.listen(port, () => {
+  // Start listening (on every interface unless a host is given)
+  httpServer.listen(port, options.host, () => {
     log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-    log(`  Ainura MCP Server v0.5.0`);
+    log(`  Ainura MCP Server v${packageVersion}`);
     log(`  Multi-device PageNodes orchestration`);
-    log(`  HTTP + WebSocket on port ${port}`);
+    log(`  HTTP + WebSocket on ${options.host ? `${options.host}:` : 'port '}${port}`);
     log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-    log(`SSE endpoint: http://localhost:${port}/sse`);
-    log(`WebSocket:    ws://localhost:${port}/`);
+    log(`MCP endpoint: ${publicUrl}/mcp`);
+    log(`SSE endpoint: ${publicUrl}/sse`);
+    log(`WebSocket:    ${publicUrl.replace(/^http/, 'ws')}/`);
+    log(`Dashboard:    ${publicUrl}${DASHBOARD_PATH}`);
+    if (auth) {
+      log(`Auth:         ${auth.clients.length} client(s)${auth.devices.required ? ', device credentials required' : ''}`);
+    } else {
+      log(`Auth:         \x1b[33mdisabled\x1b[0m - anyone who can reach this port can control devices`);
+    }
+    webhookGateway?.start();
+    bridgeManager.start();
+    if (inboundHooks.size) {
+      log(`Hooks:        ${Array.from(inboundHooks.keys()).map(name => `/hooks/${name}`).join(', ')}`);
+      for (const hook of inboundHooks.values()) {
+        if (isUnprotected(hook)) {
+          log(`              \x1b[33m/hooks/${hook.name} has no token or signature\x1b[0m - anyone who can reach this port can trigger it`);
+        }
+      }
+    }
     printStatus(log);
     log(`\nOpen PageNodes instances and enable MCP in Settings to connect devices.\n`);
+
+    // An in-process simulated device - the flow model, or a replay of a traffic recording
+    // Its device token is kept in the data dir so it reclaims the same id after a restart.
+    if (options.simulate) {
+      const recording = typeof options.simulate === 'string' ? readRecording(options.simulate) : null;
+      const tokenFile = path.join(dataDir, 'simulated-devices.json');
+      const tokenKey = recording ? path.resolve(options.simulate) : 'simulated';
+      let tokens = {};
+      try {
+        tokens = JSON.parse(fs.readFileSync(tokenFile, 'utf-8'));
+      } catch {
+        // No simulated device has registered yet
+      }
+      startSimulatedDevice({
+        url: `ws://${localHost(options.host)}:${port}/`,
+        info: {
+          ...(!recording && { id: 'simulated' }),
+          ...(tokens[tokenKey] && { deviceToken: tokens[tokenKey] }),
+          ...(auth?.devices.secret && { secret: auth.devices.secret })
+        },
+        recording,
+        log
+      }).then(({ registration }) => {
+        if (registration.deviceToken) {
+          fs.mkdirSync(dataDir, { recursive: true });
+          fs.writeFileSync(tokenFile, JSON.stringify({ ...tokens, [tokenKey]: registration.deviceToken }, null, 2));
+        }
+      }).catch(err => log(`Could not start simulated device: ${err.message}`));
+    }
   });
 
   // Handle stdio MCP if enabled (for backwards compatibility)
   if (stdio) {
+    const stdioContext = { transport: 'stdio', sessionId: 'stdio' };
     const rl = readline.createInterface({
       input: process.stdin,
       terminal: false
@@ -1444,7 +4226,7 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
       if (line.trim()) {
         try {
           const request = JSON.parse(line);
-          const response = await mcpHandler.handleRequest(request);
+          const response = await mcpHandler.handleRequest(request, stdioContext);
           if (response) {
             process.stdout.write(JSON.stringify(response) + '\n');
           }
@@ -1460,5 +4242,5 @@ curl -X POST $PAGENODES_URL/func/${tool.name} -H "Content-Type: application/json
     });
   }
 
-  return { httpServer, wss, mcpHandler };
+  return { httpServer, wss, mcpHandler, streamableHttp };
 }
@@ -0,0 +1,45 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createAuditLog, scanAuditLog, entryDeviceIds, matchesAuditFilters } from '../lib/audit-log.js';
+import { tempDir } from './helpers.js';
+
+const dir = tempDir();
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function call(i, extra = {}) {
+  return { timestamp: new Date(1700000000000 + i).toISOString(), tool: 'get_flows', args: { deviceId: `d${i}` }, deviceId: `d${i}`, isError: false, result: 'x'.repeat(100), ...extra };
+}
+
+test('the log rotates by size and is read back across rotated files', async () => {
+  const file = path.join(dir, 'audit.jsonl');
+  const auditLog = createAuditLog({ file, maxBytes: 1000, rotations: 2, log: () => {} });
+  for (let i = 0; i < 20; i++) auditLog.record(call(i));
+
+  assert.ok(fs.statSync(file).size <= 1000);
+  assert.ok(fs.existsSync(`${file}.1`) && fs.existsSync(`${file}.2`));
+  assert.ok(!fs.existsSync(`${file}.3`));
+
+  const { total, entries } = await scanAuditLog(file, { limit: 3 });
+  assert.deepEqual(entries.map(e => e.deviceId), ['d19', 'd18', 'd17']);
+  assert.ok(total < 20 && total > 3);
+
+  const matched = await scanAuditLog(file, { match: e => e.deviceId === 'd18' });
+  assert.equal(matched.total, 1);
+});
+
+test('a missing log reads as empty', async () => {
+  assert.deepEqual(await scanAuditLog(path.join(dir, 'none.jsonl')), { total: 0, entries: [] });
+});
+
+test('device ids are found anywhere in the arguments', () => {
+  const bridge = { tool: 'create_bridge', args: { sourceDeviceId: 'a', targetDeviceId: 'b' }, deviceId: null };
+  assert.deepEqual(entryDeviceIds(bridge), ['a', 'b']);
+  assert.deepEqual(entryDeviceIds({ args: { devices: ['a', 'group:g'], pin: { x: 'c' }, deviceIds: ['d'] } }), ['a', 'group:g', 'c', 'd']);
+  assert.ok(matchesAuditFilters(bridge, { deviceId: 'b' }));
+  assert.ok(!matchesAuditFilters(bridge, { deviceId: 'c' }));
+});
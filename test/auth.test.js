@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, tempDir, callTool } from './helpers.js';
+
+let server;
+let configDir;
+
+const ADMIN = { Authorization: 'Bearer admin-token' };
+const READER = { Authorization: 'Bearer reader-token' };
+const KITCHEN = { Authorization: 'Bearer kitchen-token' };
+
+before(async () => {
+  configDir = tempDir();
+  const authFile = path.join(configDir, 'auth.json');
+  fs.writeFileSync(authFile, JSON.stringify({
+    clients: [
+      { name: 'admin', token: 'admin-token' },
+      { name: 'reader', token: 'reader-token', tools: ['list_devices', 'get_flows'], devices: ['kitchen-pi'] },
+      { name: 'kitchen', token: 'kitchen-token', devices: ['kitchen-pi'] }
+    ]
+  }));
+  server = await startTestServer(['--auth-config', authFile]);
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+async function rpc(headers, method, params = {}) {
+  const res = await fetch(`${server.url}/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  return res.json();
+}
+
+test('tools/list only lists the tools a client may call', async () => {
+  const reader = await rpc(READER, 'tools/list');
+  assert.deepEqual(reader.result.tools.map(t => t.name).sort(), ['get_flows', 'list_devices']);
+
+  const admin = await rpc(ADMIN, 'tools/list');
+  assert.ok(admin.result.tools.length > 20);
+});
+
+test('requests without a token are refused', async () => {
+  const { status } = await callTool(server, 'list_devices');
+  assert.equal(status, 401);
+});
+
+test('restricted clients can only edit groups of devices they may access', async () => {
+  const created = await callTool(server, 'create_group', { name: 'kitchen', devices: ['kitchen-pi'] }, KITCHEN);
+  assert.equal(created.status, 200);
+  assert.equal((await callTool(server, 'add_to_group', { name: 'kitchen', devices: ['garage-door'] }, KITCHEN)).status, 403);
+  assert.equal((await callTool(server, 'create_group', { name: 'garage', devices: ['garage-door'] }, KITCHEN)).status, 403);
+
+  assert.equal((await callTool(server, 'add_to_group', { name: 'kitchen', devices: ['garage-door'] }, ADMIN)).status, 200);
+  assert.equal((await callTool(server, 'remove_from_group', { name: 'kitchen', devices: ['kitchen-pi'] }, KITCHEN)).status, 403);
+  assert.equal((await callTool(server, 'delete_group', { name: 'kitchen' }, KITCHEN)).status, 403);
+  assert.equal((await callTool(server, 'delete_group', { name: 'kitchen' }, ADMIN)).status, 200);
+});
+
+test('audit entries are only shown to clients that may access every device they refer to', async () => {
+  const kitchen = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'kitchen-pi' } });
+  const garage = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'garage-door' } });
+  await callTool(server, 'get_flows', { deviceId: 'kitchen-pi' }, KITCHEN);
+  await callTool(server, 'create_group', { name: 'mixed', devices: ['kitchen-pi', 'garage-door'] }, ADMIN);
+  await callTool(server, 'get_flows', { deviceId: 'group:mixed' }, ADMIN);
+
+  const { body } = await callTool(server, 'get_audit_log', { limit: 100 }, KITCHEN);
+  const seen = body.entries.map(e => e.args.name || e.args.deviceId);
+  assert.ok(seen.includes('kitchen-pi'));
+  assert.ok(!seen.includes('mixed'));
+  assert.ok(!seen.includes('group:mixed'));
+  kitchen.close();
+  garage.close();
+});
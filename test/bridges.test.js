@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { createBridgeManager, isLoop } from '../lib/bridges.js';
+import { createMessageWaiter } from '../lib/message-waiter.js';
+import { tempDir } from './helpers.js';
+
+const dir = tempDir();
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('isLoop catches bridges that feed their own source topic glob', () => {
+  const loop = (sourceTopic, target) => isLoop({ source: { deviceId: 'pi', topic: sourceTopic }, target: { deviceId: 'pi', ...target } });
+
+  assert.ok(loop('sensor/*', {}));
+  assert.ok(loop('sensor/*', { topic: 'sensor/temp' }));
+  assert.ok(loop('*', { topic: 'anything' }));
+  assert.ok(loop('sensor/?', { topic: 'sensor/1' }));
+
+  assert.ok(!loop('sensor/*', { topic: 'alerts/temp' }));
+  assert.ok(!loop('sensor/*', { nodeId: 'n1' }));
+  assert.ok(!isLoop({ source: { deviceId: 'pi', topic: '*' }, target: { deviceId: 'esp32' } }));
+});
+
+function manager(options = {}) {
+  const queues = new Map();
+  const delivered = [];
+  const online = new Set(['pi', 'esp32']);
+  // Device queues behind getMessages(limit, clear), as the server wires them
+  const waiter = createMessageWaiter({
+    fetch: async (deviceId, limit, clear) => {
+      const queue = queues.get(deviceId) || [];
+      return { messages: clear ? queue.splice(0, limit) : queue.slice(0, limit), remaining: 0 };
+    },
+    log: () => {}
+  });
+  const bridges = createBridgeManager({
+    file: path.join(dir, `bridges-${Math.random()}.json`),
+    take: (deviceId, filter) => waiter.take(deviceId, { filter }),
+    deliver: async (bridge, message) => delivered.push({ to: bridge.target.deviceId, ...message }),
+    isConnected: (deviceId) => online.has(deviceId),
+    log: () => {},
+    ...options
+  });
+  return { bridges, queues, delivered, online, waiter };
+}
+
+test('self-feeding bridges are refused', () => {
+  const { bridges } = manager();
+  assert.throws(() => bridges.create({ source: { deviceId: 'pi', topic: 'sensor/*' }, target: { deviceId: 'pi', topic: 'sensor/x' } }), /back into its own source topic/);
+});
+
+test('messages are relayed, and wait while the target is offline', async () => {
+  const { bridges, queues, delivered, online, waiter } = manager({ pollInterval: 10 });
+  const bridge = bridges.create({ source: { deviceId: 'pi', topic: 'sensor/*' }, target: { deviceId: 'esp32' }, maxPending: 2 });
+  // create() drains the source right away
+  await delay(0);
+
+  online.delete('esp32');
+  queues.set('pi', [1, 2, 3].map(n => ({ topic: 'sensor/t', payload: n })).concat({ topic: 'chat', payload: 'hi' }));
+  await bridges.notify('pi');
+  assert.equal(bridges.get(bridge.id).pending, 2);
+  assert.equal(bridges.get(bridge.id).metrics.dropped, 1);
+  assert.deepEqual((await waiter.take('pi')).messages.map(m => m.topic), ['chat']);
+
+  // The poll relays what is pending once the target is back
+  online.add('esp32');
+  bridges.start();
+  await delay(50);
+  bridges.stop();
+  assert.deepEqual(delivered.map(m => m.payload), [2, 3]);
+  assert.equal(bridges.get(bridge.id).metrics.relayed, 2);
+});
+
+test('a message no bridge wants does not hold up the ones behind it', async () => {
+  const { bridges, queues, delivered, waiter } = manager();
+  bridges.create({ source: { deviceId: 'pi', topic: 'sensor/*' }, target: { deviceId: 'esp32' } });
+  await delay(0);
+
+  queues.set('pi', [{ topic: 'voice', payload: 'hello' }, ...[1, 2, 3].map(n => ({ topic: 'sensor/t', payload: n }))]);
+  await bridges.notify('pi');
+  for (let i = 0; i < 50 && delivered.length < 3; i++) await delay(1);
+  assert.deepEqual(delivered.map(m => m.payload), [1, 2, 3]);
+
+  // The voice message is kept for get_mcp_messages
+  assert.deepEqual((await waiter.take('pi')).messages.map(m => m.payload), ['hello']);
+});
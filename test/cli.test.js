@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool, runCli } from './helpers.js';
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'cli-pi' } });
+  await callTool(server, 'add_nodes', {
+    deviceId: 'cli-pi',
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'in', type: 'tool-in', name: 'echo', x: 100, y: 100, wires: [['out']] },
+      { tempId: 'out', type: 'tool-out', x: 300, y: 100 }
+    ]
+  });
+  await callTool(server, 'deploy', { deviceId: 'cli-pi' });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+test('devices filters by the statuses devices have and rejects others', async () => {
+  const online = await runCli(['devices', '--status', 'online', '--json', '--url', server.url]);
+  assert.equal(online.code, 0, online.stderr);
+  assert.deepEqual(JSON.parse(online.stdout).devices.map(d => d.id), ['cli-pi']);
+
+  const offline = await runCli(['devices', '--status', 'offline', '--json', '--url', server.url]);
+  assert.deepEqual(JSON.parse(offline.stdout).devices, []);
+
+  const bogus = await runCli(['devices', '--status', 'connected', '--url', server.url]);
+  assert.equal(bogus.code, 1);
+  assert.match(bogus.stderr, /online, offline, error/);
+
+  const { status, body } = await callTool(server, 'list_devices', { status: 'connected' });
+  assert.equal(status, 400);
+  assert.match(body.error.message, /Unknown status "connected"/);
+});
+
+test('call runs a custom tool by its namespaced name', async () => {
+  const result = await runCli(['call', 'cli_pi__echo', '--args', '{"payload":"hi"}', '--url', server.url]);
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.stdout.trim(), 'hi');
+
+  const res = await fetch(`${server.url}/api/tools/cli_pi__echo`, { method: 'POST', body: JSON.stringify({ payload: 'hi' }) });
+  assert.equal(res.status, 200);
+  assert.equal(await res.json(), 'hi');
+
+  const unknown = await runCli(['call', 'cli_pi__nope', '--url', server.url]);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /404/);
+});
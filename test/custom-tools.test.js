@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { namespacedToolName, toMcpTool, toCustomToolMessage } from '../lib/custom-tools.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool, openMcpSession } from './helpers.js';
+
+test('custom tools are namespaced by a sanitized device id', () => {
+  assert.equal(namespacedToolName('kitchen-pi', 'get_weather'), 'kitchen_pi__get_weather');
+  assert.equal(namespacedToolName('pi.local', 'set  lights'), 'pi_local__set_lights');
+  // A __ in either part can't be mistaken for the separator
+  assert.equal(namespacedToolName('a__b', 'c__d'), 'a_b__c_d');
+});
+
+test('a custom tool takes a message unless it declares a schema', () => {
+  const plain = toMcpTool('kitchen-pi', 'Kitchen', { name: 'get_weather' });
+  assert.equal(plain.description, 'Custom tool "get_weather" (flow-backed tool on device "Kitchen")');
+  assert.ok(plain.inputSchema.properties.payload);
+  assert.deepEqual(toCustomToolMessage({ name: 'get_weather' }, { payload: 1 }), { payload: 1 });
+
+  const schema = { type: 'object', properties: { city: { type: 'string' } } };
+  assert.equal(toMcpTool('kitchen-pi', 'Kitchen', { name: 'get_weather', inputSchema: schema }).inputSchema, schema);
+  assert.deepEqual(toCustomToolMessage({ name: 'get_weather', inputSchema: schema }, { city: 'Oslo' }), { payload: { city: 'Oslo' } });
+});
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('deployed tool-in nodes are listed and callable, and sessions hear when the list changes', async () => {
+  const session = await openMcpSession(server);
+  const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'tool-pi' } });
+  try {
+    await callTool(server, 'add_nodes', {
+      deviceId: 'tool-pi',
+      flowId: 'flow1',
+      nodes: [
+        { tempId: 'in', type: 'tool-in', name: 'echo', description: 'Echo the payload', x: 100, y: 100, wires: [['out']] },
+        { tempId: 'out', type: 'tool-out', x: 300, y: 100 }
+      ]
+    });
+    await callTool(server, 'deploy', { deviceId: 'tool-pi' });
+    await session.next(m => m.method === 'notifications/tools/list_changed');
+
+    const { tools } = await session.request('tools/list');
+    const echo = tools.find(t => t.name === 'tool_pi__echo');
+    assert.match(echo.description, /^Echo the payload/);
+
+    const result = await session.request('tools/call', { name: 'tool_pi__echo', arguments: { payload: 'hi' } });
+    assert.deepEqual(JSON.parse(result.content[0].text), { deviceId: 'tool-pi', result: 'hi' });
+
+    device.close();
+    await session.next(m => m.method === 'notifications/tools/list_changed');
+    assert.ok(!(await session.request('tools/list')).tools.some(t => t.name === 'tool_pi__echo'));
+  } finally {
+    device.close();
+    session.close();
+  }
+});
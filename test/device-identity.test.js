@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { loadRegistry, saveRegistry, hashDeviceToken } from '../lib/device-registry.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, tempDir, callTool } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a device token reclaims its id, and the id cannot be taken without it', async () => {
+  const first = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'kitchen-pi' } });
+  assert.equal(first.deviceId, 'kitchen-pi');
+  const token = first.registration.deviceToken;
+  assert.ok(token);
+
+  const intruder = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'kitchen-pi' } });
+  assert.notEqual(intruder.deviceId, 'kitchen-pi');
+  intruder.close();
+
+  const wrongToken = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'kitchen-pi', deviceToken: 'not-the-token' } });
+  assert.notEqual(wrongToken.deviceId, 'kitchen-pi');
+  wrongToken.close();
+
+  first.close();
+  const again = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'kitchen-pi', deviceToken: token } });
+  assert.equal(again.deviceId, 'kitchen-pi');
+  assert.equal(again.registration.deviceToken, undefined);
+  again.close();
+});
+
+test('the registry keeps token hashes and reloads every device as offline', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'devices', 'registry.json');
+    const tokenHash = hashDeviceToken('secret-token');
+    const devices = new Map([['kitchen-pi', { tokenHash, registration: { id: 'kitchen-pi', name: 'Kitchen', status: 'online' } }]]);
+    saveRegistry(file, devices, () => {});
+
+    assert.ok(!fs.readFileSync(file, 'utf-8').includes('secret-token'));
+    assert.deepEqual(loadRegistry(file, () => {}), [{ tokenHash, registration: { id: 'kitchen-pi', name: 'Kitchen', status: 'offline' } }]);
+
+    const logged = [];
+    fs.writeFileSync(file, '{');
+    assert.deepEqual(loadRegistry(file, line => logged.push(line)), []);
+    assert.match(logged[0], /Could not read device registry/);
+    assert.deepEqual(loadRegistry(path.join(dir, 'none.json'), () => {}), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('disconnected devices stay listed as offline', async () => {
+  const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'porch-pi' } });
+  device.close();
+  let porch;
+  for (let i = 0; i < 50 && porch?.status !== 'offline'; i++) {
+    await delay(20);
+    porch = (await callTool(server, 'list_devices')).body.devices.find(d => d.id === 'porch-pi');
+  }
+  assert.equal(porch.status, 'offline');
+  assert.ok(porch.lastSeen);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { setTimeout as delay } from 'timers/promises';
+import { callDevice, startHeartbeat, DeviceTimeoutError } from '../lib/device-rpc.js';
+
+// A connected device whose rawr methods are the given functions
+function fakeDevice(methods, status = 'online') {
+  return { registration: { id: 'pi', name: 'Pi', status, lastSeen: null }, peer: { methods } };
+}
+
+test('a reply marks the device seen and brings it back from error', async () => {
+  const device = fakeDevice({ getFlows: async () => ({ flows: [] }) }, 'error');
+  const calls = [];
+  assert.deepEqual(await callDevice(device, 'getFlows', [], 100, { record: call => calls.push(call) }), { flows: [] });
+  assert.equal(device.registration.status, 'online');
+  assert.ok(device.registration.lastSeen);
+  assert.equal(calls[0].method, 'getFlows');
+  assert.deepEqual(calls[0].result, { flows: [] });
+});
+
+test('a device that does not answer in time is flagged and the call rejects', async () => {
+  const device = fakeDevice({ getFlows: () => new Promise(() => {}) });
+  const calls = [];
+  const err = await callDevice(device, 'getFlows', [], 20, { record: call => calls.push(call) }).catch(e => e);
+  assert.ok(err instanceof DeviceTimeoutError);
+  assert.deepEqual(err.toJSON(), {
+    code: 'DEVICE_TIMEOUT', message: 'Device "pi" did not respond to getFlows within 20ms', deviceId: 'pi', method: 'getFlows', timeoutMs: 20
+  });
+  assert.equal(device.registration.status, 'error');
+  assert.equal(calls.length, 1);
+
+  const quiet = fakeDevice({ getFlows: () => new Promise(() => {}) });
+  await callDevice(quiet, 'getFlows', [], 20, { markError: false }).catch(() => {});
+  assert.equal(quiet.registration.status, 'online');
+});
+
+test('an error reply still counts as a sign of life', async () => {
+  const device = fakeDevice({ deploy: async () => { throw { message: 'bad flow' }; } }, 'error');
+  await assert.rejects(callDevice(device, 'deploy', [], 100), /bad flow/);
+  assert.equal(device.registration.status, 'online');
+});
+
+// A WebSocket that never answers pings
+class SilentSocket extends EventEmitter {
+  ping() {}
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('the heartbeat closes connections that stop answering pings', async () => {
+  const device = fakeDevice({ ping: () => new Promise(() => {}) });
+  device.ws = new SilentSocket();
+  const stop = startHeartbeat({ devices: new Map([['pi', device]]), interval: 10, log: () => {} });
+  try {
+    for (let i = 0; i < 50 && !device.ws.terminated; i++) await delay(10);
+    assert.ok(device.ws.terminated);
+    // The device never answered ping, so it isn't judged by it
+    assert.equal(device.registration.status, 'online');
+  } finally {
+    stop();
+  }
+});
+
+test('a device that answered ping and then stops is flagged as unresponsive', async () => {
+  let answer = true;
+  const device = fakeDevice({ ping: () => answer ? Promise.resolve() : new Promise(() => {}) });
+  device.ws = new SilentSocket();
+  device.ws.ping = () => device.ws.emit('pong');
+  const stop = startHeartbeat({ devices: new Map([['pi', device]]), interval: 10, log: () => {} });
+  try {
+    for (let i = 0; i < 50 && !device.heartbeat?.pingSupported; i++) await delay(10);
+    answer = false;
+    for (let i = 0; i < 50 && device.registration.status !== 'error'; i++) await delay(10);
+    assert.equal(device.registration.status, 'error');
+    assert.ok(!device.ws.terminated);
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { planPartition } from '../lib/distributed-flows.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+const typeDevices = new Map([
+  ['inject', ['sensor-pi', 'display-tab']],
+  ['gpio-in', ['sensor-pi']],
+  ['debug', ['sensor-pi', 'display-tab']],
+  ['speech', ['display-tab']],
+  ['mqtt-broker', ['sensor-pi', 'display-tab']],
+  ['mqtt out', ['display-tab']],
+  ['mcp-out', ['sensor-pi', 'display-tab']],
+  ['mcp-in', ['display-tab']]
+]);
+const candidates = ['sensor-pi', 'display-tab'];
+
+test('nodes go where their type is, and crossing wires are relayed', () => {
+  const plan = planPartition({
+    name: 'doorbell',
+    candidates,
+    typeDevices,
+    nodes: [
+      { tempId: 'button', type: 'gpio-in', wires: [['log', 'say']] },
+      { tempId: 'log', type: 'debug' },
+      { tempId: 'say', type: 'speech' }
+    ]
+  });
+  assert.deepEqual(plan.problems, []);
+  assert.deepEqual(plan.placement, { button: 'sensor-pi', log: 'sensor-pi', say: 'display-tab' });
+  assert.equal(plan.cuts.length, 1);
+  assert.deepEqual(plan.cuts[0], {
+    id: 1, from: 'button', port: 0, fromDevice: 'sensor-pi', toDevice: 'display-tab', targets: ['say'], topic: 'distributed/doorbell/1', mode: 'mcp-in'
+  });
+
+  const pi = plan.parts.get('sensor-pi').nodes;
+  assert.deepEqual(pi.find(n => n.tempId === 'button').wires, [['log', '__relay_out_1']]);
+  assert.equal(pi.find(n => n.tempId === '__relay_out_1').topic, 'distributed/doorbell/1');
+  assert.deepEqual(plan.parts.get('display-tab').nodes.find(n => n.type === 'mcp-in').wires, [['say']]);
+});
+
+test('config nodes are copied to the devices that use them', () => {
+  const plan = planPartition({
+    name: 'mqtt',
+    candidates,
+    typeDevices,
+    categories: new Map([['mqtt-broker', 'config']]),
+    nodes: [
+      { tempId: 'broker', type: 'mqtt-broker' },
+      { tempId: 'pub', type: 'mqtt out', broker: 'broker' }
+    ]
+  });
+  assert.deepEqual(plan.problems, []);
+  assert.equal(plan.parts.has('sensor-pi'), false);
+  assert.deepEqual(plan.parts.get('display-tab').configNodes.map(n => n.tempId), ['broker']);
+});
+
+test('plans that cannot work are reported', () => {
+  const problems = (nodes, pins) => planPartition({ name: 'x', candidates, typeDevices, nodes, pins }).problems;
+
+  assert.match(problems([{ tempId: 'a', type: 'laser' }])[0], /No candidate device has node type "laser"/);
+  assert.match(problems([{ tempId: 'a', type: 'speech' }], { a: 'sensor-pi' })[0], /pinned to "sensor-pi"/);
+  assert.match(problems([{ tempId: 'a', type: 'debug' }, { tempId: 'a', type: 'debug' }])[0], /Duplicate tempId/);
+  assert.match(problems([null])[0], /needs a tempId and a type/);
+  assert.match(problems([
+    { tempId: 'mic', type: 'gpio-in', streamWires: [['voice']] },
+    { tempId: 'voice', type: 'speech' }
+  ])[0], /audio streams can't be relayed/);
+});
+
+let server;
+const devices = [];
+
+before(async () => {
+  server = await startTestServer();
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'sensor-pi', nodes: ['inject', 'debug', 'mcp-out'] } }));
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'display-tab', nodes: ['speech', 'mcp-in', 'mcp-out'] } }));
+});
+
+after(async () => {
+  for (const device of devices) device.close();
+  await server?.stop();
+});
+
+test('replacing with a plan that fails leaves the deployed flow alone', async () => {
+  const nodes = [
+    { tempId: 'go', type: 'inject', x: 100, y: 100, wires: [['say']] },
+    { tempId: 'say', type: 'speech', x: 300, y: 100 }
+  ];
+  const { body: first } = await callTool(server, 'deploy_distributed_flow', { name: 'hello', nodes });
+  assert.equal(first.success, true);
+  assert.equal(first.bridges.length, 1);
+
+  const { body: replaced } = await callTool(server, 'deploy_distributed_flow', {
+    name: 'hello',
+    replace: true,
+    nodes: [...nodes, { tempId: 'zap', type: 'laser' }]
+  });
+  assert.equal(replaced.success, false);
+
+  const { body: list } = await callTool(server, 'list_distributed_flows');
+  assert.equal(list.flows[0].bridges.length, 1);
+  const { body: flows } = await callTool(server, 'get_flows', { deviceId: 'sensor-pi' });
+  assert.equal(flows.nodes.length, 2);
+});
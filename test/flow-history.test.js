@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'history-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+async function versions() {
+  for (let i = 0; i < 50; i++) {
+    const { body } = await callTool(server, 'list_flow_versions', { deviceId: 'history-pi' });
+    if (body.total) return body.versions;
+    await delay(20);
+  }
+  throw new Error('No flow versions recorded');
+}
+
+test('the flows running before the first deploy can be rolled back to', async () => {
+  const [connected] = await versions();
+  assert.equal(connected.reason, 'connected');
+  assert.equal(connected.nodeCount, 0);
+
+  const added = await callTool(server, 'add_nodes', {
+    deviceId: 'history-pi',
+    flowId: 'flow1',
+    nodes: [{ tempId: 'a', type: 'inject', x: 100, y: 100, wires: [] }]
+  });
+  assert.equal(added.status, 200);
+  assert.equal((await callTool(server, 'deploy', { deviceId: 'history-pi' })).status, 200);
+
+  // Nothing changed since the deploy, so the default diff shows what it changed
+  const { body: diff } = await callTool(server, 'diff_flow_versions', { deviceId: 'history-pi' });
+  assert.equal(diff.from, connected.version);
+  assert.equal(diff.nodes.added.length, 1);
+
+  const { body: rollback } = await callTool(server, 'rollback_flow', { deviceId: 'history-pi', version: connected.version });
+  assert.equal(rollback.restoredVersion, connected.version);
+  const { body: flows } = await callTool(server, 'get_flows', { deviceId: 'history-pi' });
+  assert.equal(flows.nodes.length, 0);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'test-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+async function debugPayloads() {
+  const { body } = await callTool(server, 'get_debug_output', { deviceId: 'test-pi', limit: 100 });
+  return body.messages.map(m => m.msg);
+}
+
+test('saved suites only rerun on deploys that ask for them, and leave the buffers alone', async () => {
+  const { body: added } = await callTool(server, 'add_nodes', {
+    deviceId: 'test-pi',
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'a', type: 'inject', x: 100, y: 100, wires: [['b']] },
+      { tempId: 'b', type: 'debug', name: 'out', x: 300, y: 100 }
+    ]
+  });
+  const inject = added.nodes.find(n => n.tempId === 'a').id;
+  await callTool(server, 'deploy', { deviceId: 'test-pi' });
+
+  const spec = { steps: [{ inject: { nodeId: inject, payload: 'ping' }, expect: [{ node: 'out', equals: 'ping' }] }] };
+  const { body: run } = await callTool(server, 'run_flow_test', { deviceId: 'test-pi', spec, save: 'smoke' });
+  assert.equal(run.passed, true);
+
+  await callTool(server, 'inject_node', { deviceId: 'test-pi', nodeId: inject, payload: 'marker' });
+  for (let i = 0; i < 50 && !(await debugPayloads()).includes('marker'); i++) await delay(20);
+
+  const { body: plain } = await callTool(server, 'deploy', { deviceId: 'test-pi' });
+  assert.equal(plain.tests, undefined);
+
+  const { body: tested } = await callTool(server, 'deploy', { deviceId: 'test-pi', runTests: true });
+  assert.equal(tested.tests.passed, true);
+  assert.ok((await debugPayloads()).includes('marker'));
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportFlow, planImport, configNodeBatches, toAddNodesEntry } from '../lib/flow-transfer.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+const flowState = {
+  flows: [{ id: 'flow1', label: 'Lights' }, { id: 'flow2', label: 'Other' }],
+  nodes: [
+    { id: 'n1', type: 'mqtt in', z: 'flow1', broker: 'broker1', x: 100, y: 100, wires: [['n2']] },
+    { id: 'n2', type: 'debug', z: 'flow1', x: 300, y: 100, wires: [] },
+    { id: 'n3', type: 'inject', z: 'flow2', x: 100, y: 100, wires: [['n1']] }
+  ],
+  configNodes: [
+    { id: 'broker1', type: 'mqtt-broker', tls: 'tls1' },
+    { id: 'tls1', type: 'tls-config' },
+    { id: 'unused', type: 'mqtt-broker' }
+  ]
+};
+
+test('an export holds the tab, its nodes and the config nodes they reach', () => {
+  const document = exportFlow(flowState, 'flow1');
+  assert.deepEqual(document.map(n => n.id), ['flow1', 'n1', 'n2', 'broker1', 'tls1']);
+  assert.equal(document[0].type, 'tab');
+  assert.equal(exportFlow(flowState, 'nope'), null);
+});
+
+test('an import is planned and checked against the device types', () => {
+  const document = [...exportFlow(flowState, 'flow1'), { id: 'loose', type: 'gpio-out', x: 0, y: 0, wires: [] }];
+  const catalog = [{ type: 'mqtt-broker', category: 'config' }];
+  const plan = planImport(document, ['mqtt in', 'debug', 'mqtt-broker', 'tls-config'], catalog);
+
+  assert.deepEqual(plan.tabs.map(t => t.nodes.map(n => n.id)), [['n1', 'n2']]);
+  assert.deepEqual(plan.configNodes.map(c => c.id), ['broker1', 'tls1']);
+  assert.deepEqual(plan.looseNodes.map(n => n.id), ['loose']);
+  assert.deepEqual(plan.missingTypes, ['gpio-out']);
+});
+
+test('config nodes are created before the config nodes that use them', () => {
+  const batches = configNodeBatches(flowState.configNodes.slice(0, 2));
+  assert.deepEqual(batches.map(b => b.map(c => c.id)), [['tls1'], ['broker1']]);
+});
+
+test('imported nodes keep their wires inside the import and point at new config ids', () => {
+  const { node, droppedWires } = toAddNodesEntry(
+    { id: 'n3', type: 'inject', z: 'flow2', broker: 'broker1', wires: [['n1', 'gone']] },
+    new Map([['broker1', 'real-broker']]),
+    new Set(['n1', 'n3'])
+  );
+  assert.deepEqual(node, { type: 'inject', broker: 'real-broker', wires: [['n1']], tempId: 'n3', x: 0, y: 0 });
+  assert.equal(droppedWires, 1);
+});
+
+let server;
+const devices = [];
+
+before(async () => {
+  server = await startTestServer();
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'from-pi', nodes: ['inject', 'debug'] } }));
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'to-pi', nodes: ['inject', 'debug'] } }));
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'bare-pi', nodes: ['inject'] } }));
+});
+
+after(async () => {
+  for (const device of devices) device.close();
+  await server?.stop();
+});
+
+test('a flow is copied from one device to another', async () => {
+  await callTool(server, 'add_nodes', {
+    deviceId: 'from-pi',
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'a', type: 'inject', x: 100, y: 100, wires: [['b']] },
+      { tempId: 'b', type: 'debug', x: 300, y: 100 }
+    ]
+  });
+  const { body: exported } = await callTool(server, 'export_flow', { deviceId: 'from-pi', flowId: 'flow1' });
+  assert.equal(exported.nodeCount, 2);
+
+  const { body: refused } = await callTool(server, 'import_flow', { deviceId: 'bare-pi', document: exported.document });
+  assert.deepEqual([refused.success, refused.missingTypes], [false, ['debug']]);
+
+  const { body: imported } = await callTool(server, 'import_flow', { deviceId: 'to-pi', document: exported.document });
+  assert.equal(imported.success, true);
+  assert.equal(imported.droppedWires, 0);
+
+  const { body: flows } = await callTool(server, 'get_flows', { deviceId: 'to-pi' });
+  const copy = flows.nodes.filter(n => n.z === imported.flows[0].flowId);
+  const inject = copy.find(n => n.type === 'inject');
+  assert.deepEqual(inject.wires, [[copy.find(n => n.type === 'debug').id]]);
+
+  const missing = await callTool(server, 'export_flow', { deviceId: 'from-pi', flowId: 'nope' });
+  assert.equal(missing.status, 404);
+});
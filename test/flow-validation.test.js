@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAddNodes, validateUpdate, validateExisting } from '../lib/flow-validation.js';
+
+const flowState = {
+  flows: [{ id: 'flow1', type: 'tab', label: 'Flow 1' }],
+  nodes: [{ id: 'n1', type: 'inject', z: 'flow1', x: 100, y: 100, wires: [[]] }],
+  configNodes: [{ id: 'broker1', type: 'mqtt-broker' }]
+};
+
+const context = {
+  flowState,
+  availableTypes: ['inject', 'debug', 'mqtt in', 'mqtt-broker'],
+  catalog: [{ type: 'mqtt-broker', category: 'config' }],
+  nodeDetails: new Map([
+    ['inject', { outputs: 1, defaults: {} }],
+    ['mqtt in', { outputs: 1, defaults: { topic: { value: '', required: true }, broker: { type: 'mqtt-broker', value: '' } } }]
+  ])
+};
+
+const codes = (result) => result.problems.map(p => p.code).sort();
+
+test('a well-formed add_nodes payload is valid', () => {
+  const result = validateAddNodes({
+    ...context,
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'a', type: 'inject', x: 100, y: 300, wires: [['b']] },
+      { tempId: 'b', type: 'debug', x: 300, y: 300 }
+    ]
+  });
+  assert.deepEqual(result, { valid: true, errors: 0, warnings: 0, problems: [] });
+});
+
+test('add_nodes problems are reported per node', () => {
+  const result = validateAddNodes({
+    ...context,
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'a', type: 'nope', x: 400, y: 400, wires: [['ghost']] },
+      { tempId: 'a', type: 'mqtt in', x: 110, y: 105, broker: 'missing' },
+      { type: 'inject', x: 600, y: 600, wires: [[], []] }
+    ]
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(codes(result), [
+    'dangling-wire', 'duplicate-temp-id', 'missing-config-node', 'missing-required',
+    'missing-temp-id', 'overlap', 'too-many-outputs', 'unknown-type'
+  ]);
+});
+
+test('non-object node entries are reported instead of throwing', () => {
+  const result = validateAddNodes({ ...context, flowId: 'flow1', nodes: [null, 'inject', { tempId: 'a', type: 'inject', x: 400, y: 400 }] });
+  assert.deepEqual(result.problems.map(p => [p.code, p.node]), [['invalid-node', '#0'], ['invalid-node', '#1']]);
+});
+
+test('unknown flows and empty payloads are errors', () => {
+  assert.deepEqual(codes(validateAddNodes({ ...context, flowId: 'nope', nodes: [] })), ['no-nodes', 'unknown-flow']);
+});
+
+test('update_node may not change a node\'s type or id', () => {
+  const result = validateUpdate({ ...context, nodeId: 'n1', updates: { type: 'debug', id: 'n2' } });
+  assert.deepEqual(codes(result), ['id-change', 'type-change']);
+  assert.equal(validateUpdate({ ...context, nodeId: 'nope', updates: {} }).problems[0].code, 'unknown-node');
+});
+
+test('existing flows are checked for dangling wires', () => {
+  const state = { ...flowState, nodes: [...flowState.nodes, { id: 'n2', type: 'debug', z: 'flow1', wires: [['gone']] }] };
+  assert.deepEqual(codes(validateExisting({ ...context, flowState: state })), ['dangling-wire']);
+});
@@ -0,0 +1,173 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Test helpers: a real server in a child process, on a free port with its own data dir
+
+const cliPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+const START_TIMEOUT = 10 * 1000;
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+export function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'pagenodes-mcp-test-'));
+}
+
+// Run a one-off `pagenodes-mcp` command. Resolves with its exit code and output.
+export async function runCli(args, timeout = START_TIMEOUT) {
+  const child = spawn(process.execPath, [cliPath, ...args], { stdio: ['ignore', 'pipe', 'pipe'], timeout });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const [code] = await once(child, 'close');
+  return { code, stdout, stderr };
+}
+
+// Start `pagenodes-mcp` with extra CLI args. Resolves once it is listening.
+export async function startTestServer(args = []) {
+  const port = await freePort();
+  const dataDir = tempDir();
+  const child = spawn(process.execPath, [cliPath, '--port', String(port), '--data-dir', dataDir, ...args], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const waiters = [];
+  const onData = (chunk) => {
+    output += chunk;
+    for (const waiter of waiters.slice()) {
+      if (output.includes(waiter.text)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve();
+      }
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  // Resolves when the server has printed text
+  function waitForOutput(text, timeout = START_TIMEOUT) {
+    if (output.includes(text)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${text}". Output:\n${output}`)), timeout);
+      waiters.push({ text, resolve: () => { clearTimeout(timer); resolve(); } });
+    });
+  }
+
+  const exited = once(child, 'exit');
+  await Promise.race([
+    waitForOutput('Open PageNodes instances'),
+    exited.then(([code]) => { throw new Error(`Server exited with ${code}:\n${output}`); })
+  ]);
+
+  return {
+    port,
+    dataDir,
+    url: `http://localhost:${port}`,
+    wsUrl: `ws://localhost:${port}/`,
+    waitForOutput,
+    output: () => output,
+    isRunning: () => child.exitCode === null && child.signalCode === null,
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// POST a tool call to the typed REST API. Resolves to { status, body }.
+export async function callTool(server, tool, args = {}, headers = {}) {
+  const res = await fetch(`${server.url}/api/tools/${tool}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(args)
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// Start a Streamable HTTP session with its standalone event stream open.
+// request(method, params) resolves to the JSON-RPC result (throws on an error reply);
+// next(match) resolves to the first server-initiated message that matches and wasn't taken yet.
+export async function openMcpSession(server, headers = {}) {
+  const post = (body, sessionHeaders = {}) => fetch(`${server.url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers, ...sessionHeaders },
+    body: JSON.stringify(body)
+  });
+
+  const init = await post({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test' }, capabilities: {} } });
+  const sessionId = init.headers.get('mcp-session-id');
+  const session = { 'Mcp-Session-Id': sessionId };
+
+  const controller = new AbortController();
+  const stream = await fetch(`${server.url}/mcp`, { headers: { ...headers, ...session, Accept: 'text/event-stream' }, signal: controller.signal });
+
+  const messages = [];
+  const waiters = [];
+  const deliver = () => {
+    for (const waiter of waiters.slice()) {
+      const index = messages.findIndex(waiter.match);
+      if (index !== -1) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(messages.splice(index, 1)[0]);
+      }
+    }
+  };
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of stream.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+          buffer = buffer.slice(end + 2);
+          if (data) messages.push(JSON.parse(data.slice(6)));
+        }
+        deliver();
+      }
+    } catch {
+      // Aborted by close()
+    }
+  })();
+
+  let nextId = 1;
+  return {
+    sessionId,
+    async request(method, params = {}) {
+      const res = await post({ jsonrpc: '2.0', id: nextId++, method, params }, session);
+      const reply = await res.json();
+      if (reply.error) throw new Error(reply.error.message);
+      return reply.result;
+    },
+    next(match, timeout = START_TIMEOUT) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for a notification')), timeout);
+        waiters.push({ match, resolve: (message) => { clearTimeout(timer); resolve(message); } });
+        deliver();
+      });
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, tempDir } from './helpers.js';
+
+let server;
+let device;
+let configDir;
+
+before(async () => {
+  configDir = tempDir();
+  const webhooks = path.join(configDir, 'webhooks.json');
+  fs.writeFileSync(webhooks, JSON.stringify({ hooks: { doorbell: { deviceId: 'porch-pi', token: 'ring' } } }));
+  server = await startTestServer(['--webhooks', webhooks]);
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'porch-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const ring = (name, body = '{}') => fetch(`${server.url}/hooks/${name}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ring' },
+  body
+});
+
+test('a hook call reaches the device', async () => {
+  const res = await ring('doorbell', JSON.stringify({ who: 'postman' }));
+  assert.equal(res.status, 202);
+});
+
+test('malformed hook names are refused without crashing the server', async () => {
+  assert.equal((await ring('%E0%A4%A')).status, 400);
+  assert.equal((await ring('nope')).status, 404);
+  assert.ok(server.isRunning());
+});
+
+test('oversized bodies are refused', async () => {
+  const res = await ring('doorbell', JSON.stringify({ blob: 'x'.repeat(2 * 1024 * 1024) }));
+  assert.equal(res.status, 413);
+  assert.ok(server.isRunning());
+});
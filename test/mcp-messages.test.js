@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'voice-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+test('a message stream is audited as a wait_for_mcp_messages call', async () => {
+  const res = await fetch(`${server.url}/func/wait_for_mcp_messages?deviceId=voice-pi&timeout=100`);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /event: timeout/);
+
+  const { body } = await callTool(server, 'get_audit_log', { tool: 'wait_for_mcp_messages', includeResults: true });
+  assert.equal(body.total, 1);
+  assert.equal(JSON.parse(body.entries[0].result).timedOut, true);
+});
+
+test('a stream for an unknown device is refused before it starts', async () => {
+  const res = await fetch(`${server.url}/func/wait_for_mcp_messages?deviceId=nope`);
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMessageWaiter, matchesTopic } from '../lib/message-waiter.js';
+
+// A device queue behind getMessages(limit, clear)
+function fakeDevice(messages) {
+  const queue = [...messages];
+  return (deviceId, limit, clear) => {
+    const batch = queue.slice(0, limit);
+    if (clear) queue.splice(0, batch.length);
+    return { messages: batch, remaining: queue.length - (clear ? 0 : batch.length) };
+  };
+}
+
+const message = (topic, i) => ({ topic, payload: i });
+
+test('topic globs', () => {
+  assert.ok(matchesTopic('voice/*', 'voice/command'));
+  assert.ok(matchesTopic('sensor/?', 'sensor/1'));
+  assert.ok(!matchesTopic('voice', 'voice/command'));
+  assert.ok(matchesTopic(undefined, 'anything'));
+});
+
+test('messages that don\'t match are held and handed out next', async () => {
+  const waiter = createMessageWaiter({ fetch: fakeDevice([message('a', 1), message('b', 2), message('a', 3)]), log: () => {} });
+  const first = await waiter.take('pi', { topic: 'b' });
+  assert.deepEqual(first.messages.map(m => m.payload), [2]);
+  assert.equal(first.remaining, 2);
+  assert.equal(waiter.heldCounts().get('pi'), 2);
+
+  const rest = await waiter.take('pi');
+  assert.deepEqual(rest.messages.map(m => m.payload), [1, 3]);
+  assert.equal(waiter.heldCounts().size, 0);
+});
+
+test('held messages are capped per device, oldest dropped first', async () => {
+  const logged = [];
+  const messages = Array.from({ length: 10 }, (_, i) => message('noise', i));
+  const waiter = createMessageWaiter({ fetch: fakeDevice(messages), maxHeld: 4, log: line => logged.push(line) });
+  await waiter.take('pi', { topic: 'wanted' });
+
+  assert.equal(waiter.heldCounts().get('pi'), 4);
+  assert.match(logged[0], /Dropped 6 held/);
+  const { messages: kept } = await waiter.take('pi');
+  assert.deepEqual(kept.map(m => m.payload), [6, 7, 8, 9]);
+});
+
+test('a wait times out without matching messages', async () => {
+  const waiter = createMessageWaiter({ fetch: fakeDevice([]), pollInterval: 10, log: () => {} });
+  const result = await waiter.wait(() => ['pi'], { timeout: 50 });
+  assert.deepEqual(result, { messages: [], timedOut: true, errors: {} });
+});
+
+test('a filter takes matching messages from anywhere in the queue', async () => {
+  const fetch = fakeDevice([message('chat', 1), message('alert/1', 2), message('chat', 3), message('alert/2', 4)]);
+  const waiter = createMessageWaiter({ fetch, log: () => {} });
+
+  const alerts = await waiter.take('pi', { filter: m => matchesTopic('alert/*', m.topic) });
+  assert.deepEqual(alerts.messages.map(m => m.payload), [2, 4]);
+  assert.deepEqual((await waiter.take('pi')).messages.map(m => m.payload), [1, 3]);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../lib/metrics.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+test('metrics render in the Prometheus text format', () => {
+  const metrics = createMetrics({ buckets: [0.1, 1] });
+  metrics.recordToolCall({ tool: 'get_flows', deviceId: 'pi', durationMs: 50, isError: false });
+  metrics.recordToolCall({ tool: 'get_flows', deviceId: 'pi', durationMs: 500, isError: true });
+  metrics.recordToolCall({ tool: 'list_devices', durationMs: 5, isError: false });
+  metrics.recordDeviceCall({ deviceId: 'pi', method: 'getFlows', error: { code: 'DEVICE_TIMEOUT' } });
+
+  const text = metrics.render({
+    version: '1.2.3',
+    gauges: {
+      queueDepth: [{ labels: { device: 'pi' }, value: 3 }, { labels: { device: 'secret' }, value: 1 }],
+      heldMessages: [{ labels: { device: 'pi' }, value: 2 }]
+    },
+    keep: (labels) => labels.device !== 'secret'
+  });
+  const lines = text.split('\n');
+
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines.includes('# TYPE pagenodes_mcp_tool_call_duration_seconds histogram'));
+  assert.ok(lines.includes('pagenodes_mcp_info{version="1.2.3"} 1'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_calls_total{tool="get_flows",device="pi"} 2'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_errors_total{tool="get_flows",device="pi"} 1'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_calls_total{tool="list_devices",device=""} 1'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_call_duration_seconds_bucket{tool="get_flows",device="pi",le="0.1"} 1'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_call_duration_seconds_bucket{tool="get_flows",device="pi",le="+Inf"} 2'));
+  assert.ok(lines.includes('pagenodes_mcp_tool_call_duration_seconds_sum{tool="get_flows",device="pi"} 0.55'));
+  assert.ok(lines.includes('pagenodes_mcp_device_rpc_timeouts_total{device="pi",method="getFlows"} 1'));
+  assert.ok(lines.includes('pagenodes_mcp_mcp_out_queue_depth{device="pi"} 3'));
+  assert.ok(lines.includes('pagenodes_mcp_held_mcp_messages{device="pi"} 2'));
+  assert.ok(!text.includes('secret'));
+});
+
+test('label values are escaped', () => {
+  const metrics = createMetrics();
+  metrics.recordDeviceCall({ deviceId: 'a"b\\c\nd', method: 'getFlows' });
+  assert.ok(metrics.render({ version: '1' }).includes('device="a\\"b\\\\c\\nd"'));
+});
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'meter-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+// Over JSON-RPC, so calls the REST API would turn away still reach the tool handler
+async function toolsCall(name, args) {
+  await fetch(`${server.url}/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+  });
+}
+
+test('made-up tools and devices are counted as "other"', async () => {
+  await callTool(server, 'get_flows', { deviceId: 'meter-pi' });
+  await toolsCall('get_flows', { deviceId: 'ghost-1' });
+  await toolsCall('get_flows', { deviceId: 'group:ghosts' });
+  await toolsCall('made_up_tool', { deviceId: 'ghost-2' });
+
+  const text = await (await fetch(`${server.url}/metrics`)).text();
+  assert.match(text, /pagenodes_mcp_tool_calls_total\{tool="get_flows",device="meter-pi"\} 1/);
+  assert.match(text, /pagenodes_mcp_tool_calls_total\{tool="get_flows",device="other"\} 2/);
+  assert.match(text, /pagenodes_mcp_tool_calls_total\{tool="other",device="other"\} 1/);
+  assert.doesNotMatch(text, /ghost|made_up_tool/);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { flattenDetails, diffNodeDetails } from '../lib/node-compat.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+const gpio = (extra = {}) => ({
+  type: 'gpio-out',
+  category: 'hardware',
+  inputs: 1,
+  outputs: 0,
+  defaults: { pin: { value: '', required: true } },
+  help: 'Set a GPIO pin',
+  ...extra
+});
+
+test('details are flattened to leaf paths without identifying fields', () => {
+  assert.deepEqual(flattenDetails({ type: 'x', deviceId: 'pi', defaults: { pin: { value: 1 } }, outputLabels: ['a'] }), {
+    'defaults.pin.value': 1,
+    outputLabels: ['a']
+  });
+});
+
+test('identical implementations are compatible', () => {
+  assert.deepEqual(diffNodeDetails({ pi: gpio(), esp32: gpio() }), {
+    identical: true,
+    compatible: true,
+    summary: { properties: 0, ports: 0, help: 0, other: 0 },
+    differences: []
+  });
+});
+
+test('property and port differences make types incompatible, help text does not', () => {
+  const help = diffNodeDetails({ pi: gpio(), esp32: gpio({ help: 'Drive a pin' }) });
+  assert.deepEqual([help.identical, help.compatible], [false, true]);
+  assert.deepEqual(help.differences[0], { path: 'help', kind: 'help', values: { pi: 'Set a GPIO pin', esp32: 'Drive a pin' } });
+
+  const ports = diffNodeDetails({ pi: gpio(), esp32: gpio({ outputs: 1, defaults: { pin: { value: '', required: true }, invert: { value: false } } }) });
+  assert.equal(ports.compatible, false);
+  assert.deepEqual(ports.summary, { properties: 1, ports: 1, help: 0, other: 0 });
+  assert.deepEqual(ports.differences.find(d => d.path === 'defaults.invert.value').missingOn, ['pi']);
+});
+
+test('ignoreMissing only compares fields every device reports', () => {
+  const { identical } = diffNodeDetails({ pi: gpio(), esp32: { type: 'gpio-out', category: 'hardware' } }, { ignoreMissing: true });
+  assert.equal(identical, true);
+});
+
+test('long help texts are shortened in the report', () => {
+  const { differences } = diffNodeDetails({ pi: gpio({ help: 'x'.repeat(300) }), esp32: gpio() });
+  assert.equal(differences[0].values.pi, `${'x'.repeat(200)}... (300 chars)`);
+});
+
+let server;
+const devices = [];
+
+before(async () => {
+  server = await startTestServer();
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'compare-a' } }));
+  devices.push(await startSimulatedDevice({ url: server.wsUrl, info: { id: 'compare-b' } }));
+});
+
+after(async () => {
+  for (const device of devices) device.close();
+  await server?.stop();
+});
+
+test('compare_node_types asks every device that has the type', async () => {
+  const { body } = await callTool(server, 'compare_node_types', { type: 'inject' });
+  assert.deepEqual(body.devices.sort(), ['compare-a', 'compare-b']);
+  assert.equal(body.identical, true);
+
+  const { body: missing } = await callTool(server, 'compare_node_types', { type: 'laser' });
+  assert.match(missing.error.message, /No connected device has node type "laser"/);
+  const { body: unknown } = await callTool(server, 'compare_node_types', { type: 'inject', deviceIds: ['ghost'] });
+  assert.match(unknown.error.message, /Unknown device\(s\): ghost/);
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotificationHub } from '../lib/notifications.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, openMcpSession } from './helpers.js';
+
+function hub(canSee = () => true) {
+  const sent = [];
+  const notificationHub = createNotificationHub({
+    senders: { test: (sessionId, message) => sent.push({ sessionId, message }) },
+    deviceMatches: (pattern, deviceId) => pattern === deviceId,
+    canSee,
+    log: () => {}
+  });
+  return { notificationHub, sent };
+}
+
+test('events go to sessions with a matching subscription', () => {
+  const { notificationHub, sent } = hub();
+  const a = { transport: 'test', sessionId: 'a' };
+  const b = { transport: 'test', sessionId: 'b' };
+  const { id } = notificationHub.subscribe(a, { devices: ['kitchen-pi'], events: ['node-*'] });
+  notificationHub.subscribe(b, { events: ['deploy'] });
+
+  notificationHub.publish({ type: 'node-error', deviceId: 'kitchen-pi', message: 'boom' });
+  notificationHub.publish({ type: 'node-error', deviceId: 'garage-door' });
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].sessionId, 'a');
+  assert.equal(sent[0].message.method, 'notifications/message');
+  assert.equal(sent[0].message.params.level, 'error');
+  assert.equal(sent[0].message.params.logger, 'pagenodes/kitchen-pi');
+  assert.deepEqual(sent[0].message.params.data.subscriptions, [id]);
+
+  assert.equal(notificationHub.unsubscribe(a), 1);
+  notificationHub.publish({ type: 'node-error', deviceId: 'kitchen-pi' });
+  assert.equal(sent.length, 1);
+});
+
+test('the logging level and device permissions filter events', () => {
+  const { notificationHub, sent } = hub((context, deviceId) => deviceId !== 'secret-pi');
+  const a = { transport: 'test', sessionId: 'a' };
+  notificationHub.subscribe(a);
+  notificationHub.setLevel(a, 'warning');
+
+  notificationHub.publish({ type: 'deploy', deviceId: 'kitchen-pi' });
+  notificationHub.publish({ type: 'device-disconnected', deviceId: 'secret-pi' });
+  notificationHub.publish({ type: 'device-disconnected', deviceId: 'kitchen-pi' });
+  assert.deepEqual(sent.map(s => s.message.params.data.type), ['device-disconnected']);
+  assert.throws(() => notificationHub.setLevel(a, 'loud'), /Unknown logging level/);
+});
+
+test('stateless requests cannot subscribe', () => {
+  const { notificationHub } = hub();
+  assert.throws(() => notificationHub.subscribe({ transport: 'http' }), /Notifications need a session/);
+  notificationHub.track({ transport: 'http' });
+});
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a subscribed session hears devices come and go', async () => {
+  const session = await openMcpSession(server);
+  try {
+    const result = await session.request('tools/call', { name: 'subscribe_events', arguments: { events: ['device-*'] } });
+    assert.deepEqual(JSON.parse(result.content[0].text).subscription.events, ['device-*']);
+
+    const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'events-pi' } });
+    const connected = await session.next(m => m.params?.data?.type === 'device-connected');
+    assert.equal(connected.params.data.deviceId, 'events-pi');
+
+    device.close();
+    const disconnected = await session.next(m => m.params?.data?.type === 'device-disconnected');
+    assert.equal(disconnected.params.level, 'warning');
+  } finally {
+    session.close();
+  }
+});
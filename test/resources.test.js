@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseResourceUri, deviceResourceUri, GUIDE_URI } from '../lib/resources.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool, openMcpSession } from './helpers.js';
+
+test('device resource URIs round-trip through percent-encoding', () => {
+  assert.equal(deviceResourceUri('kitchen pi', 'flows'), 'pagenodes://device/kitchen%20pi/flows');
+  assert.deepEqual(parseResourceUri(deviceResourceUri('kitchen pi', 'flows')), { kind: 'flows', deviceId: 'kitchen pi' });
+  assert.deepEqual(parseResourceUri(deviceResourceUri('pi', 'nodes', 'mqtt in')), { kind: 'node', deviceId: 'pi', nodeType: 'mqtt in' });
+  assert.deepEqual(parseResourceUri(GUIDE_URI), { kind: 'guide' });
+  assert.equal(parseResourceUri('pagenodes://device/pi/secrets'), null);
+  assert.equal(parseResourceUri('pagenodes://device/%E0%A4%A/flows'), null);
+});
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('device resources are listed, read and updated for subscribers', async () => {
+  const session = await openMcpSession(server);
+  const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'res-pi' } });
+  try {
+    await session.next(m => m.method === 'notifications/resources/list_changed');
+    const { resources } = await session.request('resources/list');
+    const flowsUri = deviceResourceUri('res-pi', 'flows');
+    assert.ok(resources.some(r => r.uri === GUIDE_URI));
+    assert.ok(resources.some(r => r.uri === flowsUri));
+
+    const { contents } = await session.request('resources/read', { uri: flowsUri });
+    assert.equal(JSON.parse(contents[0].text).flows[0].id, 'flow1');
+
+    await session.request('resources/subscribe', { uri: flowsUri });
+    await session.request('resources/subscribe', { uri: deviceResourceUri('res-pi', 'debug') });
+    const { body: added } = await callTool(server, 'add_nodes', {
+      deviceId: 'res-pi',
+      flowId: 'flow1',
+      nodes: [
+        { tempId: 'a', type: 'inject', x: 100, y: 100, wires: [['b']] },
+        { tempId: 'b', type: 'debug', x: 300, y: 100 }
+      ]
+    });
+    await callTool(server, 'deploy', { deviceId: 'res-pi' });
+    await session.next(m => m.method === 'notifications/resources/updated' && m.params.uri === flowsUri);
+
+    await callTool(server, 'inject_node', { deviceId: 'res-pi', nodeId: added.nodes.find(n => n.tempId === 'a').id });
+    await session.next(m => m.method === 'notifications/resources/updated' && m.params.uri === deviceResourceUri('res-pi', 'debug'));
+
+    await assert.rejects(session.request('resources/read', { uri: 'pagenodes://device/res-pi/secrets' }));
+  } finally {
+    device.close();
+    session.close();
+  }
+});
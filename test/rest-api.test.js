@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { toRestResponse, restError, missingArguments } from '../lib/rest-api.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+const error = (text, errorCode) => ({ content: [{ type: 'text', text }], isError: true, ...(errorCode && { errorCode }) });
+
+test('tool results map to statuses by error code', () => {
+  assert.deepEqual(toRestResponse({ content: [{ type: 'text', text: '{"ok":true}' }] }), { status: 200, body: { ok: true } });
+  assert.deepEqual(toRestResponse(error('Error: Group "x" not found', 'NOT_FOUND')), restError(404, 'NOT_FOUND', 'Group "x" not found'));
+  assert.equal(toRestResponse(error('Error: nope', 'FORBIDDEN')).status, 403);
+  assert.equal(toRestResponse(error('Error: Unknown tool: x', 'UNKNOWN_TOOL')).status, 404);
+
+  // The wording doesn't matter, only the code
+  assert.deepEqual(toRestResponse(error('Error: Setting not found in payload')), restError(400, 'TOOL_ERROR', 'Setting not found in payload'));
+  assert.equal(toRestResponse(error('Error: odd', 'ENOENT')).body.error.code, 'TOOL_ERROR');
+
+  const timeout = { error: { code: 'DEVICE_TIMEOUT', message: 'too slow', method: 'getFlows' } };
+  assert.deepEqual(toRestResponse(error(JSON.stringify(timeout), 'DEVICE_TIMEOUT')), restError(504, 'DEVICE_TIMEOUT', 'too slow', timeout.error));
+});
+
+test('device refusals keep their code', () => {
+  const refusal = { content: [{ type: 'text', text: JSON.stringify([{ type: 'text', text: 'offline' }]) }], errorCode: 'DEVICE_OFFLINE' };
+  assert.deepEqual(toRestResponse(refusal), restError(503, 'DEVICE_OFFLINE', 'offline'));
+  const unnamed = { content: [{ type: 'text', text: JSON.stringify([{ type: 'text', text: 'pick one' }]) }] };
+  assert.equal(toRestResponse(unnamed).body.error.code, 'INVALID_ARGUMENTS');
+});
+
+test('missing arguments come from the schema', () => {
+  assert.deepEqual(missingArguments({ required: ['deviceId', 'flowId'] }, { deviceId: 'a' }), ['flowId']);
+});
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the REST API answers with typed errors', async () => {
+  assert.equal((await callTool(server, 'no_such_tool')).body.error.code, 'UNKNOWN_TOOL');
+  assert.equal((await callTool(server, 'get_flows', {})).body.error.code, 'INVALID_ARGUMENTS');
+  assert.equal((await callTool(server, 'get_flows', { deviceId: 'ghost' })).status, 404);
+
+  const missing = await callTool(server, 'delete_group', { name: 'ghost' });
+  assert.deepEqual([missing.status, missing.body.error.code], [404, 'NOT_FOUND']);
+
+  const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'away-pi' } });
+  device.close();
+  let offline;
+  for (let i = 0; i < 50 && offline?.status !== 503; i++) {
+    await delay(20);
+    offline = await callTool(server, 'get_flows', { deviceId: 'away-pi' });
+  }
+  assert.deepEqual(offline.body.error.code, 'DEVICE_OFFLINE');
+  assert.equal(offline.body.error.deviceId, 'away-pi');
+});
+
+test('malformed paths are refused without crashing the server', async () => {
+  for (const path of ['/api/tools/%E0%A4%A', '/api/devices/%E0%A4%A/tools/x', '/api/devices/pi/tools/%ZZ']) {
+    const res = await fetch(`${server.url}${path}`, { method: 'POST', body: '{}' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, 'INVALID_ARGUMENTS');
+  }
+  for (const [method, path] of [['GET', '/ui/api/devices/%E0%A4%A'], ['POST', '/ui/api/devices/%E0%A4%A/deploy']]) {
+    const res = await fetch(`${server.url}${path}`, { method });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, 'INVALID_ARGUMENTS');
+  }
+  assert.ok(server.isRunning());
+});
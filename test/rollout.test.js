@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { planStages, matchesSelector, runRollout } from '../lib/rollout.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, callTool } from './helpers.js';
+
+test('devices are split into stages by strategy', () => {
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+  assert.deepEqual(planStages(ids, { strategy: 'canary', canary: 1, batchSize: 2 }), [['a'], ['b', 'c'], ['d', 'e']]);
+  assert.deepEqual(planStages(ids, { strategy: 'canary' }), [['a'], ['b', 'c', 'd', 'e']]);
+  assert.deepEqual(planStages(ids, { strategy: 'batches', batchSize: 3 }), [['a', 'b', 'c'], ['d', 'e']]);
+  assert.deepEqual(planStages(ids, { strategy: 'parallel' }), [ids]);
+  assert.throws(() => planStages(ids, { strategy: 'yolo' }), /Unknown rollout strategy/);
+});
+
+test('selectors match on type, every tag and node type', () => {
+  const registration = { type: 'browser', meta: { tags: ['kitchen', 'lights'] } };
+  assert.ok(matchesSelector(registration, ['gpio-out'], { type: 'browser', tags: ['kitchen'], node: 'gpio-out' }));
+  assert.ok(!matchesSelector(registration, ['gpio-out'], { tags: ['kitchen', 'garage'] }));
+  assert.ok(!matchesSelector(registration, [], { node: 'gpio-out' }));
+});
+
+// errors: Map<id, count> read by errorCount; a function value is called instead
+function rollout(stages, errors, extra = {}) {
+  const deployed = [];
+  return runRollout({
+    stages,
+    deploy: async (id) => {
+      deployed.push(id);
+      return {};
+    },
+    errorCount: async (id) => typeof errors.get(id) === 'function' ? errors.get(id)(deployed) : errors.get(id) || 0,
+    settleMs: 0,
+    ...extra
+  });
+}
+
+test('a healthy rollout goes through every stage', async () => {
+  const report = await rollout([['a'], ['b', 'c']], new Map());
+  assert.equal(report.aborted, false);
+  assert.deepEqual(report.deployed, ['a', 'b', 'c']);
+  assert.deepEqual(report.skipped, []);
+});
+
+test('a rise in errors stops the rollout', async () => {
+  const report = await rollout([['a'], ['b']], new Map([['a', (deployed) => deployed.includes('a') ? 2 : 0]]));
+  assert.equal(report.aborted, true);
+  assert.deepEqual(report.stages[0].errorsRose, [{ deviceId: 'a', before: 0, after: 2 }]);
+  assert.deepEqual(report.skipped, ['b']);
+
+  const tolerated = await rollout([['a'], ['b']], new Map([['a', (deployed) => deployed.includes('a') ? 2 : 0]]), { errorThreshold: 2 });
+  assert.equal(tolerated.aborted, false);
+});
+
+test('a device that cannot report its errors after deploying stops the rollout', async () => {
+  const quiet = (deployed) => {
+    if (deployed.includes('a')) throw new Error('Device "a" did not respond to getErrors within 5000ms');
+    return 0;
+  };
+  const report = await rollout([['a'], ['b']], new Map([['a', quiet]]));
+  assert.equal(report.aborted, true);
+  assert.deepEqual(report.stages[0].unresponsive, [{ deviceId: 'a', error: 'Device "a" did not respond to getErrors within 5000ms' }]);
+  assert.match(report.reason, /no error count from a after stage 1/);
+  assert.deepEqual(report.skipped, ['b']);
+});
+
+let server;
+let device;
+
+before(async () => {
+  server = await startTestServer();
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'roll-pi', nodes: ['inject', 'debug'] } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+});
+
+test('a rollout that raises errors is rolled back', async () => {
+  // Wait for the version recorded on connect, which the rollback returns to
+  for (let i = 0; i < 50 && !(await callTool(server, 'list_flow_versions', { deviceId: 'roll-pi' })).body.total; i++) {
+    await delay(20);
+  }
+
+  // The inject fires on deploy into a node type the device doesn't have, which logs an error
+  await callTool(server, 'add_nodes', {
+    deviceId: 'roll-pi',
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'a', type: 'inject', once: true, x: 100, y: 100, wires: [['b']] },
+      { tempId: 'b', type: 'laser', x: 300, y: 100 }
+    ]
+  });
+
+  const { body: report } = await callTool(server, 'deploy', { deviceId: 'roll-pi', strategy: 'batches', settleMs: 100, rollback: true });
+  assert.equal(report.success, false);
+  assert.equal(report.stages[0].errorsRose[0].deviceId, 'roll-pi');
+  assert.equal(report.rolledBack[0].success, true);
+
+  const { body: flows } = await callTool(server, 'get_flows', { deviceId: 'roll-pi' });
+  assert.equal(flows.nodes.length, 0);
+});
@@ -0,0 +1,87 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, tempDir, callTool } from './helpers.js';
+
+// --simulate starts an in-process device, so these run without a browser
+
+const dir = tempDir();
+const recording = path.join(dir, 'traffic.jsonl');
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a flow runs on the simulated device and its traffic replays', async () => {
+  const server = await startTestServer(['--simulate', '--record', recording]);
+  try {
+    await server.waitForOutput('Simulated device registered as simulated');
+
+    const { body: added } = await callTool(server, 'add_nodes', {
+      deviceId: 'simulated',
+      flowId: 'flow1',
+      nodes: [
+        { tempId: 'a', type: 'inject', x: 100, y: 100, wires: [['b']] },
+        { tempId: 'b', type: 'debug', x: 300, y: 100 }
+      ]
+    });
+    const inject = added.nodes.find(n => n.tempId === 'a').id;
+    assert.equal((await callTool(server, 'deploy', { deviceId: 'simulated' })).status, 200);
+    assert.equal((await callTool(server, 'inject_node', { deviceId: 'simulated', nodeId: inject, payload: 'hello' })).status, 200);
+
+    let messages = [];
+    for (let i = 0; i < 50 && !messages.length; i++) {
+      await delay(20);
+      messages = (await callTool(server, 'get_debug_output', { deviceId: 'simulated' })).body.messages;
+    }
+    assert.equal(messages[0].msg, 'hello');
+  } finally {
+    await server.stop();
+  }
+
+  // A new server replays the recorded answers in place of the device
+  const replay = await startTestServer(['--simulate', recording]);
+  try {
+    await replay.waitForOutput('Simulated device registered as simulated');
+    // Answers come back in recorded order, so the polls above that found nothing replay first
+    let messages = [];
+    for (let i = 0; i < 50 && !messages.length; i++) {
+      const { status, body } = await callTool(replay, 'get_debug_output', { deviceId: 'simulated' });
+      assert.equal(status, 200);
+      messages = body.messages;
+    }
+    assert.equal(messages[0].msg, 'hello');
+  } finally {
+    await replay.stop();
+  }
+});
+
+test('an inject without a payload sends the node\'s configured payload', async () => {
+  const server = await startTestServer();
+  const device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'inject-pi' } });
+  try {
+    const { body: added } = await callTool(server, 'add_nodes', {
+      deviceId: 'inject-pi',
+      flowId: 'flow1',
+      nodes: [
+        { tempId: 'a', type: 'inject', payload: 'configured', x: 100, y: 100, wires: [['b']] },
+        { tempId: 'b', type: 'debug', x: 300, y: 100 }
+      ]
+    });
+    await callTool(server, 'deploy', { deviceId: 'inject-pi' });
+    await callTool(server, 'inject_node', { deviceId: 'inject-pi', nodeId: added.nodes.find(n => n.tempId === 'a').id });
+
+    let messages = [];
+    for (let i = 0; i < 50 && !messages.length; i++) {
+      await delay(20);
+      messages = (await callTool(server, 'get_debug_output', { deviceId: 'inject-pi' })).body.messages;
+    }
+    assert.equal(messages[0].msg, 'configured');
+  } finally {
+    device.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test' }, capabilities: {} } };
+
+function post(body, headers = {}) {
+  return fetch(`${server.url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function startSession() {
+  const res = await post(initialize);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).result.protocolVersion, '2025-03-26');
+  return res.headers.get('mcp-session-id');
+}
+
+// { id, data } for each event in an SSE body
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { id: fields.id, data: JSON.parse(fields.data) };
+  });
+}
+
+test('initialize starts a session that later requests name', async () => {
+  const sessionId = await startSession();
+  assert.ok(sessionId);
+
+  const listed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+  assert.ok((await listed.json()).result.tools.length > 20);
+
+  const notified = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(notified.status, 202);
+});
+
+test('requests without initialize or a session get a single sessionless reply', async () => {
+  const res = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('mcp-session-id'), null);
+  assert.ok((await res.json()).result.tools.length > 20);
+
+  const batch = await post([{ jsonrpc: '2.0', id: 3, method: 'ping' }, { jsonrpc: '2.0', method: 'notifications/initialized' }]);
+  assert.deepEqual((await batch.json()).map(r => r.id), [3]);
+  assert.equal((await post({ jsonrpc: '2.0', method: 'notifications/initialized' })).status, 202);
+  assert.equal((await post([null])).status, 400);
+});
+
+test('requests without a live session are refused', async () => {
+  assert.equal((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': 'gone' })).status, 404);
+  assert.equal((await post([initialize, { jsonrpc: '2.0', id: 2, method: 'tools/list' }])).status, 400);
+  assert.equal((await post([])).status, 400);
+
+  const parse = await fetch(`${server.url}/mcp`, { method: 'POST', body: '{' });
+  assert.equal((await parse.json()).error.code, -32700);
+});
+
+test('streamed replies can be resumed from the last event seen', async () => {
+  const sessionId = await startSession();
+  const res = await post(
+    [{ jsonrpc: '2.0', id: 2, method: 'ping' }, { jsonrpc: '2.0', id: 3, method: 'tools/list' }],
+    { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' }
+  );
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const events = parseEvents(await res.text());
+  assert.deepEqual(events.map(e => e.data.id).sort(), [2, 3]);
+
+  const resumed = await fetch(`${server.url}/mcp`, {
+    headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': events[0].id }
+  });
+  assert.deepEqual(parseEvents(await resumed.text()), events.slice(1));
+
+  const stale = await fetch(`${server.url}/mcp`, {
+    headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': '999' }
+  });
+  assert.equal(stale.status, 400);
+});
+
+test('the standalone stream needs text/event-stream and is opened once', async () => {
+  const sessionId = await startSession();
+  const headers = { 'Mcp-Session-Id': sessionId };
+  assert.equal((await fetch(`${server.url}/mcp`, { headers })).status, 406);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${server.url}/mcp`, { headers: { ...headers, Accept: 'text/event-stream' }, signal: controller.signal });
+  assert.equal(stream.status, 200);
+  assert.equal((await fetch(`${server.url}/mcp`, { headers: { ...headers, Accept: 'text/event-stream' } })).status, 409);
+  controller.abort();
+});
+
+test('DELETE ends the session', async () => {
+  const sessionId = await startSession();
+  const headers = { 'Mcp-Session-Id': sessionId };
+  assert.equal((await fetch(`${server.url}/mcp`, { method: 'DELETE', headers })).status, 204);
+  assert.equal((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers)).status, 404);
+  assert.equal((await fetch(`${server.url}/mcp`, { method: 'PUT' })).status, 405);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { once } from 'events';
+import { setTimeout as delay } from 'timers/promises';
+import { signPayload } from '../lib/webhook-gateway.js';
+import { startSimulatedDevice } from '../lib/simulated-device.js';
+import { startTestServer, tempDir, callTool } from './helpers.js';
+
+let server;
+let device;
+let receiver;
+let configDir;
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200);
+      res.end();
+    });
+  });
+  receiver.listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+
+  configDir = tempDir();
+  const webhooks = path.join(configDir, 'webhooks.json');
+  fs.writeFileSync(webhooks, JSON.stringify({
+    pollInterval: 50,
+    routes: [{ name: 'sensors', url: `http://127.0.0.1:${receiver.address().port}/`, topics: ['sensor/*'], secret: 'shh' }]
+  }));
+  server = await startTestServer(['--webhooks', webhooks]);
+  device = await startSimulatedDevice({ url: server.wsUrl, info: { id: 'gateway-pi' } });
+});
+
+after(async () => {
+  device?.close();
+  await server?.stop();
+  receiver?.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('route messages go out even behind a message no route wants', async () => {
+  const { body: added } = await callTool(server, 'add_nodes', {
+    deviceId: 'gateway-pi',
+    flowId: 'flow1',
+    nodes: [
+      { tempId: 'voice', type: 'inject', topic: 'voice', payload: 'hello', x: 100, y: 100, wires: [['out']] },
+      { tempId: 'sensor', type: 'inject', topic: 'sensor/temp', payload: 21, x: 100, y: 200, wires: [['out']] },
+      { tempId: 'out', type: 'mcp-out', x: 300, y: 150 }
+    ]
+  });
+  const id = (tempId) => added.nodes.find(n => n.tempId === tempId).id;
+  await callTool(server, 'deploy', { deviceId: 'gateway-pi' });
+
+  // The unrouted message is queued first, at the front of the device queue
+  await callTool(server, 'inject_node', { deviceId: 'gateway-pi', nodeId: id('voice') });
+  for (let i = 0; i < 3; i++) {
+    await callTool(server, 'inject_node', { deviceId: 'gateway-pi', nodeId: id('sensor') });
+  }
+
+  for (let i = 0; i < 100 && received.length < 3; i++) await delay(20);
+  assert.equal(received.length, 3);
+  assert.deepEqual(received.map(r => [r.body.deviceId, r.body.topic, r.body.payload]), Array(3).fill(['gateway-pi', 'sensor/temp', 21]));
+
+  const { headers, body } = received[0];
+  assert.deepEqual([body.route, body.attempt, headers['x-pagenodes-delivery']], ['sensors', 1, body.id]);
+  assert.equal(headers['x-pagenodes-signature'], signPayload('shh', headers['x-pagenodes-timestamp'], JSON.stringify(body)));
+
+  // The unrouted message is still there for get_mcp_messages
+  const { body: queued } = await callTool(server, 'get_mcp_messages', { deviceId: 'gateway-pi' });
+  assert.deepEqual(queued.messages.map(m => m.topic), ['voice']);
+});